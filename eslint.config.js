@@ -0,0 +1,18 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      // Los catch que solo devuelven un valor por defecto no usan el error, y
+      // la desestructuración con ...resto se usa para omitir campos
+      'no-unused-vars': ['error', { caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  }
+];
@@ -1,16 +1,27 @@
 const express = require('express');
 const cors = require('cors');
 const admin = require('firebase-admin');
+const multer = require('multer');
+const sharp = require('sharp');
+const ExcelJS = require('exceljs');
 const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const { once } = require('events');
+const net = require('net');
+const dns = require('dns');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Las imágenes grandes se suben por multipart; en JSON solo caben data URLs
+// dentro del límite por imagen (10 MB en base64 ≈ 13.4 MB)
+// Los bundles de importación pueden ser grandes (catálogos completos)
+app.use('/api/super-admin/negocios/importar', express.json({ limit: '100mb' }));
+app.use(express.json({ limit: '15mb' }));
+app.use(express.urlencoded({ limit: '15mb', extended: true }));
 
 // Leer credenciales de Firebase desde archivo secreto o variable de entorno
 let serviceAccount;
@@ -61,289 +72,6956 @@ function validarSuperAdmin(req, res, next) {
   if (!key || key !== SUPER_ADMIN_KEY) {
     return res.status(401).json({ error: 'No autorizado - Clave de Super Admin inválida' });
   }
-  
+
+  // La clave no forma parte de los datos a guardar
+  if (req.body) {
+    delete req.body.superAdminKey;
+  }
+
+  req.superAdmin = true;
   next();
 }
 
+// Los negocios en la papelera responden como inexistentes en las rutas
+// del negocio; el super admin sí puede operar sobre ellos. Los suspendidos
+// (activo: false) solo admiten lecturas con sesión de admin. Además, toda
+// escritura exitosa sobre el negocio invalida la caché del sitio público.
+// El documento queda en req.negocio para los chequeos de cuota; las lecturas
+// lo toman de una caché corta y las escrituras siempre lo leen de nuevo
+const TTL_CACHE_NEGOCIO_MS = 10 * 1000;
+const cacheNegocios = new Map();
+
+async function leerNegocio(negocioID, { usarCache }) {
+  const entrada = cacheNegocios.get(negocioID);
+  if (usarCache && entrada && entrada.expira > Date.now()) {
+    return entrada.negocio;
+  }
+
+  const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+  const negocio = negocioDoc.exists ? negocioDoc.data() : null;
+  cacheNegocios.set(negocioID, { negocio, expira: Date.now() + TTL_CACHE_NEGOCIO_MS });
+  return negocio;
+}
+
+app.param('negocioID', async (req, res, next, negocioID) => {
+  const esLectura = req.method === 'GET' || req.method === 'HEAD';
+
+  if (!esLectura) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        cacheNegocios.delete(negocioID);
+        invalidarCacheSitio(negocioID);
+      }
+    });
+  }
+
+  if (req.path.startsWith('/api/super-admin/')) {
+    return next();
+  }
+
+  try {
+    const negocio = await leerNegocio(negocioID, { usarCache: esLectura });
+
+    if (negocio?.eliminado) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const lecturaDeAdmin = esLectura && sesionOpcional(req);
+    if (negocio?.activo === false && !lecturaDeAdmin) {
+      return res.status(403).json({ error: 'El negocio está suspendido', codigo: 'NEGOCIO_INACTIVO' });
+    }
+
+    req.negocio = negocio;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
-// UPLOAD DE IMÁGENES
+// SLUGS Y DOMINIOS PROPIOS
 // ============================================
-app.post('/api/:negocioID/upload-imagen', async (req, res) => {
+// slugs/{slug} y dominios/{dominio} apuntan al negocioID; el ID del documento
+// garantiza la unicidad. Un slug anterior queda como alias (alias: true)
+const FORMATO_SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FORMATO_DOMINIO = /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const SLUGS_RESERVADOS = ['api', 'admin', 'super-admin', 'www', 'app', 'host', 'resolver', 'static'];
+const TTL_CACHE_HOST_MS = 5 * 60 * 1000;
+const cacheHost = new Map();
+
+function slugValido(slug) {
+  return typeof slug === 'string' && slug.length >= 3 && slug.length <= 60 &&
+    FORMATO_SLUG.test(slug) && !SLUGS_RESERVADOS.includes(slug);
+}
+
+function normalizarDominio(dominio) {
+  return String(dominio || '').trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+function generarSlug(texto) {
+  const slug = String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 50)
+    .replace(/-$/, '');
+  return slugValido(slug) ? slug : `negocio-${slug}`.replace(/-$/, '');
+}
+
+// Reserva el slug para el negocio. Con exacto = false agrega un sufijo
+// numérico hasta encontrar uno libre; con exacto = true responde 409.
+// `escrituras(batch, slug)` suma al mismo batch los documentos que dependen
+// del slug: o se crean todos junto con la reserva o ninguno
+async function reservarSlug(negocioID, texto, { exacto = false, escrituras = () => {} } = {}) {
+  const base = exacto ? texto : generarSlug(texto);
+
+  for (let intento = 1; intento <= 50; intento++) {
+    const slug = intento === 1 ? base : `${base}-${intento}`;
+    try {
+      const batch = db.batch();
+      batch.create(db.collection('slugs').doc(slug), {
+        negocioID,
+        alias: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      escrituras(batch, slug);
+      await batch.commit();
+      return slug;
+    } catch (error) {
+      if (error.code !== 6) { // ALREADY_EXISTS
+        throw error;
+      }
+      if (exacto) {
+        throw errorHttp(409, `El slug "${slug}" ya está en uso`);
+      }
+    }
+  }
+
+  throw errorHttp(409, 'No se encontró un slug disponible');
+}
+
+// Cambia el slug principal; el anterior sigue resolviendo como alias
+async function cambiarSlug(negocioID, nuevoSlug) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const nuevoRef = db.collection('slugs').doc(nuevoSlug);
+
+  return db.runTransaction(async (transaction) => {
+    const [negocioDoc, nuevoDoc] = await transaction.getAll(negocioRef, nuevoRef);
+
+    if (!negocioDoc.exists) {
+      throw errorHttp(404, 'Negocio no encontrado');
+    }
+
+    if (nuevoDoc.exists && nuevoDoc.data().negocioID !== negocioID) {
+      throw errorHttp(409, `El slug "${nuevoSlug}" ya está en uso`);
+    }
+
+    const anterior = negocioDoc.data().slug;
+    if (anterior === nuevoSlug) {
+      return { slug: nuevoSlug, anterior };
+    }
+
+    if (anterior) {
+      transaction.set(db.collection('slugs').doc(anterior), { negocioID, alias: true }, { merge: true });
+    }
+    transaction.set(nuevoRef, {
+      negocioID,
+      alias: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(negocioRef, {
+      slug: nuevoSlug,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { slug: nuevoSlug, anterior: anterior || null };
+  });
+}
+
+// Sustituye la lista de dominios propios del negocio
+async function actualizarDominios(negocioID, dominios) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const refs = dominios.map(dominio => db.collection('dominios').doc(dominio));
+
+  await db.runTransaction(async (transaction) => {
+    const [negocioDoc, ...dominioDocs] = await transaction.getAll(negocioRef, ...refs);
+
+    if (!negocioDoc.exists) {
+      throw errorHttp(404, 'Negocio no encontrado');
+    }
+
+    const ocupados = dominioDocs
+      .filter(doc => doc.exists && doc.data().negocioID !== negocioID)
+      .map(doc => doc.id);
+
+    if (ocupados.length > 0) {
+      throw errorHttp(409, 'Hay dominios asignados a otro negocio', ocupados);
+    }
+
+    (negocioDoc.data().dominios || [])
+      .filter(dominio => !dominios.includes(dominio))
+      .forEach(dominio => transaction.delete(db.collection('dominios').doc(dominio)));
+
+    refs.forEach(ref => transaction.set(ref, { negocioID }));
+    transaction.update(negocioRef, {
+      dominios,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+
+  cacheHost.clear();
+}
+
+// Libera slugs, alias y dominios cuando el negocio se purga
+async function liberarIdentificadores(negocioID) {
+  const [slugs, dominios] = await Promise.all([
+    db.collection('slugs').where('negocioID', '==', negocioID).get(),
+    db.collection('dominios').where('negocioID', '==', negocioID).get()
+  ]);
+  const batch = db.batch();
+  [...slugs.docs, ...dominios.docs].forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+  cacheHost.clear();
+}
+
+// Devuelve { negocioID, slug, alias } o null
+async function resolverIdentificador({ slug, dominio }) {
+  const ref = slug
+    ? db.collection('slugs').doc(slug)
+    : db.collection('dominios').doc(dominio);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    return null;
+  }
+
+  const negocioDoc = await db.collection('negocios').doc(doc.data().negocioID).get();
+  if (!negocioDoc.exists || negocioDoc.data().eliminado) {
+    return null;
+  }
+
+  return {
+    negocioID: negocioDoc.id,
+    slug: negocioDoc.data().slug || null,
+    alias: doc.data().alias === true
+  };
+}
+
+// Middleware: /api/host/<ruta> se atiende como /api/<negocioID>/<ruta> según
+// el dominio propio de la petición (cabecera Host)
+async function resolverNegocioPorHost(req, res, next) {
+  if (!req.path.startsWith('/api/host/')) {
+    return next();
+  }
+
   try {
-    const { negocioID } = req.params;
-    const { imagen, nombre } = req.body;
+    const dominio = normalizarDominio(req.hostname);
+    let entrada = cacheHost.get(dominio);
+
+    if (!entrada || entrada.expira < Date.now()) {
+      const resuelto = FORMATO_DOMINIO.test(dominio) ? await resolverIdentificador({ dominio }) : null;
+      entrada = { negocioID: resuelto?.negocioID || null, expira: Date.now() + TTL_CACHE_HOST_MS };
+      cacheHost.set(dominio, entrada);
+    }
+
+    if (!entrada.negocioID) {
+      return res.status(404).json({ error: 'No hay un negocio asociado a este dominio' });
+    }
+
+    req.url = req.url.replace(/^\/api\/host\//, `/api/${entrada.negocioID}/`);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.use(resolverNegocioPorHost);
+
+app.get('/api/resolver', async (req, res) => {
+  try {
+    const slug = req.query.slug ? String(req.query.slug).toLowerCase() : null;
+    const dominio = req.query.dominio ? normalizarDominio(req.query.dominio) : null;
+
+    if (!slug && !dominio) {
+      return res.status(400).json({ error: 'Indica ?slug= o ?dominio=' });
+    }
+
+    if ((slug && !FORMATO_SLUG.test(slug)) || (dominio && !FORMATO_DOMINIO.test(dominio))) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const resuelto = await resolverIdentificador({ slug, dominio });
+
+    if (!resuelto) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    // Un slug antiguo indica al cliente que redirija al slug vigente
+    res.json({
+      negocioID: resuelto.negocioID,
+      slug: resuelto.slug,
+      redirigir: resuelto.alias
+    });
+  } catch (error) {
+    console.error('Error resolviendo negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SESIONES DE ADMINISTRADOR
+// ============================================
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET no configurado: las sesiones se invalidarán al reiniciar el servidor');
+}
+
+const DURACION_TOKEN_MS = 15 * 60 * 1000;               // 15 minutos
+const DURACION_REFRESH_MS = 30 * 24 * 60 * 60 * 1000;   // 30 días
+
+function firmar(valor) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(valor).digest('base64url');
+}
+
+function hashSha256(valor) {
+  return crypto.createHash('sha256').update(valor).digest('hex');
+}
+
+function compararSeguro(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Token de acceso: payload en base64url + firma HMAC, con expiración corta
+function generarToken(datos) {
+  const payload = Buffer.from(JSON.stringify({
+    ...datos,
+    exp: Date.now() + DURACION_TOKEN_MS
+  })).toString('base64url');
+  return `${payload}.${firmar(payload)}`;
+}
+
+function verificarToken(token) {
+  const [payload, firma] = String(token).split('.');
+  if (!payload || !firma || !compararSeguro(firma, firmar(payload))) {
+    return null;
+  }
+
+  try {
+    const datos = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return datos.exp > Date.now() ? datos : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Crea (o rota) la sesión persistida que respalda al refresh token
+async function emitirSesion(negocioID, usuario, sid) {
+  const sesionRef = sid
+    ? db.collection('negocios').doc(negocioID).collection('sesiones').doc(sid)
+    : db.collection('negocios').doc(negocioID).collection('sesiones').doc();
+  const secreto = crypto.randomBytes(32).toString('base64url');
+
+  await sesionRef.set({
+    usuarioID: usuario.id,
+    refreshHash: hashSha256(secreto),
+    expiraEn: admin.firestore.Timestamp.fromMillis(Date.now() + DURACION_REFRESH_MS),
+    ultimoUso: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return {
+    token: generarToken({ negocioID, usuarioID: usuario.id, rol: usuario.rol, sid: sesionRef.id }),
+    refreshToken: `${negocioID}.${sesionRef.id}.${secreto}`,
+    expiresIn: DURACION_TOKEN_MS / 1000
+  };
+}
+
+// Revoca las sesiones abiertas del negocio, opcionalmente solo las de un
+// usuario y conservando la sesión actual
+async function revocarSesiones(negocioID, { usuarioID, exceptoSid } = {}) {
+  let query = db.collection('negocios').doc(negocioID).collection('sesiones');
+  if (usuarioID) {
+    query = query.where('usuarioID', '==', usuarioID);
+  }
+
+  const snapshot = await query.get();
+  const revocadas = snapshot.docs.filter(doc => doc.id !== exceptoSid);
+
+  for (let i = 0; i < revocadas.length; i += TAMANO_LOTE_BORRADO) {
+    const batch = db.batch();
+    revocadas.slice(i, i + TAMANO_LOTE_BORRADO).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  revocadas.forEach(doc => cacheSesiones.delete(`${negocioID}/${doc.id}`));
+}
+
+// El token de acceso solo vale mientras exista su sesión: logout, usuario
+// deshabilitado o cambio de PIN la borran. El resultado se cachea unos
+// segundos y revocarSesiones lo invalida en este proceso
+const TTL_CACHE_SESION_MS = 30 * 1000;
+const cacheSesiones = new Map();
+
+async function sesionVigente({ negocioID, usuarioID, sid }) {
+  if (typeof sid !== 'string' || sid === '' || sid.includes('/')) {
+    return false;
+  }
+
+  const clave = `${negocioID}/${sid}`;
+  const entrada = cacheSesiones.get(clave);
+  if (entrada && entrada.expira > Date.now()) {
+    return entrada.vigente;
+  }
+
+  const sesionDoc = await db.collection('negocios').doc(negocioID).collection('sesiones').doc(sid).get();
+  const vigente = sesionDoc.exists &&
+    sesionDoc.data().usuarioID === usuarioID &&
+    sesionDoc.data().expiraEn?.toMillis() > Date.now();
+
+  cacheSesiones.set(clave, { vigente, expira: Date.now() + TTL_CACHE_SESION_MS });
+  return vigente;
+}
+
+function leerSesion(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? verificarToken(header.slice(7)) : null;
+}
+
+// Sesión del negocio en rutas públicas que muestran más datos al admin;
+// null si no hay token válido para este negocio
+function sesionOpcional(req) {
+  const sesion = leerSesion(req);
+  return sesion && sesion.negocioID === req.params.negocioID ? sesion : null;
+}
+
+// Middleware para validar la sesión del administrador del negocio
+async function validarSesion(req, res, next) {
+  try {
+    const sesion = leerSesion(req);
+
+    if (!sesion || typeof sesion.negocioID !== 'string') {
+      return res.status(401).json({ error: 'No autorizado - Sesión inválida o expirada' });
+    }
+
+    if (req.params.negocioID && sesion.negocioID !== req.params.negocioID) {
+      return res.status(403).json({ error: 'La sesión no corresponde a este negocio' });
+    }
+
+    if (!(await sesionVigente(sesion))) {
+      return res.status(401).json({ error: 'No autorizado - Sesión inválida o expirada' });
+    }
+
+    req.sesion = sesion;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware para restringir una ruta a ciertos roles (el owner siempre pasa)
+function requerirRol(...roles) {
+  return (req, res, next) => {
+    if (req.sesion.rol === 'owner' || roles.includes(req.sesion.rol)) {
+      return next();
+    }
+
+    res.status(403).json({ error: 'Tu rol no tiene permiso para esta acción' });
+  };
+}
+
+// ============================================
+// CREDENCIALES (PIN HASHEADO Y BLOQUEO)
+// ============================================
+const scryptAsync = util.promisify(crypto.scrypt);
+
+const MAX_INTENTOS_LOGIN = 5;
+const BLOQUEO_BASE_MS = 60 * 1000;          // 1 minuto, se duplica en cada fallo extra
+const BLOQUEO_MAXIMO_MS = 60 * 60 * 1000;   // 1 hora
+const DURACION_CODIGO_RESET_MS = 24 * 60 * 60 * 1000;
+
+async function hashearPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scryptAsync(String(pin), salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verificarPin(pin, almacenado) {
+  const [algoritmo, salt, hash] = String(almacenado || '').split('$');
+  if (algoritmo !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const calculado = await scryptAsync(String(pin), salt, 64);
+  const esperado = Buffer.from(hash, 'hex');
+  return esperado.length === calculado.length && crypto.timingSafeEqual(calculado, esperado);
+}
+
+async function credencialesValidas(usuarioData, pin) {
+  if (!usuarioData || usuarioData.activo === false || !usuarioData.pinHash) {
+    return false;
+  }
+
+  return verificarPin(pin, usuarioData.pinHash);
+}
+
+function validarFormatoPin(pin) {
+  return typeof pin === 'string' && pin.length >= 4 && pin.length <= 64;
+}
+
+function generarCodigo(longitud = 10) {
+  // Sin caracteres ambiguos (0/O, 1/I) para dictarlo por teléfono
+  const alfabeto = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let codigo = '';
+  for (let i = 0; i < longitud; i++) {
+    codigo += alfabeto[crypto.randomInt(alfabeto.length)];
+  }
+  return codigo;
+}
+
+// Código de un solo uso (reset de PIN o invitación), se guarda hasheado
+function nuevoCodigoAcceso() {
+  const codigo = generarCodigo();
+  const expiraEn = Date.now() + DURACION_CODIGO_RESET_MS;
+
+  return {
+    codigo,
+    expiraEn: new Date(expiraEn).toISOString(),
+    resetPin: {
+      codigoHash: hashSha256(codigo),
+      expiraEn: admin.firestore.Timestamp.fromMillis(expiraEn)
+    }
+  };
+}
+
+function intentosRef(negocioID, user) {
+  return db.collection('negocios').doc(negocioID).collection('intentosLogin').doc(hashSha256(String(user)));
+}
+
+// Devuelve los ms restantes de bloqueo o 0 si se puede intentar
+async function obtenerBloqueo(negocioID, user) {
+  const doc = await intentosRef(negocioID, user).get();
+  const bloqueadoHasta = doc.exists ? doc.data().bloqueadoHasta || 0 : 0;
+  return Math.max(0, bloqueadoHasta - Date.now());
+}
+
+async function registrarIntentoFallido(negocioID, user) {
+  const ref = intentosRef(negocioID, user);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const fallidos = (doc.exists ? doc.data().fallidos || 0 : 0) + 1;
+    let bloqueoMs = 0;
+
+    if (fallidos >= MAX_INTENTOS_LOGIN) {
+      bloqueoMs = Math.min(BLOQUEO_BASE_MS * 2 ** (fallidos - MAX_INTENTOS_LOGIN), BLOQUEO_MAXIMO_MS);
+    }
+
+    transaction.set(ref, {
+      fallidos,
+      bloqueadoHasta: Date.now() + bloqueoMs,
+      ultimoIntento: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return bloqueoMs;
+  });
+}
+
+async function limpiarIntentos(negocioID, user) {
+  await intentosRef(negocioID, user).delete();
+}
+
+function responderBloqueo(res, bloqueoMs) {
+  const segundos = Math.ceil(bloqueoMs / 1000);
+  res.set('Retry-After', String(segundos));
+  return res.status(429).json({
+    error: `Demasiados intentos fallidos. Intenta de nuevo en ${segundos} segundos`,
+    retryAfter: segundos
+  });
+}
+
+// ============================================
+// USUARIOS Y ROLES
+// ============================================
+const ROLES = ['owner', 'editor', 'order-manager', 'viewer'];
+const FORMATO_USUARIO = /^[a-z0-9._@-]{2,64}$/;
+
+function usuariosRef(negocioID) {
+  return db.collection('negocios').doc(negocioID).collection('usuarios');
+}
+
+// El nombre de usuario es el ID del documento; null si no es un ID válido
+function refUsuario(negocioID, user) {
+  if (typeof user !== 'string' || !/^[^/]{1,64}$/.test(user) || user === '.' || user === '..') {
+    return null;
+  }
+  return usuariosRef(negocioID).doc(user);
+}
+
+function serializarUsuario(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    user: data.user,
+    email: data.email || '',
+    rol: data.rol,
+    activo: data.activo !== false,
+    pendiente: !data.pinHash,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt
+  };
+}
+
+// Los negocios antiguos guardan un único admin dentro del documento: se
+// convierte en el usuario owner de la subcolección la primera vez que se usa
+async function migrarAdminLegacy(negocioID, negocioData) {
+  const adminData = negocioData.admin;
+  if (!adminData?.pinHash && adminData?.pin === undefined) {
+    return;
+  }
+
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const usuarioRef = refUsuario(negocioID, adminData.user);
+  if (!usuarioRef) {
+    return;
+  }
+
+  const pinHash = adminData.pinHash || await hashearPin(adminData.pin);
+
+  await db.runTransaction(async (transaction) => {
+    const usuarioDoc = await transaction.get(usuarioRef);
+
+    if (!usuarioDoc.exists) {
+      transaction.set(usuarioRef, {
+        user: adminData.user,
+        email: adminData.email || '',
+        rol: 'owner',
+        pinHash,
+        ...(adminData.resetPin && { resetPin: adminData.resetPin }),
+        activo: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    transaction.update(negocioRef, {
+      'admin.pin': admin.firestore.FieldValue.delete(),
+      'admin.pinHash': admin.firestore.FieldValue.delete(),
+      'admin.resetPin': admin.firestore.FieldValue.delete()
+    });
+  });
+}
+
+async function contarOwnersActivos(negocioID) {
+  const snapshot = await usuariosRef(negocioID).where('rol', '==', 'owner').get();
+  return snapshot.docs.filter(doc => doc.data().activo !== false).length;
+}
+
+// ============================================
+// VALIDACIÓN DE DATOS (ESQUEMAS)
+// ============================================
+// Cada campo declara { tipo, requerido, min, max, valores, campos, items, claves }.
+// Tipos: texto, numero, entero, booleano, url, email, color, zonaHoraria
+// (IANA, p. ej. America/Lima), timestamp (Timestamp de Firestore, solo para
+// datos internos como los bundles), objeto, lista y mapa (claves libres o
+// limitadas a `claves`, valores según `items`).
+// Los campos no declarados se rechazan, igual que los protegidos.
+const CAMPOS_PROTEGIDOS = ['id', 'createdAt', 'updatedAt'];
+
+const FORMATO_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FORMATO_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function esUrlValida(valor) {
+  try {
+    const url = new URL(valor);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function esZonaHorariaValida(valor) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: valor });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validarValor(regla, valor, ruta, errores) {
+  const error = (mensaje) => {
+    errores.push({ campo: ruta, mensaje });
+    return undefined;
+  };
+
+  switch (regla.tipo) {
+    case 'texto':
+    case 'url':
+    case 'email':
+    case 'color':
+    case 'zonaHoraria': {
+      if (typeof valor !== 'string') return error('Debe ser texto');
+      if (regla.requerido && valor.trim() === '') return error('No puede estar vacío');
+      if (regla.max !== undefined && valor.length > regla.max) return error(`Máximo ${regla.max} caracteres`);
+      if (regla.min !== undefined && valor.length < regla.min) return error(`Mínimo ${regla.min} caracteres`);
+      // Cadena vacía permitida en campos opcionales para "limpiar" el valor
+      if (valor === '') return valor;
+      if (regla.tipo === 'url' && !esUrlValida(valor)) return error('Debe ser una URL http(s) válida');
+      if (regla.tipo === 'email' && !FORMATO_EMAIL.test(valor)) return error('Debe ser un email válido');
+      if (regla.tipo === 'color' && !FORMATO_COLOR.test(valor)) return error('Debe ser un color hexadecimal (#RGB o #RRGGBB)');
+      if (regla.tipo === 'zonaHoraria' && !esZonaHorariaValida(valor)) return error('Debe ser una zona horaria IANA válida (p. ej. America/Lima)');
+      if (regla.valores && !regla.valores.includes(valor)) return error(`Valores permitidos: ${regla.valores.join(', ')}`);
+      return valor;
+    }
+    case 'numero':
+    case 'entero': {
+      if (typeof valor !== 'number' || !Number.isFinite(valor)) return error('Debe ser un número');
+      if (regla.tipo === 'entero' && !Number.isInteger(valor)) return error('Debe ser un número entero');
+      if (regla.min !== undefined && valor < regla.min) return error(`Debe ser mayor o igual a ${regla.min}`);
+      if (regla.max !== undefined && valor > regla.max) return error(`Debe ser menor o igual a ${regla.max}`);
+      return valor;
+    }
+    case 'booleano': {
+      if (typeof valor !== 'boolean') return error('Debe ser verdadero o falso');
+      return valor;
+    }
+    case 'timestamp': {
+      if (!(valor instanceof admin.firestore.Timestamp)) return error('Debe ser una fecha');
+      return valor;
+    }
+    case 'objeto': {
+      if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return error('Debe ser un objeto');
+      return validarCampos(regla.campos, valor, ruta, errores, false);
+    }
+    case 'mapa': {
+      if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return error('Debe ser un objeto');
+      const claves = Object.keys(valor);
+      if (regla.max !== undefined && claves.length > regla.max) return error(`Máximo ${regla.max} claves`);
+      const invalida = regla.claves && claves.find(clave => !regla.claves.includes(clave));
+      if (invalida) return error(`Clave no permitida: ${invalida}. Valores permitidos: ${regla.claves.join(', ')}`);
+      return Object.fromEntries(claves.map(clave => [clave, validarValor(regla.items, valor[clave], `${ruta}.${clave}`, errores)]));
+    }
+    case 'lista': {
+      if (!Array.isArray(valor)) return error('Debe ser una lista');
+      if (regla.min !== undefined && valor.length < regla.min) return error(`Debe tener al menos ${regla.min} elementos`);
+      if (regla.max !== undefined && valor.length > regla.max) return error(`Máximo ${regla.max} elementos`);
+      return valor.map((item, i) => validarValor(regla.items, item, `${ruta}[${i}]`, errores));
+    }
+    default:
+      throw new Error(`Tipo de esquema desconocido: ${regla.tipo}`);
+  }
+}
+
+function validarCampos(campos, datos, prefijo, errores, parcial) {
+  const valores = {};
+  const ruta = (campo) => (prefijo ? `${prefijo}.${campo}` : campo);
+
+  Object.keys(datos).forEach(campo => {
+    if (!campos[campo]) {
+      const protegido = CAMPOS_PROTEGIDOS.includes(campo) || (!prefijo && campos.__protegidos?.includes(campo));
+      errores.push({
+        campo: ruta(campo),
+        mensaje: protegido ? 'Campo protegido, no se puede modificar' : 'Campo no permitido'
+      });
+    }
+  });
+
+  Object.entries(campos).forEach(([campo, regla]) => {
+    if (campo === '__protegidos') return;
+
+    const valor = datos[campo];
+    if (valor === undefined || valor === null) {
+      if (regla.requerido && !parcial) {
+        errores.push({ campo: ruta(campo), mensaje: 'Campo requerido' });
+      }
+      return;
+    }
+
+    valores[campo] = validarValor(regla, valor, ruta(campo), errores);
+  });
+
+  return valores;
+}
+
+// Valida datos contra un esquema; con parcial = true (updates) los campos
+// requeridos de primer nivel pueden omitirse
+function validarEsquema(esquema, datos, { parcial = false } = {}) {
+  const errores = [];
+
+  if (!datos || typeof datos !== 'object' || Array.isArray(datos)) {
+    return { valores: {}, errores: [{ campo: '', mensaje: 'El cuerpo debe ser un objeto JSON' }] };
+  }
+
+  const valores = validarCampos(esquema, datos, '', errores, parcial);
+  return { valores, errores };
+}
+
+// Middleware: deja los datos validados en req.datos o responde 400 con
+// la lista completa de errores
+function validarCuerpo(esquema, opciones) {
+  return (req, res, next) => {
+    const { valores, errores } = validarEsquema(esquema, req.body, opciones);
+
+    if (errores.length > 0) {
+      return res.status(400).json({ error: 'Datos inválidos', detalles: errores });
+    }
+
+    req.datos = valores;
+    next();
+  };
+}
+
+// update() reemplaza los mapas completos: los objetos validados se pasan
+// como rutas con puntos (contacto.telefono) para no borrar las claves
+// hermanas. Las listas se siguen reemplazando enteras. En `traducciones` un
+// texto vacío quita esa traducción (traducciones.en.descripcion)
+function rutasDeActualizacion(datos, prefijo = '') {
+  const rutas = {};
+  Object.entries(datos).forEach(([campo, valor]) => {
+    const ruta = prefijo ? `${prefijo}.${campo}` : campo;
+    if (esObjetoPlano(valor)) {
+      Object.assign(rutas, rutasDeActualizacion(valor, ruta));
+    } else if (valor === '' && ruta.startsWith('traducciones.')) {
+      rutas[ruta] = admin.firestore.FieldValue.delete();
+    } else {
+      rutas[ruta] = valor;
+    }
+  });
+  return rutas;
+}
+
+const ESQUEMA_REDES_SOCIALES = {
+  facebook: { tipo: 'url', max: 500 },
+  instagram: { tipo: 'url', max: 500 },
+  tiktok: { tipo: 'url', max: 500 },
+  twitter: { tipo: 'url', max: 500 },
+  youtube: { tipo: 'url', max: 500 },
+  linkedin: { tipo: 'url', max: 500 }
+};
+
+const ESQUEMA_SECCIONES = {
+  hero: { tipo: 'booleano' },
+  servicios: { tipo: 'booleano' },
+  productos: { tipo: 'booleano' },
+  nosotros: { tipo: 'booleano' },
+  casosExito: { tipo: 'booleano' },
+  testimonios: { tipo: 'booleano' },
+  galeria: { tipo: 'booleano' },
+  contacto: { tipo: 'booleano' }
+};
+
+// Idiomas en los que un negocio puede publicar su sitio. Los campos de texto
+// guardan el idioma predeterminado y `traducciones` el resto (ver IDIOMAS)
+const IDIOMAS_DISPONIBLES = ['es', 'en', 'pt', 'fr', 'de', 'it'];
+const IDIOMA_POR_DEFECTO = 'es';
+
+// `traducciones` de un documento: { en: { <campos traducibles> }, ... }
+function reglaTraducciones(campos) {
+  return { tipo: 'mapa', claves: IDIOMAS_DISPONIBLES, items: { tipo: 'objeto', campos } };
+}
+
+const ESQUEMA_CONFIG = {
+  __protegidos: ['activo', 'briefCompletado', 'seccionesActivas', 'plan', 'limites', 'usaBorrador'],
+  nombre: { tipo: 'texto', requerido: true, max: 120 },
+  slogan: { tipo: 'texto', max: 200 },
+  logo: { tipo: 'url', max: 1000 },
+  // Para los reportes de ventas: los días y meses se cortan en esta zona
+  zonaHoraria: { tipo: 'zonaHoraria', max: 64 },
+  admin: {
+    tipo: 'objeto',
+    campos: {
+      email: { tipo: 'email', max: 254 }
+    }
+  },
+  colores: {
+    tipo: 'objeto',
+    campos: {
+      primario: { tipo: 'color' },
+      secundario: { tipo: 'color' },
+      acento: { tipo: 'color' },
+      fondo: { tipo: 'color' },
+      texto: { tipo: 'color' }
+    }
+  },
+  contacto: {
+    tipo: 'objeto',
+    campos: {
+      telefono: { tipo: 'texto', max: 30 },
+      whatsapp: { tipo: 'texto', max: 30 },
+      email: { tipo: 'email', max: 254 },
+      direccion: { tipo: 'texto', max: 500 },
+      horario: { tipo: 'texto', max: 500 },
+      mapaUrl: { tipo: 'url', max: 1000 },
+      redesSociales: { tipo: 'objeto', campos: ESQUEMA_REDES_SOCIALES }
+    }
+  },
+  contenido: {
+    tipo: 'objeto',
+    campos: {
+      sobreNosotros: { tipo: 'texto', max: 5000 },
+      mision: { tipo: 'texto', max: 2000 },
+      vision: { tipo: 'texto', max: 2000 },
+      heroTitulo: { tipo: 'texto', max: 200 },
+      heroSubtitulo: { tipo: 'texto', max: 500 },
+      heroImagen: { tipo: 'url', max: 1000 }
+    }
+  },
+  idiomas: {
+    tipo: 'objeto',
+    campos: {
+      habilitados: { tipo: 'lista', requerido: true, min: 1, max: IDIOMAS_DISPONIBLES.length, items: { tipo: 'texto', valores: IDIOMAS_DISPONIBLES } },
+      predeterminado: { tipo: 'texto', requerido: true, valores: IDIOMAS_DISPONIBLES }
+    }
+  },
+  traducciones: reglaTraducciones({
+    nombre: { tipo: 'texto', max: 120 },
+    slogan: { tipo: 'texto', max: 200 },
+    contenido: {
+      tipo: 'objeto',
+      campos: {
+        sobreNosotros: { tipo: 'texto', max: 5000 },
+        mision: { tipo: 'texto', max: 2000 },
+        vision: { tipo: 'texto', max: 2000 },
+        heroTitulo: { tipo: 'texto', max: 200 },
+        heroSubtitulo: { tipo: 'texto', max: 500 }
+      }
+    }
+  })
+};
+
+// Cuotas por plan; null = sin límite. `almacenamiento` en bytes y
+// `pedidosMensuales` por mes calendario (ver PLANES Y CUOTAS)
+const MB = 1024 * 1024;
+const PLANES = {
+  basico: { productos: 50, galeria: 30, almacenamiento: 500 * MB, pedidosMensuales: 300 },
+  profesional: { productos: 1000, galeria: 300, almacenamiento: 5 * 1024 * MB, pedidosMensuales: 5000 },
+  ilimitado: { productos: null, galeria: null, almacenamiento: null, pedidosMensuales: null }
+};
+// Los negocios nuevos guardan su plan al crearse; los anteriores a los planes
+// no lo tienen y conservan el uso sin límites que tenían
+const PLAN_POR_DEFECTO = PLANES[process.env.PLAN_POR_DEFECTO] ? process.env.PLAN_POR_DEFECTO : 'basico';
+const PLAN_SIN_ASIGNAR = 'ilimitado';
+
+// El super admin además controla el estado, las secciones y el plan del
+// negocio; `limites` ajusta cuotas puntuales sobre las del plan
+const ESQUEMA_NEGOCIO_SUPER_ADMIN = {
+  ...ESQUEMA_CONFIG,
+  __protegidos: [],
+  activo: { tipo: 'booleano' },
+  briefCompletado: { tipo: 'booleano' },
+  seccionesActivas: { tipo: 'objeto', campos: ESQUEMA_SECCIONES },
+  plan: { tipo: 'texto', valores: Object.keys(PLANES) },
+  // true al guardar el primer cambio en el borrador; el super admin puede
+  // volver a la edición directa
+  usaBorrador: { tipo: 'booleano' },
+  limites: {
+    tipo: 'objeto',
+    campos: {
+      productos: { tipo: 'entero', min: 0 },
+      galeria: { tipo: 'entero', min: 0 },
+      almacenamiento: { tipo: 'entero', min: 0 },
+      pedidosMensuales: { tipo: 'entero', min: 0 }
+    }
+  }
+};
+
+const ESQUEMA_ACTUALIZAR_SECCIONES = {
+  secciones: { tipo: 'objeto', requerido: true, campos: ESQUEMA_SECCIONES }
+};
+
+// Cuestionario de alta que llena el cliente. Los requeridos solo se exigen
+// al enviarlo; los guardados parciales aceptan cualquier subconjunto
+const ESQUEMA_BRIEF = {
+  descripcion: { tipo: 'texto', requerido: true, max: 5000 },
+  slogan: { tipo: 'texto', max: 200 },
+  mision: { tipo: 'texto', max: 2000 },
+  vision: { tipo: 'texto', max: 2000 },
+  servicios: {
+    tipo: 'lista',
+    max: 20,
+    items: {
+      tipo: 'objeto',
+      campos: {
+        titulo: { tipo: 'texto', requerido: true, max: 120 },
+        descripcion: { tipo: 'texto', max: 2000 },
+        precio: { tipo: 'numero', min: 0 }
+      }
+    }
+  },
+  colores: ESQUEMA_CONFIG.colores,
+  contacto: {
+    tipo: 'objeto',
+    requerido: true,
+    campos: {
+      telefono: { tipo: 'texto', max: 30 },
+      whatsapp: { tipo: 'texto', max: 30 },
+      email: { tipo: 'email', max: 254 },
+      direccion: { tipo: 'texto', max: 500 },
+      horario: { tipo: 'texto', max: 500 }
+    }
+  },
+  redesSociales: { tipo: 'objeto', campos: ESQUEMA_REDES_SOCIALES },
+  logo: { tipo: 'url', max: 1000 }
+};
+
+const ESQUEMA_CATEGORIA = {
+  nombre: { tipo: 'texto', requerido: true, max: 60 },
+  descripcion: { tipo: 'texto', max: 500 },
+  imagen: { tipo: 'url', max: 1000 },
+  activo: { tipo: 'booleano' },
+  orden: { tipo: 'entero', min: 0 },
+  traducciones: reglaTraducciones({
+    nombre: { tipo: 'texto', max: 60 },
+    descripcion: { tipo: 'texto', max: 500 }
+  })
+};
+
+// Variante de un producto (p. ej. talla/color) con precio, SKU y stock propios;
+// sin precio usa el del producto
+const ESQUEMA_VARIANTE = {
+  id: { tipo: 'texto', requerido: true, max: 40 },
+  nombre: { tipo: 'texto', requerido: true, max: 120 },
+  atributos: { tipo: 'mapa', max: 5, items: { tipo: 'texto', max: 60 } },
+  precio: { tipo: 'numero', min: 0 },
+  sku: { tipo: 'texto', max: 60 },
+  stock: { tipo: 'entero', min: 0 },
+  activo: { tipo: 'booleano' }
+};
+
+const ESQUEMA_PRODUCTO = {
+  nombre: { tipo: 'texto', requerido: true, max: 120 },
+  descripcion: { tipo: 'texto', max: 2000 },
+  precio: { tipo: 'numero', requerido: true, min: 0 },
+  precioAnterior: { tipo: 'numero', min: 0 },
+  imagen: { tipo: 'url', max: 1000 },
+  imagenes: { tipo: 'lista', max: 10, items: { tipo: 'url', max: 1000 } },
+  categoriaID: { tipo: 'texto', max: 128 },
+  // Texto libre heredado; los catálogos nuevos usan categoriaID
+  categoria: { tipo: 'texto', max: 60 },
+  sku: { tipo: 'texto', max: 60 },
+  stock: { tipo: 'entero', min: 0 },
+  variantes: { tipo: 'lista', max: 50, items: { tipo: 'objeto', campos: ESQUEMA_VARIANTE } },
+  agotado: { tipo: 'booleano' },
+  destacado: { tipo: 'booleano' },
+  activo: { tipo: 'booleano' },
+  orden: { tipo: 'entero', min: 0 },
+  traducciones: reglaTraducciones({
+    nombre: { tipo: 'texto', max: 120 },
+    descripcion: { tipo: 'texto', max: 2000 }
+  })
+};
+
+const ESQUEMA_SERVICIO = {
+  titulo: { tipo: 'texto', requerido: true, max: 120 },
+  descripcion: { tipo: 'texto', max: 2000 },
+  icono: { tipo: 'texto', max: 60 },
+  imagen: { tipo: 'url', max: 1000 },
+  precio: { tipo: 'numero', min: 0 },
+  activo: { tipo: 'booleano' },
+  orden: { tipo: 'entero', min: 0 },
+  traducciones: reglaTraducciones({
+    titulo: { tipo: 'texto', max: 120 },
+    descripcion: { tipo: 'texto', max: 2000 }
+  })
+};
+
+const ESQUEMA_TESTIMONIO = {
+  nombre: { tipo: 'texto', requerido: true, max: 120 },
+  texto: { tipo: 'texto', requerido: true, max: 1000 },
+  cargo: { tipo: 'texto', max: 120 },
+  empresa: { tipo: 'texto', max: 120 },
+  foto: { tipo: 'url', max: 1000 },
+  calificacion: { tipo: 'entero', min: 1, max: 5 },
+  activo: { tipo: 'booleano' },
+  orden: { tipo: 'entero', min: 0 },
+  traducciones: reglaTraducciones({
+    texto: { tipo: 'texto', max: 1000 },
+    cargo: { tipo: 'texto', max: 120 }
+  })
+};
+
+const ESQUEMA_CASO_EXITO = {
+  titulo: { tipo: 'texto', requerido: true, max: 120 },
+  descripcion: { tipo: 'texto', max: 2000 },
+  cliente: { tipo: 'texto', max: 120 },
+  resultado: { tipo: 'texto', max: 500 },
+  imagen: { tipo: 'url', max: 1000 },
+  activo: { tipo: 'booleano' },
+  orden: { tipo: 'entero', min: 0 },
+  traducciones: reglaTraducciones({
+    titulo: { tipo: 'texto', max: 120 },
+    descripcion: { tipo: 'texto', max: 2000 },
+    resultado: { tipo: 'texto', max: 500 }
+  })
+};
+
+const ESQUEMA_GALERIA = {
+  url: { tipo: 'url', requerido: true, max: 1000 },
+  fileName: { tipo: 'texto', max: 300 },
+  titulo: { tipo: 'texto', max: 120 },
+  descripcion: { tipo: 'texto', max: 500 },
+  orden: { tipo: 'entero', min: 0 },
+  traducciones: reglaTraducciones({
+    titulo: { tipo: 'texto', max: 120 },
+    descripcion: { tipo: 'texto', max: 500 }
+  })
+};
+
+const ESQUEMA_PEDIDO = {
+  __protegidos: ['estado', 'fechaCreacion'],
+  cliente: {
+    tipo: 'objeto',
+    requerido: true,
+    campos: {
+      nombre: { tipo: 'texto', requerido: true, max: 120 },
+      telefono: { tipo: 'texto', max: 30 },
+      email: { tipo: 'email', max: 254 },
+      direccion: { tipo: 'texto', max: 500 }
+    }
+  },
+  // Solo referencias y cantidades: precios y totales los calcula el servidor
+  items: {
+    tipo: 'lista',
+    requerido: true,
+    min: 1,
+    max: 100,
+    items: {
+      tipo: 'objeto',
+      campos: {
+        productoID: { tipo: 'texto', requerido: true, max: 128 },
+        varianteID: { tipo: 'texto', max: 40 },
+        cantidad: { tipo: 'entero', requerido: true, min: 1, max: 999 }
+      }
+    }
+  },
+  notas: { tipo: 'texto', max: 1000 }
+};
+
+// Error con código HTTP para cortar una operación desde helpers o transacciones
+// `codigo` es un identificador estable para que el cliente distinga el caso
+function errorHttp(status, mensaje, detalles, codigo) {
+  const error = new Error(mensaje);
+  error.status = status;
+  error.detalles = detalles;
+  error.codigo = codigo;
+  return error;
+}
+
+function responderError(res, error) {
+  return res.status(error.status).json({
+    error: error.message,
+    ...(error.codigo && { codigo: error.codigo }),
+    ...(error.detalles && { detalles: error.detalles })
+  });
+}
+
+// Ciclo de vida del pedido: estado → estados a los que puede pasar
+const TRANSICIONES_PEDIDO = {
+  pendiente: ['confirmado', 'cancelado', 'rechazado'],
+  confirmado: ['en_preparacion', 'cancelado'],
+  en_preparacion: ['enviado', 'cancelado'],
+  enviado: ['entregado'],
+  entregado: [],
+  cancelado: [],
+  rechazado: []
+};
+const ESTADOS_PEDIDO = Object.keys(TRANSICIONES_PEDIDO);
+const ESTADOS_PEDIDO_ANULADO = ['cancelado', 'rechazado'];
+
+const ESQUEMA_ESTADO_PEDIDO = {
+  estado: { tipo: 'texto', requerido: true, valores: ESTADOS_PEDIDO },
+  nota: { tipo: 'texto', max: 500 }
+};
+
+// Plantillas de los mensajes de pedido; ver PLACEHOLDERS_MENSAJE
+const ESQUEMA_MENSAJES = {
+  whatsapp: { tipo: 'texto', max: 2000 },
+  correoAsunto: { tipo: 'texto', max: 200 },
+  correo: { tipo: 'texto', max: 5000 },
+  notificarPorCorreo: { tipo: 'booleano' },
+  copiaCliente: { tipo: 'booleano' }
+};
+
+const EVENTOS_WEBHOOK = [
+  'pedido.creado',
+  'pedido.estado_cambiado',
+  'producto.creado',
+  'producto.actualizado',
+  'producto.eliminado'
+];
+
+const ESQUEMA_WEBHOOK = {
+  url: { tipo: 'url', requerido: true, max: 2000 },
+  eventos: { tipo: 'lista', requerido: true, min: 1, max: EVENTOS_WEBHOOK.length, items: { tipo: 'texto', valores: EVENTOS_WEBHOOK } },
+  descripcion: { tipo: 'texto', max: 200 },
+  activo: { tipo: 'booleano' }
+};
+
+// Usuario del negocio; el formato del nombre (FORMATO_USUARIO) se comprueba
+// en la ruta de alta. El nombre es el ID del documento y no se cambia
+const ESQUEMA_USUARIO = {
+  user: { tipo: 'texto', requerido: true, min: 2, max: 64 },
+  email: { tipo: 'email', max: 254 },
+  rol: { tipo: 'texto', requerido: true, valores: ROLES },
+  activo: { tipo: 'booleano' }
+};
+
+const ESQUEMA_ACTUALIZAR_USUARIO = {
+  __protegidos: ['user'],
+  email: ESQUEMA_USUARIO.email,
+  rol: ESQUEMA_USUARIO.rol,
+  activo: ESQUEMA_USUARIO.activo
+};
+
+// ============================================
+// AUDITORÍA DE CAMBIOS
+// ============================================
+// Colección raíz auditoria/{id} con el negocioID en cada entrada, para poder
+// consultarla por negocio y entre negocios, y conservarla tras una purga
+const CAMPOS_SENSIBLES_AUDITORIA = ['pin', 'pinHash', 'resetPin', 'refreshHash', 'codigoHash', 'tokenHash', 'secreto'];
+const CAMPOS_IGNORADOS_AUDITORIA = ['updatedAt'];
+const ACCIONES_POR_METODO = { POST: 'crear', PUT: 'actualizar', PATCH: 'actualizar', DELETE: 'eliminar' };
+
+function actorDe(req) {
+  if (req.sesion) {
+    return { tipo: 'usuario', usuarioID: req.sesion.usuarioID, rol: req.sesion.rol };
+  }
+  return { tipo: req.superAdmin ? 'super-admin' : 'publico', usuarioID: null, rol: null };
+}
+
+// Timestamps a ISO y objetos anidados recorridos, para comparar y guardar
+function valorAuditable(valor) {
+  if (valor instanceof admin.firestore.Timestamp) return valor.toDate().toISOString();
+  if (Array.isArray(valor)) return valor.map(valorAuditable);
+  if (valor && typeof valor === 'object') {
+    return Object.fromEntries(Object.entries(valor).map(([clave, v]) => [clave, valorAuditable(v)]));
+  }
+  return valor;
+}
+
+// Mapas de datos; excluye Timestamps y otras instancias de clase
+function esObjetoPlano(valor) {
+  if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return false;
+  const prototipo = Object.getPrototypeOf(valor);
+  return prototipo === Object.prototype || prototipo === null;
+}
+
+// Lista de { campo, antes, despues } con la ruta en notación de puntos; los
+// campos sensibles solo indican que cambiaron
+function diferencias(antes, despues, ruta = '', cambios = []) {
+  const claves = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
+
+  claves.forEach(clave => {
+    if (!ruta && CAMPOS_IGNORADOS_AUDITORIA.includes(clave)) return;
+
+    const campo = ruta ? `${ruta}.${clave}` : clave;
+    const a = antes ? antes[clave] : undefined;
+    const d = despues ? despues[clave] : undefined;
+
+    if (esObjetoPlano(a) && esObjetoPlano(d) && !CAMPOS_SENSIBLES_AUDITORIA.includes(clave)) {
+      diferencias(a, d, campo, cambios);
+      return;
+    }
+
+    if (JSON.stringify(a) === JSON.stringify(d)) return;
+
+    if (CAMPOS_SENSIBLES_AUDITORIA.includes(clave)) {
+      cambios.push({ campo, antes: a === undefined ? null : '[oculto]', despues: d === undefined ? null : '[oculto]' });
+    } else {
+      cambios.push({ campo, antes: a === undefined ? null : a, despues: d === undefined ? null : d });
+    }
+  });
+
+  return cambios;
+}
+
+function sinCamposSensibles(valor) {
+  if (Array.isArray(valor)) return valor.map(sinCamposSensibles);
+  if (!esObjetoPlano(valor)) return valor;
+  return Object.fromEntries(Object.entries(valor)
+    .filter(([clave]) => !CAMPOS_SENSIBLES_AUDITORIA.includes(clave))
+    .map(([clave, v]) => [clave, sinCamposSensibles(v)]));
+}
+
+async function leerParaAuditoria(ref) {
+  if (!ref) return null;
+  const doc = await ref.get();
+  return doc.exists ? valorAuditable(doc.data()) : null;
+}
+
+// Middleware: registra la mutación si la respuesta es exitosa.
+// `documento(req, respuesta)` devuelve (o promete) la referencia afectada: se lee antes
+// del handler (respuesta undefined) y después, con el cuerpo de la respuesta
+// para conocer el ID de las altas. Sin documento se guarda el cuerpo de la
+// petición como detalle (p. ej. reordenamientos o purgas)
+function auditar(entidad, documento = () => null) {
+  return async (req, res, next) => {
+    let antes = null;
+    try {
+      antes = await leerParaAuditoria(await documento(req, undefined));
+    } catch (error) {
+      return next(error);
+    }
+
+    let respuesta;
+    const json = res.json.bind(res);
+    res.json = (cuerpo) => {
+      respuesta = cuerpo;
+      return json(cuerpo);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const ref = await documento(req, respuesta);
+        const despues = await leerParaAuditoria(ref);
+        const negocioID = req.params.negocioID || negocioDeRef(ref) || respuesta?.negocioID || req.sesion?.negocioID || null;
+
+        let accion = ACCIONES_POR_METODO[req.method] || req.method;
+        if (ref) {
+          if (!antes && despues) accion = 'crear';
+          else if (antes && !despues) accion = 'eliminar';
+          else accion = 'actualizar';
+        }
+
+        await db.collection('auditoria').add({
+          negocioID,
+          actor: actorDe(req),
+          accion,
+          entidad: typeof entidad === 'function' ? entidad(req) : entidad,
+          entidadID: ref ? ref.id : null,
+          metodo: req.method,
+          ruta: `${req.baseUrl}${req.route.path}`,
+          url: `${req.baseUrl}${req.path}`,
+          estado: res.statusCode,
+          cambios: ref ? diferencias(antes, despues) : [],
+          detalles: ref ? null : valorAuditable(sinCamposSensibles(req.datos || req.body || {})),
+          ip: req.ip || null,
+          fecha: admin.firestore.FieldValue.serverTimestamp()
+        });
+      } catch (error) {
+        console.error('Error registrando auditoría:', error);
+      }
+    });
+
+    next();
+  };
+}
+
+function negocioDeRef(ref) {
+  const partes = ref ? ref.path.split('/') : [];
+  return partes[0] === 'negocios' ? partes[1] : null;
+}
+
+function idDocumentoValido(id) {
+  return typeof id === 'string' && id !== '' && !id.includes('/');
+}
+
+// Referencias habituales para `auditar`. En las altas de negocios el ID
+// llega en la respuesta
+function docDelNegocio(req, respuesta) {
+  const negocioID = req.params.negocioID || respuesta?.negocioID;
+  return idDocumentoValido(negocioID) ? db.collection('negocios').doc(negocioID) : null;
+}
+
+function docEnColeccion(coleccion, param) {
+  return (req, respuesta) => {
+    const id = req.params[param] || respuesta?.id;
+    return idDocumentoValido(id)
+      ? db.collection('negocios').doc(req.params.negocioID).collection(coleccion).doc(id)
+      : null;
+  };
+}
+
+const FILTROS_AUDITORIA = {
+  usuarioID: { campo: 'actor.usuarioID', tipo: 'texto' },
+  actor: { campo: 'actor.tipo', tipo: 'texto', valores: ['usuario', 'super-admin', 'publico'] },
+  entidad: { campo: 'entidad', tipo: 'texto' },
+  entidadID: { campo: 'entidadID', tipo: 'texto' },
+  accion: { campo: 'accion', tipo: 'texto' },
+  desde: { campo: 'fecha', tipo: 'fecha', operador: '>=' },
+  hasta: { campo: 'fecha', tipo: 'fecha', operador: '<=' }
+};
+
+const ORDEN_AUDITORIA = { campos: ['fecha'], defecto: 'fecha', direccion: 'desc' };
+
+function serializarEntradaAuditoria(entrada) {
+  return { ...entrada, fecha: entrada.fecha ? entrada.fecha.toDate().toISOString() : null };
+}
+
+// Vista entre negocios; se declara antes que la del negocio para que
+// "super-admin" no se tome como negocioID
+app.get('/api/super-admin/auditoria', validarSuperAdmin, async (req, res) => {
+  try {
+    const { items, nextCursor, total } = await listarPaginado(db.collection('auditoria'), req.query, {
+      orden: ORDEN_AUDITORIA,
+      filtros: { negocioID: { campo: 'negocioID', tipo: 'texto' }, ...FILTROS_AUDITORIA }
+    });
+
+    res.json({ entradas: items.map(serializarEntradaAuditoria), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo auditoría:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/:negocioID/auditoria', validarSesion, requerirRol('owner'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { items, nextCursor, total } = await listarPaginado(db.collection('auditoria'), { ...req.query, negocioID }, {
+      orden: ORDEN_AUDITORIA,
+      filtros: { negocioID: { campo: 'negocioID', tipo: 'texto' }, ...FILTROS_AUDITORIA }
+    });
+
+    res.json({ entradas: items.map(serializarEntradaAuditoria), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo auditoría:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// PLANES Y CUOTAS
+// ============================================
+// Las cuotas se comprueban contando antes de crear: dos altas simultáneas
+// pueden pasar el límite por uno, lo que se acepta a cambio de no serializar
+// todas las escrituras del negocio
+const MENSAJES_CUOTA = {
+  productos: 'Se alcanzó el máximo de productos del plan',
+  galeria: 'Se alcanzó el máximo de imágenes de galería del plan',
+  almacenamiento: 'Se alcanzó el espacio de almacenamiento del plan',
+  pedidosMensuales: 'El negocio alcanzó el máximo de pedidos de este mes'
+};
+
+function limitesDelPlan(negocioData) {
+  const plan = PLANES[negocioData.plan] ? negocioData.plan : PLAN_SIN_ASIGNAR;
+  return { plan, limites: { ...PLANES[plan], ...(negocioData.limites || {}) } };
+}
+
+function inicioDeMes() {
+  const ahora = new Date();
+  return new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth(), 1));
+}
+
+// Los bytes en Storage se llevan en el documento del negocio
+// (usoAlmacenamiento) para no listar el bucket en cada subida: subirArchivo
+// los suma y eliminarArchivos los resta. Los negocios que aún no tienen
+// usoAlmacenamientoCalculadoEn se calculan una vez listando su carpeta
+function ajustarAlmacenamiento(negocioID, bytes) {
+  if (!bytes) return Promise.resolve();
+  return db.collection('negocios').doc(negocioID)
+    .update({ usoAlmacenamiento: admin.firestore.FieldValue.increment(bytes) })
+    .catch(error => {
+      if (error.code !== 5) throw error; // NOT_FOUND: negocio ya purgado
+    });
+}
+
+async function recalcularAlmacenamiento(negocioID) {
+  const bytes = (await almacenamientoUsado(negocioID)).get(negocioID) || 0;
+  await db.collection('negocios').doc(negocioID).update({
+    usoAlmacenamiento: bytes,
+    usoAlmacenamientoCalculadoEn: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return bytes;
+}
+
+async function almacenamientoDelNegocio(negocioID, negocioData) {
+  if (negocioData?.usoAlmacenamientoCalculadoEn) {
+    return Math.max(negocioData.usoAlmacenamiento || 0, 0);
+  }
+  return recalcularAlmacenamiento(negocioID);
+}
+
+// Cuota de almacenamiento para `bytes` nuevos (original y variantes)
+async function verificarEspacio(negocioID, negocioData, bytes) {
+  const { plan, limites } = limitesDelPlan(negocioData || {});
+  const limite = limites.almacenamiento;
+  if (limite === null || limite === undefined) return;
+
+  const uso = await almacenamientoDelNegocio(negocioID, negocioData);
+  if (uso + bytes > limite) {
+    throw errorHttp(403, MENSAJES_CUOTA.almacenamiento, { recurso: 'almacenamiento', plan, limite, uso }, 'LIMITE_PLAN');
+  }
+}
+
+const MEDIDORES_USO = {
+  productos: (negocioID) => contarDocumentos(db.collection('negocios').doc(negocioID).collection('productos')),
+  galeria: (negocioID) => contarDocumentos(db.collection('negocios').doc(negocioID).collection('galeria')),
+  almacenamiento: (negocioID, negocioData) => almacenamientoDelNegocio(negocioID, negocioData),
+  pedidosMensuales: (negocioID) => contarDocumentos(db.collection('negocios').doc(negocioID).collection('pedidos')
+    .where('fechaCreacion', '>=', admin.firestore.Timestamp.fromDate(inicioDeMes())))
+};
+
+// Bytes que agrega la petición: archivo multipart o data URL en base64
+function tamanoEntrante(req) {
+  if (req.file) return req.file.size;
+  if (typeof req.body?.imagen === 'string') {
+    return Math.floor(req.body.imagen.replace(/^data:[^,]*,/, '').length * 3 / 4);
+  }
+  return 0;
+}
+
+// Middleware: responde 403 LIMITE_PLAN si la operación excede la cuota
+function verificarCuota(recurso) {
+  return async (req, res, next) => {
+    try {
+      const { negocioID } = req.params;
+      const { plan, limites } = limitesDelPlan(req.negocio || {});
+      const limite = limites[recurso];
+
+      if (limite === null || limite === undefined) {
+        return next();
+      }
+
+      const uso = await MEDIDORES_USO[recurso](negocioID, req.negocio);
+      const adicional = recurso === 'almacenamiento' ? tamanoEntrante(req) : 1;
+
+      if (uso + adicional > limite) {
+        throw errorHttp(403, MENSAJES_CUOTA[recurso], { recurso, plan, limite, uso }, 'LIMITE_PLAN');
+      }
+
+      next();
+    } catch (error) {
+      if (error.status) {
+        return responderError(res, error);
+      }
+      next(error);
+    }
+  };
+}
+
+async function usoDelNegocio(negocioID, negocioData) {
+  const { plan, limites } = limitesDelPlan(negocioData);
+  const recursos = Object.keys(MEDIDORES_USO);
+  const usos = await Promise.all(recursos.map(recurso => MEDIDORES_USO[recurso](negocioID, negocioData)));
+
+  return {
+    plan,
+    periodo: { desde: inicioDeMes().toISOString() },
+    recursos: Object.fromEntries(recursos.map((recurso, i) => [recurso, {
+      uso: usos[i],
+      limite: limites[recurso],
+      porcentaje: limites[recurso] ? Math.round((usos[i] / limites[recurso]) * 100) : null
+    }]))
+  };
+}
+
+app.get('/api/super-admin/negocios/:negocioID/uso', validarSuperAdmin, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    res.json(await usoDelNegocio(negocioID, negocioDoc.data()));
+  } catch (error) {
+    console.error('Error obteniendo uso del negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/:negocioID/uso', validarSesion, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+
+    if (!req.negocio) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    res.json(await usoDelNegocio(negocioID, req.negocio));
+  } catch (error) {
+    console.error('Error obteniendo uso del negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// UPLOAD DE IMÁGENES
+// ============================================
+const TAMANO_MAXIMO_IMAGEN = 10 * 1024 * 1024; // 10 MB
+
+// Variantes redimensionadas que se generan junto al original (ancho máximo)
+const VARIANTES_IMAGEN = {
+  thumbnail: 200,
+  medium: 800
+};
+
+const uploadImagen = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TAMANO_MAXIMO_IMAGEN, files: 1 }
+});
+
+// El tipo real se obtiene de los primeros bytes, no de la extensión declarada
+function detectarTipoImagen(buffer) {
+  const empiezaCon = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+  if (empiezaCon([0xFF, 0xD8, 0xFF])) {
+    return { extension: 'jpg', contentType: 'image/jpeg' };
+  }
+  if (empiezaCon([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    return { extension: 'png', contentType: 'image/png' };
+  }
+  if (empiezaCon([0x47, 0x49, 0x46, 0x38]) && (buffer[4] === 0x37 || buffer[4] === 0x39) && buffer[5] === 0x61) {
+    return { extension: 'gif', contentType: 'image/gif' };
+  }
+  if (empiezaCon([0x52, 0x49, 0x46, 0x46]) && empiezaCon([0x57, 0x45, 0x42, 0x50], 8)) {
+    return { extension: 'webp', contentType: 'image/webp' };
+  }
+  return null;
+}
+
+function sanitizarNombreArchivo(nombre) {
+  const limpio = String(nombre || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60);
+  return limpio || 'imagen';
+}
+
+function urlPublica(fileName) {
+  return `https://storage.googleapis.com/${bucket.name}/${fileName}`;
+}
+
+async function subirArchivo(negocioID, fileName, buffer, contentType) {
+  await bucket.file(fileName).save(buffer, {
+    metadata: {
+      contentType,
+      metadata: {
+        negocioID: negocioID
+      }
+    },
+    public: true
+  });
+  await ajustarAlmacenamiento(negocioID, buffer.length);
+  return { url: urlPublica(fileName), fileName };
+}
+
+// Valida y guarda la imagen original junto con sus variantes en WebP.
+// Los nombres de las variantes derivan del original: <base>-<variante>.webp
+async function guardarImagen(negocioID, buffer, nombre, negocioData) {
+  if (buffer.length > TAMANO_MAXIMO_IMAGEN) {
+    throw errorHttp(413, `La imagen supera el máximo de ${TAMANO_MAXIMO_IMAGEN / (1024 * 1024)} MB`);
+  }
+
+  const tipo = detectarTipoImagen(buffer);
+  if (!tipo) {
+    throw errorHttp(415, 'Formato no soportado. Se aceptan JPEG, PNG, GIF y WebP');
+  }
+
+  // Se decodifica todo antes de subir nada: un archivo con cabecera válida
+  // pero contenido corrupto no debe dejar el original huérfano en Storage
+  const redimensionadas = {};
+  try {
+    await sharp(buffer).metadata();
+    for (const [variante, ancho] of Object.entries(VARIANTES_IMAGEN)) {
+      redimensionadas[variante] = await sharp(buffer)
+        .rotate()
+        .resize({ width: ancho, height: ancho, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw errorHttp(415, 'La imagen está dañada o no se puede procesar');
+  }
+
+  // La cuota cuenta lo que de verdad se guarda: original más variantes
+  const bytesVariantes = Object.values(redimensionadas).reduce((suma, variante) => suma + variante.length, 0);
+  await verificarEspacio(negocioID, negocioData, buffer.length + bytesVariantes);
+
+  const base = `${negocioID}/${Date.now()}-${sanitizarNombreArchivo(nombre)}`;
+  const original = await subirArchivo(negocioID, `${base}.${tipo.extension}`, buffer, tipo.contentType);
+
+  const variantes = {};
+  for (const [variante, redimensionada] of Object.entries(redimensionadas)) {
+    variantes[variante] = await subirArchivo(negocioID, `${base}-${variante}.webp`, redimensionada, 'image/webp');
+  }
+
+  return {
+    ...original,
+    contentType: tipo.contentType,
+    size: buffer.length,
+    variantes
+  };
+}
+
+// Ejecuta multer y traduce sus errores (tamaño, campos) a respuestas 4xx
+function recibirImagen(req, res, next) {
+  uploadImagen.single('imagen')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `Error en la carga: ${error.message}`, codigo: error.code });
+    }
+    next(error);
+  });
+}
+
+// La auditoría guarda solo el resumen del archivo subido (req.datos), nunca
+// el contenido de la imagen
+function resumenImagenSubida(imagen) {
+  return { fileName: imagen.fileName, contentType: imagen.contentType, size: imagen.size };
+}
+
+app.post('/api/:negocioID/imagenes', validarSesion, requerirRol('editor'), auditar('imagenes'), recibirImagen, verificarCuota('almacenamiento'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó imagen (campo "imagen")' });
+    }
+
+    const imagen = await guardarImagen(negocioID, req.file.buffer, req.body.nombre || req.file.originalname, req.negocio);
+    req.datos = resumenImagenSubida(imagen);
+
+    res.json({ success: true, ...imagen });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error subiendo imagen:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Carga heredada en base64 (data URL) dentro de un JSON
+app.post('/api/:negocioID/upload-imagen', validarSesion, requerirRol('editor'), auditar('imagenes'), verificarCuota('almacenamiento'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { imagen, nombre } = req.body;
+
+    if (!imagen || typeof imagen !== 'string') {
+      return res.status(400).json({ error: 'No se proporcionó imagen' });
+    }
+
+    const base64Data = imagen.replace(/^data:image\/[\w+.-]+;base64,/, '');
+    const buffer = Buffer.from(base64Data, 'base64');
+
+    const resultado = await guardarImagen(negocioID, buffer, nombre, req.negocio);
+    req.datos = resumenImagenSubida(resultado);
+
+    res.json({ 
+      success: true, 
+      ...resultado
+    });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error subiendo imagen:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/delete-imagen', validarSesion, requerirRol('editor'), auditar('imagenes'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { fileName } = req.body;
+
+    if (!fileName) {
+      return res.status(400).json({ error: 'No se proporcionó nombre de archivo' });
+    }
+
+    if (!archivoDelNegocio(negocioID, fileName)) {
+      return res.status(403).json({ error: 'El archivo no pertenece a este negocio' });
+    }
+
+    await eliminarArchivos(archivosRelacionados(fileName));
+
+    res.json({ success: true, message: 'Imagen eliminada' });
+  } catch (error) {
+    console.error('Error eliminando imagen:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// LIMPIEZA DE ARCHIVOS EN STORAGE
+// ============================================
+// Los archivos recién subidos aún no están guardados en ningún documento
+const GRACIA_ARCHIVOS_MS = 24 * 60 * 60 * 1000;
+
+function archivoDelNegocio(negocioID, fileName) {
+  return typeof fileName === 'string' &&
+    fileName.startsWith(`${negocioID}/`) &&
+    !fileName.split('/').includes('..');
+}
+
+// Base común de un original y sus variantes: "<negocioID>/<ts>-<nombre>"
+function baseArchivo(fileName) {
+  const variantes = Object.keys(VARIANTES_IMAGEN).join('|');
+  return fileName
+    .replace(new RegExp(`-(${variantes})\\.webp$`), '')
+    .replace(/\.[a-z0-9]+$/i, '');
+}
+
+function archivosRelacionados(fileName) {
+  const base = baseArchivo(fileName);
+  return [fileName, ...Object.keys(VARIANTES_IMAGEN).map(variante => `${base}-${variante}.webp`)]
+    .filter((nombre, i, lista) => lista.indexOf(nombre) === i);
+}
+
+// Resta del uso de cada negocio (primer segmento del nombre) lo liberado
+async function eliminarArchivos(fileNames) {
+  const liberados = new Map();
+
+  await Promise.all(fileNames.map(async (fileName) => {
+    const archivo = bucket.file(fileName);
+    try {
+      const [metadata] = await archivo.getMetadata();
+      await archivo.delete();
+      const [negocioID] = fileName.split('/');
+      liberados.set(negocioID, (liberados.get(negocioID) || 0) + Number(metadata.size || 0));
+    } catch (error) {
+      if (error.code !== 404) throw error;
+    }
+  }));
+
+  await Promise.all([...liberados].map(([negocioID, bytes]) => ajustarAlmacenamiento(negocioID, -bytes)));
+}
+
+// Recorre cualquier valor de un documento y devuelve los archivos del
+// negocio a los que hace referencia (por URL pública o por fileName)
+function archivosReferenciados(negocioID, valor, encontrados = new Set()) {
+  const prefijoUrl = urlPublica('');
+
+  if (typeof valor === 'string') {
+    const fileName = valor.startsWith(prefijoUrl)
+      ? decodeURIComponent(valor.slice(prefijoUrl.length).split('?')[0])
+      : valor;
+    if (archivoDelNegocio(negocioID, fileName)) {
+      encontrados.add(fileName);
+    }
+  } else if (Array.isArray(valor)) {
+    valor.forEach(item => archivosReferenciados(negocioID, item, encontrados));
+  } else if (valor && typeof valor === 'object' && !(valor instanceof admin.firestore.Timestamp)) {
+    Object.values(valor).forEach(item => archivosReferenciados(negocioID, item, encontrados));
+  }
+
+  return encontrados;
+}
+
+// Subcolecciones que pueden guardar URLs de imágenes: el contenido, el
+// borrador sin publicar, el brief (logo) y las versiones, que una reversión
+// puede volver a poner en uso. Pedidos, sesiones, etc. no se leen
+const COLECCIONES_CON_ARCHIVOS = ['categorias', 'productos', 'servicios', 'testimonios', 'casosExito', 'galeria', 'borrador', 'brief', 'versiones'];
+
+// Bases de archivo usadas por el documento del negocio y sus subcolecciones;
+// null si el negocio no existe
+async function basesReferenciadas(negocioID) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const negocioDoc = await negocioRef.get();
+
+  if (!negocioDoc.exists) {
+    return null;
+  }
+
+  const archivos = archivosReferenciados(negocioID, negocioDoc.data());
+  const snapshots = await Promise.all(COLECCIONES_CON_ARCHIVOS.map(coleccion => negocioRef.collection(coleccion).get()));
+
+  snapshots.forEach(snapshot => {
+    snapshot.forEach(doc => archivosReferenciados(negocioID, doc.data(), archivos));
+  });
+
+  return new Set([...archivos].map(baseArchivo));
+}
+
+// Tras borrar un documento, elimina en segundo plano sus archivos si ningún
+// otro documento del negocio los sigue usando
+function limpiarArchivosDeDocumento(negocioID, datos) {
+  const candidatos = [...archivosReferenciados(negocioID, datos)];
+  if (candidatos.length === 0) {
+    return;
+  }
+
+  (async () => {
+    const bases = await basesReferenciadas(negocioID) || new Set();
+    const sinUso = candidatos.filter(fileName => !bases.has(baseArchivo(fileName)));
+    await eliminarArchivos(sinUso.flatMap(archivosRelacionados));
+  })().catch(error => console.error('Error limpiando archivos del documento:', error));
+}
+
+// Archivos del bucket (de un negocio o de todos) que ningún documento usa
+async function buscarArchivosHuerfanos(negocioID) {
+  const [archivos] = await bucket.getFiles(negocioID ? { prefix: `${negocioID}/` } : {});
+  const limiteCreacion = Date.now() - GRACIA_ARCHIVOS_MS;
+  const basesPorNegocio = new Map();
+  const huerfanos = [];
+
+  for (const archivo of archivos) {
+    const [propietario] = archivo.name.split('/');
+
+    // Solo se consideran archivos dentro de la carpeta de un negocio
+    if (!archivo.name.includes('/') || new Date(archivo.metadata.timeCreated).getTime() > limiteCreacion) {
+      continue;
+    }
+
+    if (!basesPorNegocio.has(propietario)) {
+      basesPorNegocio.set(propietario, await basesReferenciadas(propietario));
+    }
+
+    const bases = basesPorNegocio.get(propietario);
+    if (!bases || !bases.has(baseArchivo(archivo.name))) {
+      huerfanos.push({
+        fileName: archivo.name,
+        negocioID: propietario,
+        negocioExiste: Boolean(bases),
+        size: Number(archivo.metadata.size) || 0,
+        creado: archivo.metadata.timeCreated
+      });
+    }
+  }
+
+  return huerfanos;
+}
+
+// ============================================
+// PAPELERA Y PURGA DE NEGOCIOS
+// ============================================
+const RETENCION_PAPELERA_MS = 30 * 24 * 60 * 60 * 1000; // 30 días
+const TAMANO_LOTE_BORRADO = 400;                         // < 500 escrituras por batch
+
+// Borra una colección por lotes, descendiendo antes a las subcolecciones de
+// cada documento. Devuelve false si algún lote falló
+async function borrarColeccion(coleccionRef, progreso) {
+  for (;;) {
+    const snapshot = await coleccionRef.limit(TAMANO_LOTE_BORRADO).get();
+    if (snapshot.empty) {
+      return true;
+    }
+
+    for (const doc of snapshot.docs) {
+      const subcolecciones = await doc.ref.listCollections();
+      for (const subcoleccion of subcolecciones) {
+        if (!(await borrarColeccion(subcoleccion, progreso))) {
+          return false;
+        }
+      }
+    }
+
+    try {
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    } catch (error) {
+      progreso.fallos.push({ ruta: coleccionRef.path, error: error.message });
+      return false;
+    }
+
+    progreso.documentosEliminados += snapshot.size;
+    await progreso.reportar();
+  }
+}
+
+async function purgarNegocio(negocioID, progreso) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const colecciones = await negocioRef.listCollections();
+  let completo = true;
+
+  for (const coleccion of colecciones) {
+    completo = (await borrarColeccion(coleccion, progreso)) && completo;
+  }
+
+  try {
+    const [archivos] = await bucket.getFiles({ prefix: `${negocioID}/` });
+    await bucket.deleteFiles({ prefix: `${negocioID}/`, force: true });
+    progreso.archivosEliminados += archivos.length;
+  } catch (error) {
+    progreso.fallos.push({ ruta: `storage:${negocioID}/`, error: error.message });
+    completo = false;
+  }
+
+  // El documento raíz solo se borra si todo lo demás se pudo borrar, así la
+  // purga puede reintentarse desde la papelera
+  if (completo) {
+    await liberarIdentificadores(negocioID);
+    await negocioRef.delete();
+    progreso.documentosEliminados += 1;
+  }
+
+  return completo;
+}
+
+// Lanza la purga en segundo plano y devuelve el ID del documento de progreso
+async function iniciarPurga(negocioIDs) {
+  const purgaRef = db.collection('purgas').doc();
+  const progreso = {
+    documentosEliminados: 0,
+    archivosEliminados: 0,
+    fallos: [],
+    reportar: () => purgaRef.update({
+      documentosEliminados: progreso.documentosEliminados,
+      archivosEliminados: progreso.archivosEliminados,
+      fallos: progreso.fallos,
+      actualizadaEn: admin.firestore.FieldValue.serverTimestamp()
+    })
+  };
+
+  await purgaRef.set({
+    estado: 'en_curso',
+    negocios: negocioIDs,
+    negociosPurgados: [],
+    documentosEliminados: 0,
+    archivosEliminados: 0,
+    fallos: [],
+    iniciadaEn: admin.firestore.FieldValue.serverTimestamp(),
+    actualizadaEn: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  (async () => {
+    const purgados = [];
+
+    for (const negocioID of negocioIDs) {
+      try {
+        if (await purgarNegocio(negocioID, progreso)) {
+          purgados.push(negocioID);
+        }
+      } catch (error) {
+        progreso.fallos.push({ negocioID, error: error.message });
+      }
+      await purgaRef.update({ negociosPurgados: purgados });
+      await progreso.reportar();
+    }
+
+    await purgaRef.update({
+      estado: progreso.fallos.length > 0 ? 'con_errores' : 'completada',
+      finalizadaEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+  })().catch(error => console.error('Error en purga de negocios:', error));
+
+  return purgaRef.id;
+}
+
+// La purga corre en el proceso: si se reinicia, su documento queda en_curso
+// sin avanzar. Las que no reportan progreso hace PURGA_INACTIVA_MS se marcan
+// interrumpidas y sus negocios pendientes (siguen en la papelera) vuelven a
+// entrar en la siguiente purga. Devuelve los negocios de las purgas vivas
+const PURGA_INACTIVA_MS = 30 * 60 * 1000;
+
+async function cerrarPurgasInterrumpidas() {
+  const snapshot = await db.collection('purgas').where('estado', '==', 'en_curso').get();
+  const limite = Date.now() - PURGA_INACTIVA_MS;
+  const enCurso = new Set();
+  const interrumpidas = [];
+
+  snapshot.docs.forEach(doc => {
+    const { negocios = [], actualizadaEn, iniciadaEn } = doc.data();
+    const ultimoAvance = (actualizadaEn || iniciadaEn)?.toMillis() ?? 0;
+    if (ultimoAvance < limite) {
+      interrumpidas.push(doc);
+    } else {
+      negocios.forEach(negocioID => enCurso.add(negocioID));
+    }
+  });
+
+  await Promise.all(interrumpidas.map(doc => doc.ref.update({
+    estado: 'interrumpida',
+    finalizadaEn: admin.firestore.FieldValue.serverTimestamp()
+  })));
+
+  return { enCurso, interrumpidas: interrumpidas.map(doc => doc.id) };
+}
+
+// ============================================
+// ALTA, EXPORTACIÓN E IMPORTACIÓN DE NEGOCIOS
+// ============================================
+const VERSION_BUNDLE = 1;
+const TAMANO_LOTE_ESCRITURA = 400;
+
+const COLECCIONES_EXPORTABLES = ['categorias', 'productos', 'servicios', 'testimonios', 'casosExito', 'galeria'];
+
+// Campos internos del documento del negocio que no viajan en un bundle
+const CAMPOS_NO_EXPORTABLES = ['admin', 'activo', 'briefCompletado', 'plan', 'limites', 'versionPublicada', 'publicadoEn', 'eliminado', 'eliminadoEn', 'purgarDespuesDe', 'slug', 'dominios', 'usoAlmacenamiento', 'usoAlmacenamientoCalculadoEn', 'createdAt', 'updatedAt'];
+
+// Campos que apuntan a documentos de otra colección (se remapean al importar)
+const REFERENCIAS_ENTRE_COLECCIONES = {
+  productoID: 'productos',
+  categoriaID: 'categorias'
+};
+
+const SECCIONES_POR_DEFECTO = {
+  hero: true,
+  servicios: true,
+  nosotros: true,
+  casosExito: true,
+  testimonios: true,
+  galeria: true,
+  contacto: true
+};
+
+function generarNegocioID() {
+  return 'neg_' + Math.random().toString(36).substring(2, 15);
+}
+
+function datosNegocioPorDefecto(nombreNegocio, email) {
+  return {
+    nombre: nombreNegocio,
+    slogan: 'Los mejores productos al mejor precio',
+    colores: {
+      primario: '#667eea',
+      secundario: '#10B981'
+    },
+    contacto: {
+      telefono: '',
+      whatsapp: '',
+      email: email,
+      direccion: '',
+      redesSociales: {
+        facebook: '',
+        instagram: ''
+      }
+    },
+    contenido: {
+      sobreNosotros: 'Somos una empresa dedicada a ofrecer los mejores productos.',
+      mision: '',
+      vision: ''
+    },
+    seccionesActivas: { ...SECCIONES_POR_DEFECTO }
+  };
+}
+
+// Crea el documento del negocio (con `datos` sobre los valores por defecto)
+// y su usuario owner con credenciales generadas
+async function crearNegocio({ nombreNegocio, email, slug, datos = {}, negocioID = generarNegocioID() }) {
+  const user = nombreNegocio.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 10) || 'user' + Date.now();
+  const pin = crypto.randomInt(1000, 10000).toString();
+  const pinHash = await hashearPin(pin);
+  const negocioRef = db.collection('negocios').doc(negocioID);
+
+  // El negocio y su owner se escriben en el mismo batch que reserva el slug
+  const slugAsignado = await reservarSlug(negocioID, slug || nombreNegocio, {
+    exacto: Boolean(slug),
+    escrituras: (batch, slugLibre) => {
+      batch.set(negocioRef, {
+        ...datosNegocioPorDefecto(nombreNegocio, email),
+        plan: PLAN_POR_DEFECTO,
+        ...datos,
+        usoAlmacenamiento: 0,
+        usoAlmacenamientoCalculadoEn: admin.firestore.FieldValue.serverTimestamp(),
+        nombre: nombreNegocio,
+        slug: slugLibre,
+        dominios: [],
+        admin: {
+          user: user,
+          email: email
+        },
+        activo: true,
+        briefCompletado: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // El contacto del alta queda como owner del negocio
+      batch.set(negocioRef.collection('usuarios').doc(user), {
+        user,
+        email,
+        rol: 'owner',
+        pinHash,
+        activo: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  });
+
+  return { negocioID, user, pin, slug: slugAsignado };
+}
+
+// Los Timestamp de Firestore se guardan en el bundle como objetos marcados
+function serializarParaBundle(valor) {
+  if (valor instanceof admin.firestore.Timestamp) {
+    return { __tipo: 'timestamp', valor: valor.toDate().toISOString() };
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(serializarParaBundle);
+  }
+  if (valor && typeof valor === 'object') {
+    return Object.fromEntries(Object.entries(valor).map(([clave, item]) => [clave, serializarParaBundle(item)]));
+  }
+  return valor;
+}
+
+// Las fechas inválidas se anotan en `errores` con su ruta
+function deserializarBundle(valor, ruta, errores) {
+  if (Array.isArray(valor)) {
+    return valor.map((item, i) => deserializarBundle(item, `${ruta}[${i}]`, errores));
+  }
+  if (valor && typeof valor === 'object') {
+    if (valor.__tipo === 'timestamp') {
+      const fecha = new Date(valor.valor);
+      if (typeof valor.valor !== 'string' || Number.isNaN(fecha.getTime())) {
+        errores.push({ campo: ruta, mensaje: 'Fecha inválida' });
+        return null;
+      }
+      return admin.firestore.Timestamp.fromDate(fecha);
+    }
+    return Object.fromEntries(Object.entries(valor).map(([clave, item]) => [clave, deserializarBundle(item, `${ruta}.${clave}`, errores)]));
+  }
+  return valor;
+}
+
+// Pedido tal como queda guardado (con precios, estado e historial); el
+// ESQUEMA_PEDIDO de la ruta pública solo describe lo que envía el cliente
+const ESQUEMA_PEDIDO_BUNDLE = {
+  cliente: ESQUEMA_PEDIDO.cliente,
+  items: {
+    tipo: 'lista',
+    requerido: true,
+    max: 100,
+    items: {
+      tipo: 'objeto',
+      campos: {
+        productoID: { tipo: 'texto', requerido: true, max: 128 },
+        varianteID: { tipo: 'texto', max: 40 },
+        nombre: { tipo: 'texto', max: 300 },
+        sku: { tipo: 'texto', max: 60 },
+        precioUnitario: { tipo: 'numero', min: 0 },
+        cantidad: { tipo: 'entero', requerido: true, min: 1 },
+        subtotal: { tipo: 'numero', min: 0 }
+      }
+    }
+  },
+  notas: ESQUEMA_PEDIDO.notas,
+  subtotal: { tipo: 'numero', min: 0 },
+  total: { tipo: 'numero', min: 0 },
+  estado: { tipo: 'texto', max: 40 },
+  stockDescontado: { tipo: 'booleano' },
+  codigoSeguimiento: { tipo: 'texto', max: 20 },
+  historial: {
+    tipo: 'lista',
+    items: {
+      tipo: 'objeto',
+      campos: {
+        estado: { tipo: 'texto', max: 40 },
+        anterior: { tipo: 'texto', max: 40 },
+        fecha: { tipo: 'timestamp' },
+        nota: { tipo: 'texto', max: 1000 },
+        actor: { tipo: 'texto', max: 128 }
+      }
+    }
+  },
+  fechaCreacion: { tipo: 'timestamp' }
+};
+
+// Todo documento del bundle se valida antes de escribir nada
+const ESQUEMA_NEGOCIO_BUNDLE = {
+  ...ESQUEMA_NEGOCIO_SUPER_ADMIN,
+  mensajes: { tipo: 'objeto', campos: ESQUEMA_MENSAJES }
+};
+
+const ESQUEMAS_BUNDLE = {
+  categorias: ESQUEMA_CATEGORIA,
+  productos: ESQUEMA_PRODUCTO,
+  servicios: ESQUEMA_SERVICIO,
+  testimonios: ESQUEMA_TESTIMONIO,
+  casosExito: ESQUEMA_CASO_EXITO,
+  galeria: ESQUEMA_GALERIA,
+  pedidos: ESQUEMA_PEDIDO_BUNDLE
+};
+
+// createdAt/updatedAt son campos protegidos del esquema: se comprueban aparte
+function validarDocumentoBundle(esquema, datos, ruta, errores, { parcial = false } = {}) {
+  const { createdAt, updatedAt, ...resto } = datos;
+  const resultado = validarEsquema(esquema, resto, { parcial });
+
+  resultado.errores.forEach(({ campo, mensaje }) => errores.push({ campo: campo ? `${ruta}.${campo}` : ruta, mensaje }));
+  [['createdAt', createdAt], ['updatedAt', updatedAt]].forEach(([campo, valor]) => {
+    if (valor !== undefined && valor !== null && !(valor instanceof admin.firestore.Timestamp)) {
+      errores.push({ campo: `${ruta}.${campo}`, mensaje: 'Debe ser una fecha' });
+    }
+  });
+
+  return {
+    ...resultado.valores,
+    ...(createdAt && { createdAt }),
+    ...(updatedAt && { updatedAt })
+  };
+}
+
+async function exportarNegocio(negocioID, { incluirPedidos }) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const negocioDoc = await negocioRef.get();
+
+  const negocio = { ...negocioDoc.data() };
+  CAMPOS_NO_EXPORTABLES.forEach(campo => delete negocio[campo]);
+
+  const colecciones = {};
+  const nombres = incluirPedidos ? [...COLECCIONES_EXPORTABLES, 'pedidos'] : COLECCIONES_EXPORTABLES;
+
+  for (const nombre of nombres) {
+    const snapshot = await negocioRef.collection(nombre).get();
+    colecciones[nombre] = snapshot.docs.map(doc => ({ id: doc.id, datos: serializarParaBundle(doc.data()) }));
+  }
+
+  const imagenes = archivosReferenciados(negocioID, negocio);
+  Object.values(colecciones).forEach(docs => {
+    docs.forEach(doc => archivosReferenciados(negocioID, doc.datos, imagenes));
+  });
+
+  return {
+    formato: 'negocio-bundle',
+    version: VERSION_BUNDLE,
+    exportadoEn: new Date().toISOString(),
+    origen: { negocioID },
+    negocio: serializarParaBundle(negocio),
+    colecciones,
+    imagenes: [...imagenes]
+  };
+}
+
+// Reescribe las referencias a archivos del negocio origen hacia la carpeta
+// del destino y anota qué archivos hay que copiar
+function reubicarArchivos(valor, origenID, destinoID, archivos) {
+  if (typeof valor === 'string') {
+    const referencias = archivosReferenciados(origenID, valor);
+    if (referencias.size === 0) {
+      return valor;
+    }
+    referencias.forEach(fileName => archivos.add(fileName));
+    return valor.replace(`${origenID}/`, `${destinoID}/`);
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(item => reubicarArchivos(item, origenID, destinoID, archivos));
+  }
+  if (valor && typeof valor === 'object' && !(valor instanceof admin.firestore.Timestamp)) {
+    return Object.fromEntries(Object.entries(valor).map(([clave, item]) => [clave, reubicarArchivos(item, origenID, destinoID, archivos)]));
+  }
+  return valor;
+}
+
+// Sustituye los IDs de documentos referenciados por los nuevos IDs
+function remapearReferencias(valor, mapas) {
+  if (Array.isArray(valor)) {
+    return valor.map(item => remapearReferencias(item, mapas));
+  }
+  if (valor && typeof valor === 'object' && !(valor instanceof admin.firestore.Timestamp)) {
+    return Object.fromEntries(Object.entries(valor).map(([clave, item]) => {
+      const coleccion = REFERENCIAS_ENTRE_COLECCIONES[clave];
+      if (coleccion && typeof item === 'string' && mapas[coleccion]?.has(item)) {
+        return [clave, mapas[coleccion].get(item)];
+      }
+      return [clave, remapearReferencias(item, mapas)];
+    }));
+  }
+  return valor;
+}
+
+function validarBundle(bundle) {
+  const errores = [];
+
+  if (!bundle || bundle.formato !== 'negocio-bundle') {
+    errores.push({ campo: 'bundle.formato', mensaje: 'No es un bundle de negocio' });
+  } else if (bundle.version !== VERSION_BUNDLE) {
+    errores.push({ campo: 'bundle.version', mensaje: `Versión no soportada (se espera ${VERSION_BUNDLE})` });
+  } else {
+    if (!bundle.origen?.negocioID) {
+      errores.push({ campo: 'bundle.origen.negocioID', mensaje: 'Campo requerido' });
+    }
+    if (!bundle.negocio || typeof bundle.negocio !== 'object') {
+      errores.push({ campo: 'bundle.negocio', mensaje: 'Debe ser un objeto' });
+    }
+
+    const permitidas = [...COLECCIONES_EXPORTABLES, 'pedidos'];
+    Object.entries(bundle.colecciones || {}).forEach(([nombre, docs]) => {
+      if (!permitidas.includes(nombre)) {
+        errores.push({ campo: `bundle.colecciones.${nombre}`, mensaje: 'Colección no permitida' });
+      } else if (!Array.isArray(docs) || docs.some(doc => !doc || typeof doc.id !== 'string' || typeof doc.datos !== 'object')) {
+        errores.push({ campo: `bundle.colecciones.${nombre}`, mensaje: 'Debe ser una lista de { id, datos }' });
+      }
+    });
+  }
+
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Bundle inválido', errores);
+  }
+}
+
+// Recrea el bundle bajo un negocioID nuevo: documentos con IDs nuevos,
+// referencias remapeadas e imágenes copiadas a la carpeta del nuevo negocio
+async function importarBundle(bundle, { nombreNegocio, email, slug }) {
+  validarBundle(bundle);
+
+  const origenID = bundle.origen.negocioID;
+  const negocioID = generarNegocioID();
+  const archivos = new Set();
+
+  const errores = [];
+  const negocioBundle = reubicarArchivos(deserializarBundle(bundle.negocio, 'bundle.negocio', errores), origenID, negocioID, archivos);
+  CAMPOS_NO_EXPORTABLES.forEach(campo => delete negocioBundle[campo]);
+  const datosNegocio = validarDocumentoBundle(ESQUEMA_NEGOCIO_BUNDLE, negocioBundle, 'bundle.negocio', errores, { parcial: true });
+
+  const nombreFinal = nombreNegocio || datosNegocio.nombre || 'Negocio importado';
+  const emailFinal = email || datosNegocio.contacto?.email;
+
+  if (!emailFinal || !FORMATO_EMAIL.test(emailFinal)) {
+    throw errorHttp(400, 'Se requiere un email válido para el owner del negocio importado');
+  }
+
+  if (email) {
+    datosNegocio.contacto = { ...datosNegocio.contacto, email };
+  }
+
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const colecciones = bundle.colecciones || {};
+
+  // Primero se asignan todos los IDs nuevos para poder remapear referencias
+  const mapas = {};
+  Object.entries(colecciones).forEach(([nombre, docs]) => {
+    mapas[nombre] = new Map(docs.map(doc => [doc.id, negocioRef.collection(nombre).doc().id]));
+  });
+
+  const escrituras = [];
+  Object.entries(colecciones).forEach(([nombre, docs]) => {
+    docs.forEach((doc, i) => {
+      const ruta = `bundle.colecciones.${nombre}[${i}]`;
+      const datos = remapearReferencias(
+        reubicarArchivos(deserializarBundle(doc.datos, `${ruta}.datos`, errores), origenID, negocioID, archivos),
+        mapas
+      );
+      escrituras.push({
+        ref: negocioRef.collection(nombre).doc(mapas[nombre].get(doc.id)),
+        datos: validarDocumentoBundle(ESQUEMAS_BUNDLE[nombre], datos, `${ruta}.datos`, errores)
+      });
+    });
+  });
+
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Bundle inválido', errores.slice(0, 100));
+  }
+
+  const { user, pin, slug: slugAsignado } = await crearNegocio({
+    nombreNegocio: nombreFinal,
+    email: emailFinal,
+    slug,
+    datos: datosNegocio,
+    negocioID
+  });
+
+  // Si algo falla a mitad de camino no queda un negocio a medio crear
+  const faltantes = [];
+  let copiadas = 0;
+  let bytesCopiados = 0;
+  try {
+    for (let i = 0; i < escrituras.length; i += TAMANO_LOTE_ESCRITURA) {
+      const batch = db.batch();
+      escrituras.slice(i, i + TAMANO_LOTE_ESCRITURA).forEach(({ ref, datos }) => batch.set(ref, datos));
+      await batch.commit();
+    }
+
+    // Copia de imágenes (y sus variantes); las que ya no existen se reportan
+    for (const fileName of [...archivos].flatMap(archivosRelacionados)) {
+      const destino = bucket.file(fileName.replace(`${origenID}/`, `${negocioID}/`));
+      try {
+        await bucket.file(fileName).copy(destino);
+        await destino.makePublic();
+        const [metadata] = await destino.getMetadata();
+        bytesCopiados += Number(metadata.size || 0);
+        copiadas++;
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+        if (archivos.has(fileName)) {
+          faltantes.push(fileName);
+        }
+      }
+    }
+    await ajustarAlmacenamiento(negocioID, bytesCopiados);
+  } catch (error) {
+    const limpieza = await Promise.allSettled([
+      db.recursiveDelete(negocioRef),
+      liberarIdentificadores(negocioID),
+      bucket.deleteFiles({ prefix: `${negocioID}/`, force: true })
+    ]);
+    limpieza.filter(resultado => resultado.status === 'rejected').forEach(resultado => {
+      console.error(`Error limpiando la importación fallida de ${negocioID}:`, resultado.reason);
+    });
+    throw error;
+  }
+
+  return {
+    negocioID,
+    user,
+    pin,
+    slug: slugAsignado,
+    nombreNegocio: nombreFinal,
+    email: emailFinal,
+    documentos: escrituras.length,
+    imagenes: { copiadas, faltantes }
+  };
+}
+
+// ============================================
+// SUPER ADMIN - GESTIÓN DE NEGOCIOS (PROTEGIDO)
+// ============================================
+app.get('/api/super-admin/negocios', validarSuperAdmin, async (req, res) => {
+  try {
+    const negociosRef = db.collection('negocios');
+    const snapshot = await negociosRef.get();
+
+    const negocios = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      if (data.eliminado) return;
+
+      negocios.push({
+        id: doc.id,
+        negocioID: doc.id,
+        nombreNegocio: data.nombre || 'Sin nombre',
+        slug: data.slug || null,
+        dominios: data.dominios || [],
+        email: data.admin?.email || 'N/A',
+        user: data.admin?.user || 'N/A',
+        activo: data.activo !== false,
+        briefCompletado: data.briefCompletado || false,
+        plan: limitesDelPlan(data).plan,
+        fechaCreacion: data.createdAt,
+        colores: data.colores,
+        updatedAt: data.updatedAt
+      });
+    });
+
+    res.json({ negocios });
+  } catch (error) {
+    console.error('Error obteniendo negocios:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/super-admin/negocios', validarSuperAdmin, auditar('negocio', docDelNegocio), async (req, res) => {
+  try {
+    const { nombreNegocio, email, plantillaID, slug } = req.body;
+
+    if (!nombreNegocio || !email) {
+      return res.status(400).json({ error: 'Faltan datos requeridos: nombreNegocio y email' });
+    }
+
+    if (!FORMATO_EMAIL.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (slug !== undefined && !slugValido(slug)) {
+      return res.status(400).json({ error: 'Slug inválido: minúsculas, números y guiones (3 a 60 caracteres)' });
+    }
+
+    // Clonar desde un negocio plantilla en lugar de los valores por defecto
+    if (plantillaID) {
+      const plantillaDoc = await db.collection('negocios').doc(plantillaID).get();
+
+      if (!plantillaDoc.exists || plantillaDoc.data().eliminado) {
+        return res.status(404).json({ error: 'Negocio plantilla no encontrado' });
+      }
+
+      const bundle = await exportarNegocio(plantillaID, { incluirPedidos: false });
+      const resultado = await importarBundle(bundle, { nombreNegocio, email, slug });
+
+      return res.json({
+        success: true,
+        negocioID: resultado.negocioID,
+        negocio: { negocioID: resultado.negocioID, user: resultado.user, pin: resultado.pin, slug: resultado.slug, nombreNegocio, email },
+        plantillaID,
+        documentos: resultado.documentos,
+        imagenes: resultado.imagenes
+      });
+    }
+
+    const { negocioID, user, pin, slug: slugAsignado } = await crearNegocio({ nombreNegocio, email, slug });
+
+    res.json({ 
+      success: true, 
+      negocioID,
+      negocio: {
+        negocioID,
+        user,
+        pin,
+        slug: slugAsignado,
+        nombreNegocio,
+        email
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error creando negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/super-admin/negocios/:negocioID/exportar', validarSuperAdmin, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const bundle = await exportarNegocio(negocioID, {
+      incluirPedidos: req.query.incluirPedidos === 'true'
+    });
+
+    res.set('Content-Disposition', `attachment; filename="${negocioID}-bundle-v${VERSION_BUNDLE}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Error exportando negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/super-admin/negocios/:negocioID/slug', validarSuperAdmin, auditar('negocio', docDelNegocio), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { slug } = req.body;
+
+    if (!slugValido(slug)) {
+      return res.status(400).json({ error: 'Slug inválido: minúsculas, números y guiones (3 a 60 caracteres)' });
+    }
+
+    const resultado = await cambiarSlug(negocioID, slug);
+
+    res.json({ success: true, ...resultado });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error cambiando slug:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/super-admin/negocios/:negocioID/dominios', validarSuperAdmin, auditar('negocio', docDelNegocio), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { dominios } = req.body;
+
+    if (!Array.isArray(dominios) || dominios.length > 10) {
+      return res.status(400).json({ error: 'dominios debe ser una lista (máximo 10)' });
+    }
+
+    const normalizados = [...new Set(dominios.map(normalizarDominio))];
+    const invalidos = normalizados.filter(dominio => !FORMATO_DOMINIO.test(dominio));
+
+    if (invalidos.length > 0) {
+      return res.status(400).json({ error: 'Dominios inválidos', detalles: invalidos });
+    }
+
+    await actualizarDominios(negocioID, normalizados);
+
+    res.json({ success: true, dominios: normalizados });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error actualizando dominios:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/super-admin/negocios/importar', validarSuperAdmin, auditar('negocio', docDelNegocio), async (req, res) => {
+  try {
+    const { bundle, nombreNegocio, email, slug } = req.body;
+
+    if (!bundle) {
+      return res.status(400).json({ error: 'No se proporcionó el bundle' });
+    }
+
+    if (email !== undefined && !FORMATO_EMAIL.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (slug !== undefined && !slugValido(slug)) {
+      return res.status(400).json({ error: 'Slug inválido: minúsculas, números y guiones (3 a 60 caracteres)' });
+    }
+
+    const resultado = await importarBundle(bundle, { nombreNegocio, email, slug });
+
+    res.json({
+      success: true,
+      negocioID: resultado.negocioID,
+      negocio: {
+        negocioID: resultado.negocioID,
+        user: resultado.user,
+        pin: resultado.pin,
+        slug: resultado.slug,
+        nombreNegocio: resultado.nombreNegocio,
+        email: resultado.email
+      },
+      documentos: resultado.documentos,
+      imagenes: resultado.imagenes
+    });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error importando negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/super-admin/negocios/:negocioID', validarSuperAdmin, auditar('negocio', docDelNegocio), validarCuerpo(ESQUEMA_NEGOCIO_SUPER_ADMIN, { parcial: true }), verificarIdiomas, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const datos = req.datos;
+
+    await db.collection('negocios').doc(negocioID).update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error actualizando negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Borrado lógico: el negocio pasa a la papelera y se purga al vencer la retención
+app.delete('/api/super-admin/negocios/:negocioID', validarSuperAdmin, auditar('negocio', docDelNegocio), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioRef = db.collection('negocios').doc(negocioID);
+    const negocioDoc = await negocioRef.get();
+
+    if (!negocioDoc.exists || negocioDoc.data().eliminado) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const purgarDespuesDe = admin.firestore.Timestamp.fromMillis(Date.now() + RETENCION_PAPELERA_MS);
+
+    await negocioRef.update({
+      eliminado: true,
+      eliminadoEn: admin.firestore.FieldValue.serverTimestamp(),
+      purgarDespuesDe
+    });
+    await revocarSesiones(negocioID);
+
+    res.json({ success: true, purgarDespuesDe: purgarDespuesDe.toDate().toISOString() });
+  } catch (error) {
+    console.error('Error eliminando negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/super-admin/papelera', validarSuperAdmin, async (req, res) => {
+  try {
+    const snapshot = await db.collection('negocios').where('eliminado', '==', true).get();
+
+    const negocios = snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        negocioID: doc.id,
+        nombreNegocio: data.nombre || 'Sin nombre',
+        email: data.admin?.email || 'N/A',
+        eliminadoEn: data.eliminadoEn,
+        purgarDespuesDe: data.purgarDespuesDe
+      };
+    });
+
+    res.json({ negocios });
+  } catch (error) {
+    console.error('Error obteniendo papelera:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/super-admin/papelera/:negocioID/restaurar', validarSuperAdmin, auditar('negocio', docDelNegocio), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioRef = db.collection('negocios').doc(negocioID);
+    const negocioDoc = await negocioRef.get();
+
+    if (!negocioDoc.exists || !negocioDoc.data().eliminado) {
+      return res.status(404).json({ error: 'El negocio no está en la papelera' });
+    }
+
+    await negocioRef.update({
+      eliminado: admin.firestore.FieldValue.delete(),
+      eliminadoEn: admin.firestore.FieldValue.delete(),
+      purgarDespuesDe: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, message: 'Negocio restaurado' });
+  } catch (error) {
+    console.error('Error restaurando negocio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purga inmediata de un negocio de la papelera (sin esperar la retención)
+app.delete('/api/super-admin/papelera/:negocioID', validarSuperAdmin, auditar('purga'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists || !negocioDoc.data().eliminado) {
+      return res.status(404).json({ error: 'El negocio no está en la papelera' });
+    }
+
+    const purgaID = await iniciarPurga([negocioID]);
+
+    res.status(202).json({ success: true, purgaID });
+  } catch (error) {
+    console.error('Error iniciando purga:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purga todos los negocios cuya retención venció (pensado para un cron) y
+// retoma los de purgas interrumpidas
+app.post('/api/super-admin/papelera/purgar', validarSuperAdmin, auditar('purga'), async (req, res) => {
+  try {
+    const { enCurso, interrumpidas } = await cerrarPurgasInterrumpidas();
+    const snapshot = await db.collection('negocios')
+      .where('purgarDespuesDe', '<=', admin.firestore.Timestamp.now())
+      .get();
+    const negocioIDs = snapshot.docs
+      .filter(doc => doc.data().eliminado && !enCurso.has(doc.id))
+      .map(doc => doc.id);
+
+    if (negocioIDs.length === 0) {
+      return res.json({ success: true, purgaID: null, negocios: [], interrumpidas });
+    }
+
+    const purgaID = await iniciarPurga(negocioIDs);
+
+    res.status(202).json({ success: true, purgaID, negocios: negocioIDs, interrumpidas });
+  } catch (error) {
+    console.error('Error iniciando purga:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/super-admin/purgas/:purgaID', validarSuperAdmin, async (req, res) => {
+  try {
+    const purgaDoc = await db.collection('purgas').doc(req.params.purgaID).get();
+
+    if (!purgaDoc.exists) {
+      return res.status(404).json({ error: 'Purga no encontrada' });
+    }
+
+    res.json({ id: purgaDoc.id, ...purgaDoc.data() });
+  } catch (error) {
+    console.error('Error obteniendo purga:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reporte (sin borrar nada) de archivos que ningún documento referencia;
+// ?negocioID= limita la revisión a un negocio
+app.get('/api/super-admin/archivos-huerfanos', validarSuperAdmin, async (req, res) => {
+  try {
+    const huerfanos = await buscarArchivosHuerfanos(req.query.negocioID);
+
+    res.json({
+      total: huerfanos.length,
+      bytes: huerfanos.reduce((suma, archivo) => suma + archivo.size, 0),
+      archivos: huerfanos
+    });
+  } catch (error) {
+    console.error('Error buscando archivos huérfanos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/super-admin/archivos-huerfanos', validarSuperAdmin, auditar('archivos'), async (req, res) => {
+  try {
+    const huerfanos = await buscarArchivosHuerfanos(req.query.negocioID);
+    await eliminarArchivos(huerfanos.map(archivo => archivo.fileName));
+
+    res.json({
+      success: true,
+      eliminados: huerfanos.length,
+      bytes: huerfanos.reduce((suma, archivo) => suma + archivo.size, 0),
+      archivos: huerfanos.map(archivo => archivo.fileName)
+    });
+  } catch (error) {
+    console.error('Error eliminando archivos huérfanos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// El super admin nunca ve el PIN: emite un código de un solo uso para que
+// el usuario del negocio defina uno nuevo (por defecto, el owner)
+// Sin `user` se reinicia el PIN del primer owner
+async function usuarioAReiniciar(req) {
+  const { negocioID } = req.params;
+  if (req.body.user) {
+    return refUsuario(negocioID, req.body.user);
+  }
+  const owners = await usuariosRef(negocioID).where('rol', '==', 'owner').limit(1).get();
+  return owners.empty ? null : owners.docs[0].ref;
+}
+
+app.post('/api/super-admin/negocios/:negocioID/reset-pin', validarSuperAdmin, auditar('usuarios', usuarioAReiniciar), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    await migrarAdminLegacy(negocioID, negocioDoc.data());
+
+    const usuarioRef = await usuarioAReiniciar(req);
+    const usuarioDoc = usuarioRef ? await usuarioRef.get() : null;
+
+    if (!usuarioDoc?.exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const { codigo, expiraEn, resetPin } = nuevoCodigoAcceso();
+
+    await usuarioDoc.ref.update({
+      resetPin,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      codigo,
+      user: usuarioDoc.id,
+      expiraEn
+    });
+  } catch (error) {
+    console.error('Error generando código de reset:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ESTADÍSTICAS DE LA PLATAFORMA
+// ============================================
+const CONCURRENCIA_ESTADISTICAS = 5;
+const ORDEN_ESTADISTICAS = ['nombre', 'createdAt', 'productos', 'servicios', 'galeria', 'pedidos', 'ingresos', 'ultimaActividad', 'almacenamiento'];
+
+// Ejecuta `fn` sobre los elementos con un máximo de `limite` en paralelo
+async function enParalelo(items, limite, fn) {
+  const resultados = new Array(items.length);
+  let siguiente = 0;
+
+  const trabajador = async () => {
+    while (siguiente < items.length) {
+      const i = siguiente++;
+      resultados[i] = await fn(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limite, items.length) }, trabajador));
+  return resultados;
+}
+
+// Bytes ocupados en Storage (originales y variantes) por negocio: un
+// listado del prefijo del negocio o, sin negocioID, del bucket completo
+async function almacenamientoUsado(negocioID) {
+  const [archivos] = await bucket.getFiles(negocioID ? { prefix: `${negocioID}/` } : {});
+  const porNegocio = new Map();
+
+  archivos.forEach(archivo => {
+    const [propietario] = archivo.name.split('/');
+    porNegocio.set(propietario, (porNegocio.get(propietario) || 0) + Number(archivo.metadata.size || 0));
+  });
+
+  return porNegocio;
+}
+
+async function contarDocumentos(query) {
+  const snapshot = await query.count().get();
+  return snapshot.data().count;
+}
+
+// Pedidos por estado e ingresos (suma de `total` sin anulados) en el rango
+async function resumenPedidos(negocioID, desde, hasta) {
+  let query = db.collection('negocios').doc(negocioID).collection('pedidos');
+  if (desde) query = query.where('fechaCreacion', '>=', admin.firestore.Timestamp.fromDate(desde));
+  if (hasta) query = query.where('fechaCreacion', '<=', admin.firestore.Timestamp.fromDate(hasta));
+
+  const porEstado = {};
+  let ingresos = 0;
+
+  await Promise.all(ESTADOS_PEDIDO.map(async (estado) => {
+    const snapshot = await query.where('estado', '==', estado).aggregate({
+      cantidad: admin.firestore.AggregateField.count(),
+      total: admin.firestore.AggregateField.sum('total')
+    }).get();
+    const { cantidad, total } = snapshot.data();
+
+    porEstado[estado] = cantidad;
+    if (!ESTADOS_PEDIDO_ANULADO.includes(estado)) {
+      ingresos += total || 0;
+    }
+  }));
+
+  return {
+    porEstado,
+    total: Object.values(porEstado).reduce((suma, cantidad) => suma + cantidad, 0),
+    ingresos: redondearMoneda(ingresos)
+  };
+}
+
+// Última acción de un usuario del negocio: su último cambio auditado o el
+// último uso de una sesión, lo más reciente
+async function ultimaActividadAdmin(negocioID) {
+  const [auditoria, sesiones] = await Promise.all([
+    db.collection('auditoria')
+      .where('negocioID', '==', negocioID)
+      .where('actor.tipo', '==', 'usuario')
+      .orderBy('fecha', 'desc')
+      .limit(1)
+      .get(),
+    db.collection('negocios').doc(negocioID).collection('sesiones')
+      .orderBy('ultimoUso', 'desc')
+      .limit(1)
+      .get()
+  ]);
+
+  const fechas = [
+    auditoria.docs[0]?.data().fecha,
+    sesiones.docs[0]?.data().ultimoUso
+  ].filter(Boolean).map(fecha => fecha.toMillis());
+
+  return fechas.length > 0 ? new Date(Math.max(...fechas)).toISOString() : null;
+}
+
+// Los conteos y agregados de cada negocio (varias consultas por negocio) se
+// cachean por rango de fechas; ?actualizar=true los vuelve a calcular
+const TTL_CACHE_ESTADISTICAS_MS = 5 * 60 * 1000;
+const cacheEstadisticas = new Map();
+
+function guardarEnCacheEstadisticas(clave, valores) {
+  const ahora = Date.now();
+  cacheEstadisticas.forEach((entrada, otra) => {
+    if (entrada.expira <= ahora) cacheEstadisticas.delete(otra);
+  });
+  cacheEstadisticas.set(clave, { valores, expira: ahora + TTL_CACHE_ESTADISTICAS_MS });
+}
+
+// Una métrica que falla (p. ej. falta un índice) queda en null y se anota
+// en `errores` del negocio en lugar de tumbar todo el listado; esas no se
+// cachean. El almacenamiento sale del contador del negocio
+async function metricasNegocio(doc, { desde, hasta, actualizar }) {
+  const negocioRef = doc.ref;
+  const data = doc.data();
+  const errores = [];
+  const metrica = (campo, promesa) => promesa.catch(error => {
+    console.error(`Error calculando ${campo} de ${doc.id}:`, error);
+    errores.push({ campo, mensaje: error.message });
+    return null;
+  });
+
+  const clave = [doc.id, desde ? desde.toISOString() : '', hasta ? hasta.toISOString() : ''].join('|');
+  const enCache = cacheEstadisticas.get(clave);
+  let calculadas = !actualizar && enCache && enCache.expira > Date.now() ? enCache.valores : null;
+
+  if (!calculadas) {
+    const [productosContados, serviciosContados, galeriaContada, resumen, actividad, brief] = await Promise.all([
+      metrica('productos', contarDocumentos(negocioRef.collection('productos'))),
+      metrica('servicios', contarDocumentos(negocioRef.collection('servicios'))),
+      metrica('galeria', contarDocumentos(negocioRef.collection('galeria'))),
+      metrica('pedidos', resumenPedidos(doc.id, desde, hasta)),
+      metrica('ultimaActividad', ultimaActividadAdmin(doc.id)),
+      metrica('estadoBrief', refBrief(doc.id).get())
+    ]);
+    calculadas = {
+      productos: productosContados,
+      servicios: serviciosContados,
+      galeria: galeriaContada,
+      pedidos: resumen,
+      ultimaActividad: actividad,
+      estadoBrief: brief?.exists ? brief.data().estado : null
+    };
+    if (errores.length === 0) {
+      guardarEnCacheEstadisticas(clave, calculadas);
+    }
+  }
+
+  const { productos, servicios, galeria, pedidos, ultimaActividad, estadoBrief } = calculadas;
+  const almacenamiento = await metrica('almacenamiento', almacenamientoDelNegocio(doc.id, data));
+
+  return {
+    negocioID: doc.id,
+    nombre: data.nombre || 'Sin nombre',
+    slug: data.slug || null,
+    activo: data.activo !== false,
+    createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+    productos,
+    servicios,
+    galeria,
+    pedidos: pedidos ? pedidos.porEstado : null,
+    totalPedidos: pedidos ? pedidos.total : null,
+    ingresos: pedidos ? pedidos.ingresos : null,
+    ultimaActividad,
+    briefCompletado: data.briefCompletado === true,
+    estadoBrief,
+    almacenamiento,
+    ...(errores.length > 0 && { errores })
+  };
+}
+
+function valorParaOrdenar(metricas, campo) {
+  if (campo === 'pedidos') return metricas.totalPedidos;
+  return metricas[campo];
+}
+
+// Métricas por negocio y totales de la plataforma. Filtros: activo,
+// briefCompletado, sinActividadDesde (sin actividad de admin desde esa
+// fecha) y q (nombre); rango de pedidos e ingresos con desde/hasta.
+// Las métricas pueden tener hasta TTL_CACHE_ESTADISTICAS_MS de antigüedad
+app.get('/api/super-admin/estadisticas', validarSuperAdmin, async (req, res) => {
+  try {
+    const errores = [];
+    const fecha = (param) => {
+      if (!req.query[param]) return null;
+      const valor = new Date(req.query[param]);
+      if (Number.isNaN(valor.getTime())) {
+        errores.push({ campo: param, mensaje: 'Debe ser una fecha ISO 8601' });
+        return null;
+      }
+      return valor;
+    };
+    const booleano = (param) => {
+      const valor = req.query[param];
+      if (valor === undefined) return undefined;
+      if (valor !== 'true' && valor !== 'false') {
+        errores.push({ campo: param, mensaje: 'Debe ser true o false' });
+        return undefined;
+      }
+      return valor === 'true';
+    };
+
+    const desde = fecha('desde');
+    const hasta = fecha('hasta');
+    const sinActividadDesde = fecha('sinActividadDesde');
+    const activo = booleano('activo');
+    const briefCompletado = booleano('briefCompletado');
+    const ordenarPor = req.query.ordenarPor || 'nombre';
+    const direccion = req.query.direccion || 'asc';
+
+    if (!ORDEN_ESTADISTICAS.includes(ordenarPor)) {
+      errores.push({ campo: 'ordenarPor', mensaje: `Valores permitidos: ${ORDEN_ESTADISTICAS.join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(direccion)) {
+      errores.push({ campo: 'direccion', mensaje: 'Valores permitidos: asc, desc' });
+    }
+    if (errores.length > 0) {
+      return res.status(400).json({ error: 'Parámetros inválidos', detalles: errores });
+    }
+
+    const snapshot = await db.collection('negocios').get();
+    const texto = (req.query.q || '').toLowerCase();
+    const candidatos = snapshot.docs.filter(doc => {
+      const data = doc.data();
+      if (data.eliminado) return false;
+      if (activo !== undefined && (data.activo !== false) !== activo) return false;
+      if (briefCompletado !== undefined && (data.briefCompletado === true) !== briefCompletado) return false;
+      if (texto && !(data.nombre || '').toLowerCase().includes(texto)) return false;
+      return true;
+    });
+
+    const actualizar = req.query.actualizar === 'true';
+    let negocios = await enParalelo(candidatos, CONCURRENCIA_ESTADISTICAS,
+      doc => metricasNegocio(doc, { desde, hasta, actualizar }));
+
+    if (sinActividadDesde) {
+      const limite = sinActividadDesde.getTime();
+      negocios = negocios.filter(negocio => !negocio.ultimaActividad || new Date(negocio.ultimaActividad).getTime() < limite);
+    }
+
+    // Los valores nulos (sin actividad, sin fecha) quedan siempre al final
+    const signo = direccion === 'asc' ? 1 : -1;
+    negocios.sort((a, b) => {
+      const va = valorParaOrdenar(a, ordenarPor);
+      const vb = valorParaOrdenar(b, ordenarPor);
+      if (va === vb) return 0;
+      if (va === null || va === undefined) return 1;
+      if (vb === null || vb === undefined) return -1;
+      return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * signo;
+    });
+
+    const totales = {
+      negocios: negocios.length,
+      activos: negocios.filter(negocio => negocio.activo).length,
+      briefCompletado: negocios.filter(negocio => negocio.briefCompletado).length,
+      productos: 0,
+      servicios: 0,
+      galeria: 0,
+      pedidos: Object.fromEntries(ESTADOS_PEDIDO.map(estado => [estado, 0])),
+      totalPedidos: 0,
+      ingresos: 0,
+      almacenamiento: 0
+    };
+    // Las métricas que no se pudieron calcular (null) no suman
+    negocios.forEach(negocio => {
+      ['productos', 'servicios', 'galeria', 'totalPedidos', 'ingresos', 'almacenamiento'].forEach(campo => {
+        totales[campo] += negocio[campo] || 0;
+      });
+      ESTADOS_PEDIDO.forEach(estado => {
+        totales.pedidos[estado] += negocio.pedidos?.[estado] || 0;
+      });
+    });
+    totales.ingresos = redondearMoneda(totales.ingresos);
+
+    res.json({
+      rango: { desde: desde ? desde.toISOString() : null, hasta: hasta ? hasta.toISOString() : null },
+      totales,
+      negocios
+    });
+  } catch (error) {
+    console.error('Error obteniendo estadísticas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// AUTENTICACIÓN
+// ============================================
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { user, pin, negocioID } = req.body;
+
+    if (!user || !pin || !negocioID) {
+      return res.status(400).json({ error: 'Faltan datos' });
+    }
+
+    if (!idDocumentoValido(negocioID)) {
+      return res.status(400).json({ error: 'negocioID inválido' });
+    }
+
+    const negocioRef = db.collection('negocios').doc(negocioID);
+    const negocioDoc = await negocioRef.get();
+
+    if (!negocioDoc.exists || negocioDoc.data().eliminado) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const bloqueoMs = await obtenerBloqueo(negocioID, user);
+    if (bloqueoMs > 0) {
+      return responderBloqueo(res, bloqueoMs);
+    }
+
+    const negocioData = negocioDoc.data();
+    await migrarAdminLegacy(negocioID, negocioData);
+
+    const usuarioRef = refUsuario(negocioID, user);
+    const usuarioDoc = usuarioRef ? await usuarioRef.get() : null;
+    const usuarioData = usuarioDoc?.exists ? usuarioDoc.data() : null;
+
+    if (await credencialesValidas(usuarioData, pin)) {
+      await limpiarIntentos(negocioID, user);
+
+      const sesion = await emitirSesion(negocioID, { id: usuarioDoc.id, rol: usuarioData.rol });
+
+      return res.json({
+        success: true,
+        negocioID: negocioID,
+        nombre: negocioData.nombre,
+        usuario: serializarUsuario(usuarioDoc),
+        ...sesion
+      });
+    }
+
+    const nuevoBloqueoMs = await registrarIntentoFallido(negocioID, user);
+    if (nuevoBloqueoMs > 0) {
+      return responderBloqueo(res, nuevoBloqueoMs);
+    }
+
+    res.status(401).json({ error: 'Credenciales inválidas para este negocio' });
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/cambiar-pin', validarSesion, auditar('usuarios', (req) => usuariosRef(req.sesion.negocioID).doc(req.sesion.usuarioID)), async (req, res) => {
+  try {
+    const { negocioID, usuarioID, sid } = req.sesion;
+    const { pinActual, pinNuevo } = req.body;
+
+    if (!pinActual || !pinNuevo) {
+      return res.status(400).json({ error: 'Faltan datos: pinActual y pinNuevo' });
+    }
+
+    if (!validarFormatoPin(pinNuevo)) {
+      return res.status(400).json({ error: 'El nuevo PIN debe tener entre 4 y 64 caracteres' });
+    }
+
+    const bloqueoMs = await obtenerBloqueo(negocioID, usuarioID);
+    if (bloqueoMs > 0) {
+      return responderBloqueo(res, bloqueoMs);
+    }
+
+    const usuarioRef = usuariosRef(negocioID).doc(usuarioID);
+    const usuarioDoc = await usuarioRef.get();
+
+    if (!usuarioDoc.exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (!(await credencialesValidas(usuarioDoc.data(), pinActual))) {
+      const nuevoBloqueoMs = await registrarIntentoFallido(negocioID, usuarioID);
+      if (nuevoBloqueoMs > 0) {
+        return responderBloqueo(res, nuevoBloqueoMs);
+      }
+      return res.status(401).json({ error: 'El PIN actual es incorrecto' });
+    }
+
+    await usuarioRef.update({
+      pinHash: await hashearPin(pinNuevo),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await limpiarIntentos(negocioID, usuarioID);
+    await revocarSesiones(negocioID, { usuarioID, exceptoSid: sid });
+
+    res.json({ success: true, message: 'PIN actualizado' });
+  } catch (error) {
+    console.error('Error cambiando PIN:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sirve tanto para restablecer un PIN como para activar una invitación
+app.post('/api/auth/reset-pin', auditar('usuarios', (req) => idDocumentoValido(req.body.negocioID) ? refUsuario(req.body.negocioID, req.body.user) : null), async (req, res) => {
+  try {
+    const { negocioID, user, codigo, pinNuevo } = req.body;
+
+    if (!negocioID || !user || !codigo || !pinNuevo) {
+      return res.status(400).json({ error: 'Faltan datos' });
+    }
+
+    if (!idDocumentoValido(negocioID)) {
+      return res.status(400).json({ error: 'negocioID inválido' });
+    }
+
+    if (!validarFormatoPin(pinNuevo)) {
+      return res.status(400).json({ error: 'El nuevo PIN debe tener entre 4 y 64 caracteres' });
+    }
+
+    const bloqueoMs = await obtenerBloqueo(negocioID, user);
+    if (bloqueoMs > 0) {
+      return responderBloqueo(res, bloqueoMs);
+    }
+
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists || negocioDoc.data().eliminado) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    await migrarAdminLegacy(negocioID, negocioDoc.data());
+
+    const usuarioRef = refUsuario(negocioID, user);
+    const usuarioDoc = usuarioRef ? await usuarioRef.get() : null;
+    const usuarioData = usuarioDoc?.exists ? usuarioDoc.data() : {};
+    const resetPin = usuarioData.resetPin;
+    const codigoValido = usuarioData.activo !== false &&
+      resetPin &&
+      resetPin.expiraEn.toMillis() > Date.now() &&
+      compararSeguro(resetPin.codigoHash, hashSha256(String(codigo).toUpperCase()));
+
+    if (!codigoValido) {
+      const nuevoBloqueoMs = await registrarIntentoFallido(negocioID, user);
+      if (nuevoBloqueoMs > 0) {
+        return responderBloqueo(res, nuevoBloqueoMs);
+      }
+      return res.status(401).json({ error: 'Código inválido o expirado' });
+    }
+
+    await usuarioRef.update({
+      pinHash: await hashearPin(pinNuevo),
+      resetPin: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await limpiarIntentos(negocioID, user);
+    await revocarSesiones(negocioID, { usuarioID: usuarioDoc.id });
+
+    res.json({ success: true, message: 'PIN restablecido' });
+  } catch (error) {
+    console.error('Error restableciendo PIN:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const [negocioID, sid, secreto] = String(refreshToken || '').split('.');
+
+    if (!idDocumentoValido(negocioID) || !idDocumentoValido(sid) || !secreto) {
+      return res.status(400).json({ error: 'Refresh token inválido' });
+    }
+
+    const sesionRef = db.collection('negocios').doc(negocioID).collection('sesiones').doc(sid);
+    const sesionDoc = await sesionRef.get();
+
+    if (!sesionDoc.exists) {
+      return res.status(401).json({ error: 'Sesión no encontrada o cerrada' });
+    }
+
+    const sesionData = sesionDoc.data();
+
+    if (!compararSeguro(sesionData.refreshHash, hashSha256(secreto))) {
+      // Un refresh token reutilizado indica posible robo: se revoca la sesión
+      await sesionRef.delete();
+      return res.status(401).json({ error: 'Refresh token inválido' });
+    }
+
+    if (sesionData.expiraEn.toMillis() < Date.now()) {
+      await sesionRef.delete();
+      return res.status(401).json({ error: 'Sesión expirada' });
+    }
+
+    // El rol se vuelve a leer para que los cambios apliquen al renovar
+    const usuarioDoc = await usuariosRef(negocioID).doc(sesionData.usuarioID).get();
+
+    if (!usuarioDoc.exists || usuarioDoc.data().activo === false) {
+      await sesionRef.delete();
+      return res.status(401).json({ error: 'Usuario deshabilitado' });
+    }
+
+    const sesion = await emitirSesion(negocioID, { id: usuarioDoc.id, rol: usuarioDoc.data().rol }, sid);
+
+    res.json({ success: true, negocioID, ...sesion });
+  } catch (error) {
+    console.error('Error renovando sesión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', validarSesion, async (req, res) => {
+  try {
+    const { negocioID, sid } = req.sesion;
+    await db.collection('negocios').doc(negocioID).collection('sesiones').doc(sid).delete();
+    cacheSesiones.delete(`${negocioID}/${sid}`);
+
+    res.json({ success: true, message: 'Sesión cerrada' });
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// USUARIOS DEL NEGOCIO
+// ============================================
+app.get('/api/:negocioID/usuarios', validarSesion, requerirRol('owner'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const snapshot = await usuariosRef(negocioID).get();
+
+    const usuarios = snapshot.docs.map(serializarUsuario);
+
+    res.json({ usuarios });
+  } catch (error) {
+    console.error('Error obteniendo usuarios:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invita a un usuario: se crea sin PIN y con un código de activación que se
+// canjea en POST /api/auth/reset-pin
+app.post('/api/:negocioID/usuarios', validarSesion, requerirRol('owner'), auditar('usuarios', docEnColeccion('usuarios', 'usuarioID')), validarCuerpo(ESQUEMA_USUARIO), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { user, email, rol, activo } = req.datos;
+
+    if (!FORMATO_USUARIO.test(user)) {
+      return res.status(400).json({ error: 'El usuario solo puede tener minúsculas, números y . _ @ - (2 a 64 caracteres)' });
+    }
+
+    const { codigo, expiraEn, resetPin } = nuevoCodigoAcceso();
+
+    try {
+      await usuariosRef(negocioID).doc(user).create({
+        user,
+        email: email || '',
+        rol,
+        activo: activo !== false,
+        resetPin,
+        invitadoPor: req.sesion.usuarioID,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      if (error.code === 6) { // ALREADY_EXISTS
+        return res.status(409).json({ error: 'Ya existe un usuario con ese nombre' });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, id: user, codigoInvitacion: codigo, expiraEn });
+  } catch (error) {
+    console.error('Error invitando usuario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/usuarios/:usuarioID', validarSesion, requerirRol('owner'), auditar('usuarios', docEnColeccion('usuarios', 'usuarioID')), validarCuerpo(ESQUEMA_ACTUALIZAR_USUARIO, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID, usuarioID } = req.params;
+    const { rol, activo, email } = req.datos;
+
+    const usuarioRef = refUsuario(negocioID, usuarioID);
+    const usuarioDoc = usuarioRef ? await usuarioRef.get() : null;
+
+    if (!usuarioDoc?.exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const usuarioData = usuarioDoc.data();
+    const pierdeOwner = usuarioData.rol === 'owner' && usuarioData.activo !== false &&
+      ((rol !== undefined && rol !== 'owner') || activo === false);
+
+    if (pierdeOwner && await contarOwnersActivos(negocioID) <= 1) {
+      return res.status(409).json({ error: 'El negocio debe conservar al menos un owner activo' });
+    }
+
+    const cambios = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (rol !== undefined) cambios.rol = rol;
+    if (activo !== undefined) cambios.activo = activo;
+    if (email !== undefined) cambios.email = email;
+
+    await usuarioRef.update(cambios);
+
+    // Deshabilitar o cambiar de rol obliga a iniciar sesión de nuevo
+    if (activo === false || (rol !== undefined && rol !== usuarioData.rol)) {
+      await revocarSesiones(negocioID, { usuarioID });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error actualizando usuario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// El owner puede generar un nuevo código para un usuario que olvidó su PIN
+app.post('/api/:negocioID/usuarios/:usuarioID/codigo', validarSesion, requerirRol('owner'), auditar('usuarios', docEnColeccion('usuarios', 'usuarioID')), async (req, res) => {
+  try {
+    const { negocioID, usuarioID } = req.params;
+    const usuarioRef = refUsuario(negocioID, usuarioID);
+    const usuarioDoc = usuarioRef ? await usuarioRef.get() : null;
+
+    if (!usuarioDoc?.exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const { codigo, expiraEn, resetPin } = nuevoCodigoAcceso();
+
+    await usuarioRef.update({
+      resetPin,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, codigo, expiraEn });
+  } catch (error) {
+    console.error('Error generando código de usuario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// IDIOMAS Y TRADUCCIONES
+// ============================================
+// Los campos traducibles guardan el texto en el idioma predeterminado del
+// negocio y las demás versiones en `traducciones.<idioma>` del mismo
+// documento. Cambiar el idioma predeterminado no mueve los textos base: hay
+// que reescribirlos en el nuevo idioma. Los PUT escriben cada traducción por
+// separado (traducciones.en.nombre) y un texto vacío la elimina; DELETE
+// /traducciones/:idioma quita un idioma completo de todo el contenido
+const ESQUEMAS_TRADUCIBLES = {
+  negocio: ESQUEMA_CONFIG,
+  categorias: ESQUEMA_CATEGORIA,
+  productos: ESQUEMA_PRODUCTO,
+  servicios: ESQUEMA_SERVICIO,
+  testimonios: ESQUEMA_TESTIMONIO,
+  casosExito: ESQUEMA_CASO_EXITO,
+  galeria: ESQUEMA_GALERIA
+};
+
+// Rutas en notación de puntos ('contenido.sobreNosotros') de los campos
+// que admiten traducción según el esquema
+function camposTraducibles(esquema) {
+  const rutas = [];
+  const recorrer = (campos, prefijo) => {
+    Object.entries(campos).forEach(([campo, regla]) => {
+      const ruta = prefijo ? `${prefijo}.${campo}` : campo;
+      if (regla.tipo === 'objeto') {
+        recorrer(regla.campos, ruta);
+      } else {
+        rutas.push(ruta);
+      }
+    });
+  };
+  recorrer(esquema.traducciones.items.campos, '');
+  return rutas;
+}
+
+function valorEnRuta(objeto, ruta) {
+  return ruta.split('.').reduce((actual, campo) => (esObjetoPlano(actual) ? actual[campo] : undefined), objeto);
+}
+
+function tieneTexto(valor) {
+  return typeof valor === 'string' && valor.trim() !== '';
+}
+
+// Sin configuración el negocio publica solo en IDIOMA_POR_DEFECTO
+function idiomasDelNegocio(negocioData) {
+  const configurados = negocioData?.idiomas?.habilitados || [];
+  const habilitados = configurados.length > 0 ? configurados : [IDIOMA_POR_DEFECTO];
+  const predeterminado = habilitados.includes(negocioData?.idiomas?.predeterminado)
+    ? negocioData.idiomas.predeterminado
+    : habilitados[0];
+  return { habilitados, predeterminado };
+}
+
+// ?lang manda si viene (un idioma no habilitado cae al predeterminado); si
+// no, el mejor de Accept-Language. El predeterminado va primero en la
+// negociación para que gane sin cabecera o con "*"
+function elegirIdioma(req, { habilitados, predeterminado }) {
+  if (typeof req.query.lang === 'string' && req.query.lang !== '') {
+    const pedido = req.query.lang.toLowerCase().split('-')[0];
+    return habilitados.includes(pedido) ? pedido : predeterminado;
+  }
+
+  const otros = habilitados.filter(idioma => idioma !== predeterminado);
+  return req.acceptsLanguages(predeterminado, ...otros) || predeterminado;
+}
+
+// Elige el idioma de una lectura pública y lo anuncia en las cabeceras
+function idiomaDeLectura(req, res, negocioData = req.negocio) {
+  const idiomas = idiomasDelNegocio(negocioData);
+  const idioma = elegirIdioma(req, idiomas);
+
+  res.set('Content-Language', idioma);
+  res.vary('Accept-Language');
+
+  return { idioma, predeterminado: idiomas.predeterminado };
+}
+
+// Listados que también usa el panel: con sesión y sin ?lang se devuelven los
+// documentos tal cual, con sus `traducciones`, para poder editarlas
+function idiomaDeListado(req, res) {
+  if (req.query.lang === undefined && sesionOpcional(req)) {
+    return null;
+  }
+  return idiomaDeLectura(req, res);
+}
+
+function combinarTraduccion(base, traduccion) {
+  const resultado = { ...base };
+  Object.entries(traduccion).forEach(([campo, valor]) => {
+    if (esObjetoPlano(valor)) {
+      resultado[campo] = combinarTraduccion(esObjetoPlano(base[campo]) ? base[campo] : {}, valor);
+    } else if (tieneTexto(valor)) {
+      resultado[campo] = valor;
+    }
+  });
+  return resultado;
+}
+
+// Documento en el idioma de la lectura; lo que no está traducido queda en el
+// idioma predeterminado. Sin lectura (panel) no se toca
+function localizar(documento, lectura) {
+  if (!lectura) {
+    return documento;
+  }
+
+  const { traducciones, ...base } = documento;
+  const traduccion = traducciones?.[lectura.idioma];
+
+  if (lectura.idioma === lectura.predeterminado || !traduccion) {
+    return base;
+  }
+  return combinarTraduccion(base, traduccion);
+}
+
+// Middleware (después de validarCuerpo): el idioma predeterminado tiene que
+// estar entre los habilitados
+function verificarIdiomas(req, res, next) {
+  const { idiomas } = req.datos;
+
+  if (idiomas) {
+    if (!idiomas.habilitados.includes(idiomas.predeterminado)) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        detalles: [{ campo: 'idiomas.predeterminado', mensaje: 'Debe ser uno de los idiomas habilitados' }]
+      });
+    }
+    idiomas.habilitados = [...new Set(idiomas.habilitados)];
+  }
+
+  next();
+}
+
+// Campos con texto en el idioma predeterminado y sin traducción, por idioma
+// habilitado; ?idioma= limita el reporte a uno
+app.get('/api/:negocioID/traducciones/faltantes', validarSesion, requerirRol('editor'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+
+    if (!req.negocio) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const { habilitados, predeterminado } = idiomasDelNegocio(req.negocio);
+    const traducibles = habilitados.filter(idioma => idioma !== predeterminado);
+
+    if (req.query.idioma !== undefined && !traducibles.includes(req.query.idioma)) {
+      return res.status(400).json({
+        error: 'Parámetros inválidos',
+        detalles: [{ campo: 'idioma', mensaje: `Valores permitidos: ${traducibles.join(', ') || '(ninguno)'}` }]
+      });
+    }
+
+    const negocioRef = db.collection('negocios').doc(negocioID);
+    const colecciones = Object.keys(ESQUEMAS_TRADUCIBLES).filter(coleccion => coleccion !== 'negocio');
+    const snapshots = await Promise.all(colecciones.map(coleccion => negocioRef.collection(coleccion).get()));
+
+    const documentos = [
+      { coleccion: null, documentoID: null, datos: req.negocio, campos: camposTraducibles(ESQUEMA_CONFIG) },
+      ...colecciones.flatMap((coleccion, i) => {
+        const campos = camposTraducibles(ESQUEMAS_TRADUCIBLES[coleccion]);
+        return snapshots[i].docs.map(doc => ({ coleccion, documentoID: doc.id, datos: doc.data(), campos }));
+      })
+    ];
+
+    const idiomas = {};
+    (req.query.idioma ? [req.query.idioma] : traducibles).forEach(idioma => {
+      const faltantes = [];
+      let total = 0;
+
+      documentos.forEach(({ coleccion, documentoID, datos, campos }) => {
+        campos.forEach(campo => {
+          if (!tieneTexto(valorEnRuta(datos, campo))) return;
+          total++;
+          if (!tieneTexto(valorEnRuta(datos.traducciones?.[idioma], campo))) {
+            faltantes.push({ coleccion, documentoID, campo });
+          }
+        });
+      });
+
+      idiomas[idioma] = {
+        total,
+        traducidos: total - faltantes.length,
+        porcentaje: total > 0 ? Math.round(((total - faltantes.length) / total) * 100) : 100,
+        faltantes
+      };
+    });
+
+    res.json({ predeterminado, habilitados, idiomas });
+  } catch (error) {
+    console.error('Error obteniendo traducciones faltantes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Quita un idioma de las traducciones del negocio y de todo su contenido
+app.delete('/api/:negocioID/traducciones/:idioma', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('traducciones'), async (req, res) => {
+  try {
+    const { negocioID, idioma } = req.params;
+
+    if (!IDIOMAS_DISPONIBLES.includes(idioma)) {
+      return res.status(404).json({ error: 'Idioma no encontrado' });
+    }
+
+    const negocioRef = db.collection('negocios').doc(negocioID);
+    const colecciones = Object.keys(ESQUEMAS_TRADUCIBLES).filter(coleccion => coleccion !== 'negocio');
+    const snapshots = await Promise.all(colecciones.map(coleccion =>
+      negocioRef.collection(coleccion).where(`traducciones.${idioma}`, '!=', null).get()));
+
+    const refs = [negocioRef, ...snapshots.flatMap(snapshot => snapshot.docs.map(doc => doc.ref))];
+    for (let i = 0; i < refs.length; i += TAMANO_LOTE_BORRADO) {
+      const batch = db.batch();
+      refs.slice(i, i + TAMANO_LOTE_BORRADO).forEach(ref => {
+        batch.update(ref, { [`traducciones.${idioma}`]: admin.firestore.FieldValue.delete() });
+      });
+      await batch.commit();
+    }
+
+    res.json({ success: true, documentos: refs.length - 1 });
+  } catch (error) {
+    console.error('Error eliminando traducciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+// Único lugar que define qué campos del negocio ven los sitios públicos:
+// cualquier campo nuevo queda privado hasta agregarlo a esta lista
+const CAMPOS_PUBLICOS_NEGOCIO = ['nombre', 'slogan', 'colores', 'contacto', 'contenido', 'seccionesActivas', 'idiomas'];
+
+function proyeccionPublica(negocioData) {
+  const publico = {};
+  CAMPOS_PUBLICOS_NEGOCIO.forEach(campo => {
+    if (negocioData[campo] !== undefined) {
+      publico[campo] = negocioData[campo];
+    }
+  });
+  return publico;
+}
+
+// Vista de administración: documento completo salvo credenciales heredadas
+function proyeccionAdmin(negocioData) {
+  if (!negocioData.admin) {
+    return negocioData;
+  }
+
+  const { pin, pinHash, resetPin, ...adminData } = negocioData.admin;
+  return { ...negocioData, admin: adminData };
+}
+
+app.get('/api/:negocioID/config', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    res.json(proyeccionPublica(localizar(negocioDoc.data(), idiomaDeLectura(req, res, negocioDoc.data()))));
+  } catch (error) {
+    console.error('Error obteniendo config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/:negocioID/admin/config', validarSesion, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    res.json(proyeccionAdmin(negocioDoc.data()));
+  } catch (error) {
+    console.error('Error obteniendo config de administración:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/config', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('config', docDelNegocio), validarCuerpo(ESQUEMA_CONFIG, { parcial: true }), verificarIdiomas, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const datos = req.datos;
+
+    if (datos.admin !== undefined && req.sesion.rol !== 'owner') {
+      return res.status(403).json({ error: 'Solo el owner puede modificar los datos de administración' });
+    }
+
+    await db.collection('negocios').doc(negocioID).update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, message: 'Configuración actualizada' });
+  } catch (error) {
+    console.error('Error actualizando config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SECCIONES ACTIVAS
+// ============================================
+app.get('/api/:negocioID/secciones', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const data = negocioDoc.data();
+    res.json({
+      secciones: data.seccionesActivas || SECCIONES_POR_DEFECTO
+    });
+  } catch (error) {
+    console.error('Error obteniendo secciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/secciones', validarSesion, requerirRol('owner'), sinBorradorActivo, auditar('secciones', docDelNegocio), validarCuerpo(ESQUEMA_ACTUALIZAR_SECCIONES), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const { secciones } = req.datos;
+
+    await db.collection('negocios').doc(negocioID).update({
+      seccionesActivas: secciones,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, message: 'Secciones actualizadas' });
+  } catch (error) {
+    console.error('Error actualizando secciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// BRIEF DE ALTA DEL CLIENTE
+// ============================================
+// negocios/{id}/brief/actual guarda el enlace (hash del token), el estado
+// (pendiente → borrador → enviado) y las respuestas. El cliente no tiene
+// usuario: accede con el token del enlace en X-Brief-Token o ?token=
+const DURACION_ENLACE_BRIEF_MS = 30 * 24 * 60 * 60 * 1000; // 30 días
+
+function refBrief(negocioID) {
+  return db.collection('negocios').doc(negocioID).collection('brief').doc('actual');
+}
+
+// Middleware: valida el token del brief y deja el documento en req.brief
+async function validarTokenBrief(req, res, next) {
+  try {
+    const token = req.headers['x-brief-token'] || req.query.token;
+    const briefDoc = token ? await refBrief(req.params.negocioID).get() : null;
+    const brief = briefDoc?.exists ? briefDoc.data() : null;
+
+    const valido = brief && brief.tokenHash &&
+      compararSeguro(hashSha256(String(token)), brief.tokenHash) &&
+      brief.expiraEn.toMillis() > Date.now();
+
+    if (!valido) {
+      return res.status(401).json({ error: 'Enlace del brief inválido o vencido' });
+    }
+
+    req.brief = brief;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function serializarBrief(brief) {
+  const fecha = (valor) => (valor ? valor.toDate().toISOString() : null);
+  return {
+    estado: brief.estado,
+    respuestas: brief.respuestas || {},
+    expiraEn: fecha(brief.expiraEn),
+    actualizadoEn: fecha(brief.actualizadoEn),
+    enviadoEn: fecha(brief.enviadoEn)
+  };
+}
+
+// Combina un objeto existente del negocio con las respuestas; los valores
+// vacíos del brief no borran lo que ya estaba cargado
+function combinarNoVacios(actual, nuevos) {
+  const resultado = { ...(actual || {}) };
+  Object.entries(nuevos || {}).forEach(([campo, valor]) => {
+    if (valor !== '' && valor !== undefined) {
+      resultado[campo] = valor;
+    }
+  });
+  return resultado;
+}
+
+// Traduce las respuestas a campos del documento del negocio
+function negocioDesdeBrief(negocioData, respuestas) {
+  const cambios = {
+    contenido: combinarNoVacios(negocioData.contenido, {
+      sobreNosotros: respuestas.descripcion,
+      mision: respuestas.mision,
+      vision: respuestas.vision
+    }),
+    contacto: combinarNoVacios(negocioData.contacto, {
+      ...respuestas.contacto,
+      redesSociales: combinarNoVacios(negocioData.contacto?.redesSociales, respuestas.redesSociales)
+    }),
+    colores: combinarNoVacios(negocioData.colores, respuestas.colores)
+  };
+
+  if (respuestas.slogan) cambios.slogan = respuestas.slogan;
+  if (respuestas.logo) cambios.logo = respuestas.logo;
+
+  return cambios;
+}
+
+// Genera (o regenera) el enlace del brief; el token anterior deja de valer
+app.post('/api/super-admin/negocios/:negocioID/brief', validarSuperAdmin, auditar('brief', (req) => refBrief(req.params.negocioID)), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+    if (!negocioDoc.exists || negocioDoc.data().eliminado) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    const briefDoc = await refBrief(negocioID).get();
+    if (briefDoc.exists && briefDoc.data().estado === 'enviado') {
+      return res.status(409).json({ error: 'El cliente ya envió el brief' });
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiraEn = admin.firestore.Timestamp.fromMillis(Date.now() + DURACION_ENLACE_BRIEF_MS);
+
+    await refBrief(negocioID).set({
+      tokenHash: hashSha256(token),
+      expiraEn,
+      estado: briefDoc.exists ? briefDoc.data().estado : 'pendiente',
+      respuestas: briefDoc.exists ? briefDoc.data().respuestas || {} : {},
+      createdAt: briefDoc.exists ? briefDoc.data().createdAt : admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    res.json({
+      success: true,
+      token,
+      ruta: `/api/${negocioID}/brief?token=${token}`,
+      expiraEn: expiraEn.toDate().toISOString()
+    });
+  } catch (error) {
+    console.error('Error generando enlace del brief:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Negocios con el brief sin completar y el estado de su cuestionario
+app.get('/api/super-admin/briefs', validarSuperAdmin, async (req, res) => {
+  try {
+    const snapshot = await db.collection('negocios').where('briefCompletado', '==', false).get();
+    const negocios = snapshot.docs.filter(doc => !doc.data().eliminado);
+
+    const briefDocs = negocios.length > 0
+      ? await db.getAll(...negocios.map(doc => refBrief(doc.id)))
+      : [];
+
+    const totalPreguntas = Object.keys(ESQUEMA_BRIEF).length;
+    const briefs = negocios.map((doc, i) => {
+      const brief = briefDocs[i].exists ? briefDocs[i].data() : null;
+      const respondidas = brief ? Object.keys(brief.respuestas || {}).length : 0;
+      return {
+        negocioID: doc.id,
+        nombre: doc.data().nombre,
+        estado: brief ? brief.estado : 'sin_enlace',
+        progreso: Math.round((respondidas / totalPreguntas) * 100),
+        enlaceVencido: brief ? brief.expiraEn.toMillis() <= Date.now() : null,
+        actualizadoEn: brief?.actualizadoEn ? brief.actualizadoEn.toDate().toISOString() : null
+      };
+    });
+
+    const { estado } = req.query;
+    res.json({ briefs: estado ? briefs.filter(brief => brief.estado === estado) : briefs });
+  } catch (error) {
+    console.error('Error obteniendo briefs pendientes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/:negocioID/brief', validarTokenBrief, async (req, res) => {
+  try {
+    const negocioDoc = await db.collection('negocios').doc(req.params.negocioID).get();
+
+    res.json({
+      negocio: { nombre: negocioDoc.data()?.nombre || '' },
+      preguntas: Object.keys(ESQUEMA_BRIEF),
+      ...serializarBrief(req.brief)
+    });
+  } catch (error) {
+    console.error('Error obteniendo brief:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Guardado parcial: solo se reemplazan las preguntas enviadas
+app.put('/api/:negocioID/brief', validarTokenBrief, validarCuerpo(ESQUEMA_BRIEF, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const respuestas = req.datos;
+
+    if (req.brief.estado === 'enviado') {
+      return res.status(409).json({ error: 'El brief ya fue enviado' });
+    }
+
+    const cambios = Object.fromEntries(Object.entries(respuestas).map(([campo, valor]) => [`respuestas.${campo}`, valor]));
+
+    await refBrief(negocioID).update({
+      ...cambios,
+      estado: 'borrador',
+      actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, message: 'Borrador guardado' });
+  } catch (error) {
+    console.error('Error guardando brief:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/brief/logo', validarTokenBrief, auditar('imagenes'), recibirImagen, verificarCuota('almacenamiento'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+
+    if (req.brief.estado === 'enviado') {
+      return res.status(409).json({ error: 'El brief ya fue enviado' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó imagen (campo "imagen")' });
+    }
+
+    const imagen = await guardarImagen(negocioID, req.file.buffer, req.file.originalname || 'logo', req.negocio);
+    req.datos = resumenImagenSubida(imagen);
+
+    await refBrief(negocioID).update({
+      'respuestas.logo': imagen.url,
+      estado: 'borrador',
+      actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (req.brief.respuestas?.logo) {
+      limpiarArchivosDeDocumento(negocioID, { logo: req.brief.respuestas.logo });
+    }
+
+    res.json({ success: true, ...imagen });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error subiendo logo del brief:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Valida el brief completo, vuelca las respuestas en el negocio, crea los
+// servicios iniciales y marca briefCompletado, todo en una transacción
+app.post('/api/:negocioID/brief/enviar', validarTokenBrief, auditar('brief', docDelNegocio), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const negocioRef = db.collection('negocios').doc(negocioID);
+    const serviciosRef = negocioRef.collection('servicios');
+
+    const { valores: respuestas, errores } = validarEsquema(ESQUEMA_BRIEF, req.brief.respuestas || {});
+    const { telefono, whatsapp, email } = respuestas.contacto || {};
+    if (respuestas.contacto && !telefono && !whatsapp && !email) {
+      errores.push({ campo: 'contacto', mensaje: 'Indica al menos un teléfono, WhatsApp o email' });
+    }
+
+    if (errores.length > 0) {
+      return res.status(400).json({ error: 'El brief está incompleto', detalles: errores });
+    }
+
+    await db.runTransaction(async (transaction) => {
+      const [negocioDoc, briefDoc, ultimo] = await Promise.all([
+        transaction.get(negocioRef),
+        transaction.get(refBrief(negocioID)),
+        transaction.get(serviciosRef.orderBy('orden', 'desc').limit(1))
+      ]);
+
+      if (briefDoc.data().estado === 'enviado') {
+        throw errorHttp(409, 'El brief ya fue enviado');
+      }
+
+      let orden = ultimo.empty ? 0 : (ultimo.docs[0].data().orden || 0) + 1;
+      (respuestas.servicios || []).forEach(servicio => {
+        transaction.set(serviciosRef.doc(), {
+          ...servicio,
+          orden: orden++,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      transaction.update(negocioRef, {
+        ...negocioDesdeBrief(negocioDoc.data(), respuestas),
+        briefCompletado: true,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // El enlace deja de servir una vez enviado
+      transaction.update(briefDoc.ref, {
+        estado: 'enviado',
+        tokenHash: admin.firestore.FieldValue.delete(),
+        enviadoEn: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    res.json({ success: true, message: 'Brief enviado', servicios: (respuestas.servicios || []).length });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error enviando brief:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SITIO PÚBLICO AGREGADO (CON CACHÉ)
+// ============================================
+// Sección de seccionesActivas → colección que se incluye en /sitio
+const COLECCIONES_SITIO = {
+  servicios: 'servicios',
+  productos: 'productos',
+  testimonios: 'testimonios',
+  casosExito: 'casosExito',
+  galeria: 'galeria'
+};
+
+// Respaldo por si otra instancia escribió: ninguna entrada vive más de esto
+const TTL_CACHE_SITIO_MS = 5 * 60 * 1000;
+// negocioID → (idioma → entrada), para invalidar todos los idiomas juntos
+const cacheSitio = new Map();
+// Se incrementa en cada invalidación para descartar construcciones que
+// empezaron antes de una escritura
+const generacionCacheSitio = new Map();
+
+function invalidarCacheSitio(negocioID) {
+  cacheSitio.delete(negocioID);
+  generacionCacheSitio.set(negocioID, (generacionCacheSitio.get(negocioID) || 0) + 1);
+}
+
+// Documentos públicos de una colección en el idioma de `lectura`: sin los
+// inactivos y ordenados por `orden` en memoria, para no perder los que no
+// tienen ese campo. Con `cambios` se ven como quedarían al publicar el borrador
+async function leerColeccionPublica(negocioID, coleccion, cambios = [], lectura = null) {
+  const snapshot = await db.collection('negocios').doc(negocioID).collection(coleccion).get();
+
+  const items = aplicarBorrador(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), coleccion, cambios)
+    .filter(item => item.activo !== false)
+    .sort((a, b) => (a.orden ?? Infinity) - (b.orden ?? Infinity))
+    .map(item => localizar(item, lectura));
+
+  return coleccion === 'productos' ? items.map(conDisponibilidad) : items;
+}
+
+async function construirSitio(negocioID, cambios = [], lectura = null) {
+  const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+
+  if (!negocioDoc.exists) {
+    return null;
+  }
+
+  const cambioNegocio = cambios.find(cambio => !cambio.coleccion);
+  const config = proyeccionPublica(localizar(combinarProfundo(negocioDoc.data(), cambioNegocio?.datos || {}), lectura));
+  const secciones = config.seccionesActivas || SECCIONES_POR_DEFECTO;
+  const sitio = { config };
+
+  // Una sección sin bandera explícita se considera activa
+  const activas = Object.keys(COLECCIONES_SITIO).filter(seccion => secciones[seccion] !== false);
+  const contenidos = await Promise.all(activas.map(seccion => leerColeccionPublica(negocioID, COLECCIONES_SITIO[seccion], cambios, lectura)));
+  activas.forEach((seccion, i) => {
+    sitio[seccion] = contenidos[i];
+  });
+
+  if (sitio.productos) {
+    sitio.categorias = await leerColeccionPublica(negocioID, 'categorias', cambios, lectura);
+  }
+
+  const cuerpo = JSON.stringify(sitio);
+
+  return {
+    cuerpo,
+    etag: `W/"${crypto.createHash('sha1').update(cuerpo).digest('base64url')}"`,
+    // Precisión de segundos, como la cabecera HTTP
+    ultimaModificacion: new Date(Math.floor(Date.now() / 1000) * 1000),
+    expira: Date.now() + TTL_CACHE_SITIO_MS
+  };
+}
+
+app.get('/api/:negocioID/sitio', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const lectura = idiomaDeLectura(req, res);
+    let entrada = cacheSitio.get(negocioID)?.get(lectura.idioma);
+
+    if (!entrada || entrada.expira < Date.now()) {
+      const generacion = generacionCacheSitio.get(negocioID);
+      entrada = await construirSitio(negocioID, [], lectura);
+
+      if (!entrada) {
+        return res.status(404).json({ error: 'Negocio no encontrado' });
+      }
+
+      if (generacionCacheSitio.get(negocioID) === generacion) {
+        if (!cacheSitio.has(negocioID)) {
+          cacheSitio.set(negocioID, new Map());
+        }
+        cacheSitio.get(negocioID).set(lectura.idioma, entrada);
+      }
+    }
+
+    res.set({
+      'ETag': entrada.etag,
+      'Last-Modified': entrada.ultimaModificacion.toUTCString(),
+      'Cache-Control': 'public, no-cache'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.type('json').send(entrada.cuerpo);
+  } catch (error) {
+    console.error('Error obteniendo sitio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// BORRADOR, PUBLICACIÓN Y VERSIONES
+// ============================================
+// Los cambios al sitio se acumulan en negocios/{id}/borrador/{cambioID}, uno
+// por documento ("negocio" para config y secciones, "<coleccion>__<id>" para
+// el contenido), y se publican juntos en una transacción. Cada publicación
+// queda en versiones/{numero} con los valores anteriores y nuevos de lo que
+// cambió, lo que permite comparar versiones y revertir. Desde el primer
+// cambio guardado en el borrador el negocio queda con usaBorrador: true y las
+// rutas directas (PUT /config, PUT /secciones, CRUD y orden de colecciones)
+// responden 409, para que nada a medio editar llegue al sitio sin publicar
+const COLECCIONES_BORRADOR = {
+  categorias: 'categorias',
+  productos: 'productos',
+  servicios: 'servicios',
+  testimonios: 'testimonios',
+  'casos-exito': 'casosExito',
+  galeria: 'galeria'
+};
+
+const ESQUEMAS_BORRADOR = {
+  categorias: ESQUEMA_CATEGORIA,
+  productos: ESQUEMA_PRODUCTO,
+  servicios: ESQUEMA_SERVICIO,
+  testimonios: ESQUEMA_TESTIMONIO,
+  casosExito: ESQUEMA_CASO_EXITO,
+  galeria: ESQUEMA_GALERIA
+};
+
+// Una publicación escribe cada cambio y borra su entrada del borrador en la
+// misma transacción (límite de 500 escrituras)
+const MAXIMO_CAMBIOS_BORRADOR = 200;
+const MAXIMO_CAMBIOS_REVERSION = 450;
+const DURACION_VISTA_PREVIA_MS = 24 * 60 * 60 * 1000; // 24 horas
+
+function borradorRef(negocioID) {
+  return db.collection('negocios').doc(negocioID).collection('borrador');
+}
+
+function versionesRef(negocioID) {
+  return db.collection('negocios').doc(negocioID).collection('versiones');
+}
+
+function idCambio(coleccion, documentoID) {
+  return coleccion ? `${coleccion}__${documentoID}` : 'negocio';
+}
+
+function sinBorradorActivo(req, res, next) {
+  if (req.negocio?.usaBorrador) {
+    return res.status(409).json({
+      error: 'Este negocio edita su sitio con borrador: guarda el cambio en /borrador y publícalo',
+      codigo: 'USA_BORRADOR'
+    });
+  }
+  next();
+}
+
+// Entrada del borrador afectada, para `auditar`
+function cambioDeBorrador(req, respuesta) {
+  const coleccion = COLECCIONES_BORRADOR[req.params.coleccion] || null;
+  const documentoID = req.params.documentoID || respuesta?.id;
+  if (coleccion && !idDocumentoValido(documentoID)) return null;
+  return borradorRef(req.params.negocioID).doc(idCambio(coleccion, documentoID));
+}
+
+async function leerBorrador(negocioID) {
+  const snapshot = await borradorRef(negocioID).get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// Combina `cambios` sobre `base` campo a campo dentro de los mapas, como lo
+// hace update() con rutas; las listas y los demás valores se reemplazan
+function combinarProfundo(base, cambios) {
+  const resultado = { ...base };
+  Object.entries(cambios).forEach(([campo, valor]) => {
+    resultado[campo] = esObjetoPlano(valor)
+      ? combinarProfundo(esObjetoPlano(base[campo]) ? base[campo] : {}, valor)
+      : valor;
+  });
+  return resultado;
+}
+
+// Asigna un valor en una ruta con puntos creando los mapas intermedios;
+// undefined o null quitan el campo
+function asignarEnRuta(objeto, ruta, valor) {
+  const campos = ruta.split('.');
+  const ultimo = campos.pop();
+  let actual = objeto;
+  campos.forEach(campo => {
+    if (!esObjetoPlano(actual[campo])) actual[campo] = {};
+    actual = actual[campo];
+  });
+  if (valor === undefined || valor === null) {
+    delete actual[ultimo];
+  } else {
+    actual[ultimo] = valor;
+  }
+  return objeto;
+}
+
+// Las rutas tal como quedan guardadas en la versión: los borrados
+// (FieldValue.delete) no se pueden guardar como valor y pasan a null
+function rutasParaRegistro(rutas) {
+  const borrar = admin.firestore.FieldValue.delete();
+  return Object.fromEntries(Object.entries(rutas).map(([ruta, valor]) => [
+    ruta,
+    valor instanceof admin.firestore.FieldValue && borrar.isEqual(valor) ? null : valor
+  ]));
+}
+
+// Superpone los cambios del borrador a los documentos de una colección
+function aplicarBorrador(items, coleccion, cambios) {
+  const porID = new Map(items.map(item => [item.id, item]));
+
+  cambios.filter(cambio => cambio.coleccion === coleccion).forEach(cambio => {
+    if (cambio.operacion === 'eliminar') {
+      porID.delete(cambio.documentoID);
+    } else {
+      porID.set(cambio.documentoID, { ...combinarProfundo(porID.get(cambio.documentoID) || {}, cambio.datos), id: cambio.documentoID });
+    }
+  });
+
+  return [...porID.values()];
+}
+
+// Valores actuales de los campos (rutas con puntos) que un cambio va a pisar;
+// los que no existían se listan en `ausentes` para poder quitarlos al revertir
+function camposAnteriores(actual, datos) {
+  const antes = {};
+  const ausentes = [];
+  Object.keys(datos).forEach(campo => {
+    const valor = valorEnRuta(actual, campo);
+    if (valor !== undefined) {
+      antes[campo] = valor;
+    } else {
+      ausentes.push(campo);
+    }
+  });
+  return { antes, ausentes };
+}
+
+// Registra un cambio combinándolo campo a campo con el que ya hubiera para el
+// documento: editar un alta del borrador sigue siendo un alta y eliminarla
+// la descarta
+async function guardarCambioBorrador(negocioID, { coleccion = null, documentoID = null, operacion, datos = null }, actor) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const cambioRef = borradorRef(negocioID).doc(idCambio(coleccion, documentoID));
+  const pendientes = await contarDocumentos(borradorRef(negocioID));
+
+  await db.runTransaction(async (transaction) => {
+    const [cambioDoc, negocioDoc] = await transaction.getAll(cambioRef, negocioRef);
+    const previo = cambioDoc.exists ? cambioDoc.data() : null;
+
+    if (!previo && pendientes >= MAXIMO_CAMBIOS_BORRADOR) {
+      throw errorHttp(409, `El borrador admite hasta ${MAXIMO_CAMBIOS_BORRADOR} documentos modificados; publícalo antes de seguir`);
+    }
+
+    if (!previo && coleccion && operacion !== 'crear') {
+      const actual = await transaction.get(negocioRef.collection(coleccion).doc(documentoID));
+      if (!actual.exists) {
+        throw errorHttp(404, 'Documento no encontrado');
+      }
+    }
+
+    if (previo?.operacion === 'eliminar' && operacion !== 'eliminar') {
+      throw errorHttp(409, 'El documento está marcado para eliminarse en el borrador');
+    }
+
+    // Desde aquí las rutas de edición directa quedan cerradas
+    if (negocioDoc.exists && negocioDoc.data().usaBorrador !== true) {
+      transaction.update(negocioRef, { usaBorrador: true });
+    }
+
+    if (operacion === 'eliminar' && previo?.operacion === 'crear') {
+      transaction.delete(cambioRef);
+      return;
+    }
+
+    const nuevo = operacion === 'eliminar'
+      ? { operacion, datos: null }
+      : { operacion: previo ? previo.operacion : operacion, datos: combinarProfundo(previo?.datos || {}, datos) };
+
+    transaction.set(cambioRef, {
+      coleccion,
+      documentoID,
+      ...nuevo,
+      actor,
+      actualizadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+// Aplica todo el borrador en una transacción y guarda la versión resultante
+async function publicarBorrador(negocioID, actor) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+
+  return db.runTransaction(async (transaction) => {
+    const [negocioDoc, borradorSnapshot] = await Promise.all([
+      transaction.get(negocioRef),
+      transaction.get(borradorRef(negocioID))
+    ]);
+
+    if (borradorSnapshot.empty) {
+      throw errorHttp(400, 'No hay cambios pendientes para publicar');
+    }
+
+    const cambios = borradorSnapshot.docs.map(doc => ({ ref: doc.ref, ...doc.data() }));
+    const deDocumentos = cambios.filter(cambio => cambio.coleccion);
+    const actuales = deDocumentos.length > 0
+      ? await transaction.getAll(...deDocumentos.map(cambio => negocioRef.collection(cambio.coleccion).doc(cambio.documentoID)))
+      : [];
+    const actualPorCambio = new Map(deDocumentos.map((cambio, i) => [cambio.ref.id, actuales[i]]));
+
+    // Las altas en colecciones ordenadas van al final, como en crearConOrden
+    const ordenadas = new Set(Object.values(COLECCIONES_ORDENADAS));
+    const conOrden = [...new Set(cambios
+      .filter(cambio => cambio.operacion === 'crear' && ordenadas.has(cambio.coleccion) && cambio.datos.orden === undefined)
+      .map(cambio => cambio.coleccion))];
+    const ultimos = await Promise.all(conOrden.map(coleccion =>
+      transaction.get(negocioRef.collection(coleccion).orderBy('orden', 'desc').limit(1))));
+    const siguienteOrden = new Map(conOrden.map((coleccion, i) => [
+      coleccion,
+      ultimos[i].empty ? 0 : (ultimos[i].docs[0].data().orden || 0) + 1
+    ]));
+
+    const registro = [];
+    let cambiosNegocio = {};
+
+    cambios.forEach(cambio => {
+      const { coleccion, documentoID, operacion } = cambio;
+      transaction.delete(cambio.ref);
+
+      // Las actualizaciones se escriben por ruta (contacto.telefono) para no
+      // borrar las claves hermanas, y así quedan en la versión
+      if (!coleccion) {
+        const rutas = rutasDeActualizacion(cambio.datos);
+        const { antes, ausentes } = camposAnteriores(negocioDoc.data(), rutas);
+        registro.push({ coleccion: null, documentoID: null, operacion, antes, ausentes, despues: rutasParaRegistro(rutas) });
+        cambiosNegocio = rutas;
+        return;
+      }
+
+      const actual = actualPorCambio.get(cambio.ref.id);
+
+      if (operacion === 'crear') {
+        const datos = { ...cambio.datos };
+        if (siguienteOrden.has(coleccion) && datos.orden === undefined) {
+          datos.orden = siguienteOrden.get(coleccion);
+          siguienteOrden.set(coleccion, datos.orden + 1);
+        }
+        transaction.set(actual.ref, { ...datos, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+        registro.push({ coleccion, documentoID, operacion, antes: null, ausentes: [], despues: datos });
+        return;
+      }
+
+      // Borrado en vivo mientras tanto: eliminarlo ya no hace nada
+      if (!actual.exists) {
+        if (operacion === 'eliminar') return;
+        throw errorHttp(409, 'Un documento del borrador ya no existe; descarta ese cambio', { coleccion, documentoID });
+      }
+
+      if (operacion === 'eliminar') {
+        transaction.delete(actual.ref);
+        registro.push({ coleccion, documentoID, operacion, antes: actual.data(), ausentes: [], despues: null });
+        return;
+      }
+
+      const rutas = rutasDeActualizacion(cambio.datos);
+      const { antes, ausentes } = camposAnteriores(actual.data(), rutas);
+      transaction.update(actual.ref, { ...rutas, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      registro.push({ coleccion, documentoID, operacion, antes, ausentes, despues: rutasParaRegistro(rutas) });
+    });
+
+    const numero = (negocioDoc.data().versionPublicada || 0) + 1;
+
+    transaction.set(versionesRef(negocioID).doc(String(numero)), {
+      numero,
+      tipo: 'publicacion',
+      cambios: registro,
+      actor,
+      publicadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(negocioRef, {
+      ...cambiosNegocio,
+      versionPublicada: numero,
+      publicadoEn: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { numero, cambios: registro };
+  });
+}
+
+// Estado que debe quedar en cada documento para volver a la versión
+// `objetivo`: se recorren las versiones posteriores de la más nueva a la más
+// antigua aplicando la inversa de cada cambio, de modo que prevalece el
+// valor más antiguo. Resultado por documento: eliminar, set o actualizar
+async function planDeReversion(negocioID, objetivo) {
+  const snapshot = await versionesRef(negocioID)
+    .where('numero', '>', objetivo)
+    .orderBy('numero', 'desc')
+    .get();
+
+  const plan = new Map();
+
+  snapshot.docs.forEach(doc => {
+    [...doc.data().cambios].reverse().forEach(cambio => {
+      const clave = idCambio(cambio.coleccion, cambio.documentoID);
+      const base = { coleccion: cambio.coleccion, documentoID: cambio.documentoID };
+      const previo = plan.get(clave);
+
+      if (cambio.operacion === 'crear') {
+        plan.set(clave, { ...base, tipo: 'eliminar' });
+      } else if (cambio.operacion === 'eliminar') {
+        plan.set(clave, { ...base, tipo: 'set', datos: { ...cambio.antes } });
+      } else if (previo && previo.tipo !== 'eliminar') {
+        // Un valor más antiguo de un mapa cubre las rutas internas ya anotadas
+        Object.keys(cambio.antes).forEach(campo => {
+          Object.keys(previo.datos)
+            .filter(otro => otro.startsWith(`${campo}.`))
+            .forEach(otro => delete previo.datos[otro]);
+        });
+        Object.assign(previo.datos, cambio.antes);
+        cambio.ausentes.forEach(campo => {
+          delete previo.datos[campo];
+          if (previo.tipo === 'actualizar') previo.ausentes.add(campo);
+        });
+        if (previo.tipo === 'actualizar') {
+          Object.keys(cambio.antes).forEach(campo => previo.ausentes.delete(campo));
+        }
+      } else {
+        plan.set(clave, { ...base, tipo: 'actualizar', datos: { ...cambio.antes }, ausentes: new Set(cambio.ausentes) });
+      }
+    });
+  });
+
+  return { plan: [...plan.values()], esperado: estadoPublicado(snapshot.docs), versiones: snapshot.size };
+}
+
+// Cómo dejaron las versiones cada documento que tocaron: si existe y el valor
+// de cada ruta escrita. Sirve para detectar ediciones hechas fuera de las
+// publicaciones (PUT /config, CRUD directo, stock movido por pedidos)
+function estadoPublicado(versionesDocs) {
+  const esperado = new Map();
+
+  [...versionesDocs].reverse().forEach(doc => {
+    doc.data().cambios.forEach(cambio => {
+      const clave = idCambio(cambio.coleccion, cambio.documentoID);
+
+      if (cambio.operacion === 'eliminar') {
+        esperado.set(clave, { existe: false, campos: new Map() });
+        return;
+      }
+
+      if (cambio.operacion === 'crear' || !esperado.has(clave)) {
+        esperado.set(clave, { existe: true, campos: new Map() });
+      }
+
+      const { campos } = esperado.get(clave);
+      const rutas = cambio.operacion === 'crear' ? rutasDeActualizacion(cambio.despues) : (cambio.despues || {});
+      Object.entries(rutas).forEach(([ruta, valor]) => {
+        // Un mapa escrito entero reemplaza lo anotado en sus rutas internas
+        [...campos.keys()].filter(otra => otra.startsWith(`${ruta}.`)).forEach(otra => campos.delete(otra));
+        campos.set(ruta, valor);
+      });
+    });
+  });
+
+  return esperado;
+}
+
+function mismoValor(a, b) {
+  const normalizar = (valor) => valorAuditable(valor ?? null);
+  return util.isDeepStrictEqual(normalizar(a), normalizar(b));
+}
+
+// Rutas de los documentos a revertir cuyo valor en vivo ya no es el que dejó
+// la última versión
+function conflictosDeReversion(plan, esperado, actualDe) {
+  const conflictos = [];
+
+  plan.forEach(paso => {
+    const { coleccion, documentoID } = paso;
+    const estado = esperado.get(idCambio(coleccion, documentoID));
+    const actual = actualDe(paso);
+    if (!estado) return;
+
+    if (estado.existe !== actual.exists) {
+      // Ya borrado en vivo algo que la reversión iba a eliminar: no molesta
+      if (paso.tipo !== 'eliminar') {
+        conflictos.push({ coleccion, documentoID, campo: null, motivo: actual.exists ? 'creado fuera de las versiones' : 'eliminado fuera de las versiones' });
+      }
+      return;
+    }
+
+    if (!actual.exists) return;
+
+    estado.campos.forEach((valor, ruta) => {
+      if (!mismoValor(valorEnRuta(actual.data(), ruta), valor)) {
+        conflictos.push({ coleccion, documentoID, campo: ruta, motivo: 'modificado fuera de las versiones' });
+      }
+    });
+  });
+
+  return conflictos;
+}
+
+// Vuelve el sitio a como quedó en la versión `objetivo` y lo registra como
+// una versión nueva (de tipo "reversion"), que a su vez se puede revertir.
+// Solo toca documentos y campos registrados en versiones; si alguno se editó
+// por fuera desde entonces responde 409 con la lista en vez de pisarlo
+async function revertirAVersion(negocioID, objetivo, actor) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const { plan, esperado, versiones } = await planDeReversion(negocioID, objetivo);
+
+  if (versiones === 0) {
+    throw errorHttp(409, 'Esa ya es la versión publicada');
+  }
+
+  if (plan.length > MAXIMO_CAMBIOS_REVERSION) {
+    throw errorHttp(409, `La reversión modificaría más de ${MAXIMO_CAMBIOS_REVERSION} documentos; revierte a una versión más reciente primero`);
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const deDocumentos = plan.filter(paso => paso.coleccion);
+    const [negocioDoc, ...actuales] = await transaction.getAll(
+      negocioRef,
+      ...deDocumentos.map(paso => negocioRef.collection(paso.coleccion).doc(paso.documentoID))
+    );
+    const actualPorPaso = new Map(deDocumentos.map((paso, i) => [paso, actuales[i]]));
+
+    const conflictos = conflictosDeReversion(plan, esperado, paso => (paso.coleccion ? actualPorPaso.get(paso) : negocioDoc));
+    if (conflictos.length > 0) {
+      throw errorHttp(409, 'Hay cambios hechos fuera de las publicaciones desde esa versión; publícalos o deshazlos antes de revertir', conflictos, 'CAMBIOS_FUERA_DE_VERSION');
+    }
+
+    const registro = [];
+    const borrarCampos = (ausentes) => Object.fromEntries([...ausentes].map(campo => [campo, admin.firestore.FieldValue.delete()]));
+    let cambiosNegocio = {};
+
+    plan.forEach(paso => {
+      const { coleccion, documentoID } = paso;
+
+      if (!coleccion) {
+        const datos = { ...paso.datos, ...borrarCampos(paso.ausentes) };
+        const { antes, ausentes } = camposAnteriores(negocioDoc.data(), datos);
+        registro.push({ coleccion: null, documentoID: null, operacion: 'actualizar', antes, ausentes, despues: paso.datos });
+        cambiosNegocio = { ...cambiosNegocio, ...datos };
+        return;
+      }
+
+      const actual = actualPorPaso.get(paso);
+
+      if (paso.tipo === 'eliminar') {
+        if (!actual.exists) return;
+        transaction.delete(actual.ref);
+        registro.push({ coleccion, documentoID, operacion: 'eliminar', antes: actual.data(), ausentes: [], despues: null });
+      } else if (paso.tipo === 'set' && !actual.exists) {
+        transaction.set(actual.ref, paso.datos);
+        registro.push({ coleccion, documentoID, operacion: 'crear', antes: null, ausentes: [], despues: paso.datos });
+      } else if (actual.exists) {
+        const ausentesPaso = paso.tipo === 'actualizar' ? paso.ausentes : [];
+        const datos = { ...paso.datos, ...borrarCampos(ausentesPaso) };
+        const { antes, ausentes } = camposAnteriores(actual.data(), datos);
+        transaction.update(actual.ref, { ...datos, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        registro.push({ coleccion, documentoID, operacion: 'actualizar', antes, ausentes, despues: paso.datos });
+      }
+    });
+
+    const numero = (negocioDoc.data().versionPublicada || 0) + 1;
+
+    transaction.set(versionesRef(negocioID).doc(String(numero)), {
+      numero,
+      tipo: 'reversion',
+      revierteA: objetivo,
+      cambios: registro,
+      actor,
+      publicadoEn: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(negocioRef, {
+      ...cambiosNegocio,
+      versionPublicada: numero,
+      publicadoEn: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { numero, revierteA: objetivo, cambios: registro };
+  });
+}
+
+// Diferencias netas entre dos versiones por documento: valores al terminar
+// `desde` frente a valores al terminar `hasta`
+async function compararVersiones(negocioID, desde, hasta) {
+  const snapshot = await versionesRef(negocioID)
+    .where('numero', '>', desde)
+    .where('numero', '<=', hasta)
+    .orderBy('numero', 'asc')
+    .get();
+
+  const documentos = new Map();
+
+  snapshot.docs.forEach(doc => {
+    doc.data().cambios.forEach(cambio => {
+      const clave = idCambio(cambio.coleccion, cambio.documentoID);
+      let estado = documentos.get(clave);
+
+      if (!estado) {
+        estado = {
+          coleccion: cambio.coleccion,
+          documentoID: cambio.documentoID,
+          antes: cambio.operacion === 'crear' ? null : {},
+          despues: {},
+          vistos: new Set()
+        };
+        documentos.set(clave, estado);
+      }
+
+      // Solo cuenta el valor anterior de la primera vez que se tocó cada
+      // campo. Las actualizaciones vienen por ruta y se arman como mapas
+      if (estado.antes) {
+        Object.entries(cambio.antes || {}).forEach(([campo, valor]) => {
+          if (!estado.vistos.has(campo)) asignarEnRuta(estado.antes, campo, valor);
+        });
+        Object.keys(cambio.antes || {}).concat(cambio.ausentes || []).forEach(campo => estado.vistos.add(campo));
+      }
+
+      if (cambio.operacion === 'eliminar') {
+        estado.despues = null;
+      } else if (cambio.operacion === 'crear') {
+        estado.despues = { ...cambio.despues };
+      } else {
+        estado.despues = estado.despues || {};
+        Object.entries(cambio.despues || {}).forEach(([campo, valor]) => asignarEnRuta(estado.despues, campo, valor));
+      }
+    });
+  });
+
+  return [...documentos.values()]
+    .filter(estado => estado.antes || estado.despues)
+    .map(estado => ({
+      coleccion: estado.coleccion,
+      documentoID: estado.documentoID,
+      operacion: !estado.antes ? 'crear' : (!estado.despues ? 'eliminar' : 'actualizar'),
+      cambios: diferencias(valorAuditable(estado.antes || {}), valorAuditable(estado.despues || {}))
+    }))
+    .filter(documento => documento.operacion !== 'actualizar' || documento.cambios.length > 0);
+}
+
+function resumenVersion(version) {
+  return {
+    numero: version.numero,
+    tipo: version.tipo,
+    revierteA: version.revierteA ?? null,
+    actor: version.actor || null,
+    publicadoEn: version.publicadoEn ? version.publicadoEn.toDate().toISOString() : null,
+    totalCambios: (version.cambios || []).length
+  };
+}
+
+// Las altas del borrador cuentan contra la cuota del plan al publicar, igual
+// que las de las rutas directas (con verificarCuota)
+async function verificarCuotaBorrador(negocioID, negocioData) {
+  const { plan, limites } = limitesDelPlan(negocioData || {});
+  const cambios = await leerBorrador(negocioID);
+
+  for (const recurso of ['productos', 'galeria']) {
+    const limite = limites[recurso];
+    const altas = cambios.filter(cambio => cambio.coleccion === recurso && cambio.operacion === 'crear').length;
+    const bajas = cambios.filter(cambio => cambio.coleccion === recurso && cambio.operacion === 'eliminar').length;
+
+    if (limite === null || limite === undefined || altas === 0) continue;
+
+    const uso = await MEDIDORES_USO[recurso](negocioID);
+    if (uso + altas - bajas > limite) {
+      throw errorHttp(403, MENSAJES_CUOTA[recurso], { recurso, plan, limite, uso }, 'LIMITE_PLAN');
+    }
+  }
+}
+
+// Si el segmento no es una colección de contenido la petición sigue
+function soloColeccionBorrador(req, res, next) {
+  next(COLECCIONES_BORRADOR[req.params.coleccion] ? undefined : 'route');
+}
+
+function validarCambioBorrador(esquema, datos, parcial) {
+  const { valores, errores } = validarEsquema(esquema, datos, { parcial });
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Datos inválidos', errores);
+  }
+  return valores;
+}
+
+async function categoriasCreadasEnBorrador(negocioID) {
+  const snapshot = await borradorRef(negocioID)
+    .where('coleccion', '==', 'categorias')
+    .where('operacion', '==', 'crear')
+    .get();
+  return snapshot.docs.map(doc => doc.data().documentoID);
+}
+
+app.get('/api/:negocioID/borrador', validarSesion, requerirRol('editor'), async (req, res) => {
+  try {
+    const cambios = await leerBorrador(req.params.negocioID);
+
+    res.json({
+      cambios: cambios.map(cambio => ({
+        ...cambio,
+        actualizadoEn: cambio.actualizadoEn ? cambio.actualizadoEn.toDate().toISOString() : null
+      })),
+      total: cambios.length,
+      maximo: MAXIMO_CAMBIOS_BORRADOR
+    });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo borrador:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Descarta todo el borrador
+app.delete('/api/:negocioID/borrador', validarSesion, requerirRol('editor'), auditar('borrador'), async (req, res) => {
+  try {
+    await db.recursiveDelete(borradorRef(req.params.negocioID));
+
+    res.json({ success: true, message: 'Borrador descartado' });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error descartando borrador:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/borrador/config', validarSesion, requerirRol('editor'), auditar('borrador', cambioDeBorrador), validarCuerpo(ESQUEMA_CONFIG, { parcial: true }), verificarIdiomas, async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const datos = req.datos;
+
+    if (datos.admin !== undefined && req.sesion.rol !== 'owner') {
+      return res.status(403).json({ error: 'Solo el owner puede modificar los datos de administración' });
+    }
+
+    await guardarCambioBorrador(negocioID, { operacion: 'actualizar', datos }, req.sesion.usuarioID);
+
+    res.json({ success: true, message: 'Borrador de configuración guardado' });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error guardando borrador de config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/borrador/secciones', validarSesion, requerirRol('owner'), auditar('borrador', cambioDeBorrador), validarCuerpo(ESQUEMA_ACTUALIZAR_SECCIONES), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+
+    await guardarCambioBorrador(negocioID, {
+      operacion: 'actualizar',
+      datos: { seccionesActivas: req.datos.secciones }
+    }, req.sesion.usuarioID);
+
+    res.json({ success: true, message: 'Borrador de secciones guardado' });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error guardando borrador de secciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enlace de vista previa para compartir sin sesión (vence en 24 h)
+app.post('/api/:negocioID/borrador/vista-previa', validarSesion, requerirRol('editor'), auditar('vistaPrevia'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiraEn = admin.firestore.Timestamp.fromMillis(Date.now() + DURACION_VISTA_PREVIA_MS);
+
+    await db.collection('negocios').doc(negocioID).collection('vistasPrevias').doc(hashSha256(token)).set({
+      expiraEn,
+      actor: req.sesion.usuarioID,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      token,
+      ruta: `/api/${negocioID}/vista-previa?token=${token}`,
+      expiraEn: expiraEn.toDate().toISOString()
+    });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error generando vista previa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/borrador/publicar', validarSesion, requerirRol('editor'), auditar('publicacion'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+
+    await verificarCuotaBorrador(negocioID, req.negocio);
+    const { numero, cambios } = await publicarBorrador(negocioID, req.sesion.usuarioID);
+
+    cambios.filter(cambio => cambio.operacion === 'eliminar').forEach(cambio => {
+      limpiarArchivosDeDocumento(negocioID, cambio.antes);
+    });
+    cambios.filter(cambio => cambio.coleccion === 'productos').forEach(cambio => {
+      emitirEvento(negocioID, `producto.${cambio.operacion === 'crear' ? 'creado' : (cambio.operacion === 'eliminar' ? 'eliminado' : 'actualizado')}`, {
+        productoID: cambio.documentoID,
+        ...(cambio.despues && { producto: cambio.despues })
+      });
+    });
+
+    res.json({ success: true, version: numero, cambios: cambios.length });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error publicando borrador:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/borrador/:coleccion', soloColeccionBorrador, validarSesion, requerirRol('editor'), auditar('borrador', cambioDeBorrador), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const coleccion = COLECCIONES_BORRADOR[req.params.coleccion];
+    const datos = validarCambioBorrador(ESQUEMAS_BORRADOR[coleccion], req.body, false);
+
+    if (coleccion === 'productos') {
+      await validarProducto(negocioID, datos, await categoriasCreadasEnBorrador(negocioID));
+    }
+
+    const documentoID = db.collection('negocios').doc(negocioID).collection(coleccion).doc().id;
+    await guardarCambioBorrador(negocioID, { coleccion, documentoID, operacion: 'crear', datos }, req.sesion.usuarioID);
+
+    res.json({ success: true, id: documentoID });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error guardando alta en el borrador:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/borrador/:coleccion/:documentoID', soloColeccionBorrador, validarSesion, requerirRol('editor'), auditar('borrador', cambioDeBorrador), async (req, res) => {
+  try {
+    const { negocioID, documentoID } = req.params;
+    const coleccion = COLECCIONES_BORRADOR[req.params.coleccion];
+    const datos = validarCambioBorrador(ESQUEMAS_BORRADOR[coleccion], req.body, true);
+
+    if (coleccion === 'productos') {
+      await validarProducto(negocioID, datos, await categoriasCreadasEnBorrador(negocioID));
+    }
+
+    await guardarCambioBorrador(negocioID, { coleccion, documentoID, operacion: 'actualizar', datos }, req.sesion.usuarioID);
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error guardando cambio en el borrador:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/borrador/:coleccion/:documentoID', soloColeccionBorrador, validarSesion, requerirRol('editor'), auditar('borrador', cambioDeBorrador), async (req, res) => {
+  try {
+    const { negocioID, documentoID } = req.params;
+    const coleccion = COLECCIONES_BORRADOR[req.params.coleccion];
+
+    await guardarCambioBorrador(negocioID, { coleccion, documentoID, operacion: 'eliminar' }, req.sesion.usuarioID);
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error guardando baja en el borrador:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sitio completo como quedaría al publicar; sin caché
+app.get('/api/:negocioID/vista-previa', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const token = req.headers['x-preview-token'] || req.query.token;
+    const vistaDoc = token
+      ? await db.collection('negocios').doc(negocioID).collection('vistasPrevias').doc(hashSha256(String(token))).get()
+      : null;
+
+    if (!vistaDoc?.exists || vistaDoc.data().expiraEn.toMillis() <= Date.now()) {
+      return res.status(401).json({ error: 'Enlace de vista previa inválido o vencido' });
+    }
+
+    const cambios = await leerBorrador(negocioID);
+    const cambioNegocio = cambios.find(cambio => !cambio.coleccion);
+    const lectura = idiomaDeLectura(req, res, combinarProfundo(req.negocio || {}, cambioNegocio?.datos || {}));
+    const sitio = await construirSitio(negocioID, cambios, lectura);
+
+    if (!sitio) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.type('json').send(sitio.cuerpo);
+  } catch (error) {
+    console.error('Error obteniendo vista previa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/:negocioID/versiones', validarSesion, requerirRol('editor'), async (req, res) => {
+  try {
+    const { items, nextCursor, total } = await listarPaginado(versionesRef(req.params.negocioID), req.query, {
+      orden: { campos: ['numero'], defecto: 'numero', direccion: 'desc' },
+      filtros: { tipo: { campo: 'tipo', tipo: 'texto', valores: ['publicacion', 'reversion'] } }
+    });
+
+    res.json({ versiones: items.map(resumenVersion), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo versiones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?desde=<numero>&hasta=<numero>; desde=0 compara contra el estado previo a la primera publicación
+app.get('/api/:negocioID/versiones/diff', validarSesion, requerirRol('editor'), async (req, res) => {
+  try {
+    const desde = Number(req.query.desde);
+    const hasta = Number(req.query.hasta);
+
+    if (!Number.isInteger(desde) || !Number.isInteger(hasta) || desde < 0 || hasta <= desde) {
+      return res.status(400).json({ error: 'Parámetros inválidos: desde y hasta deben ser números de versión con desde < hasta' });
+    }
+
+    const documentos = await compararVersiones(req.params.negocioID, desde, hasta);
+
+    res.json({ desde, hasta, documentos });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error comparando versiones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/:negocioID/versiones/:numero', validarSesion, requerirRol('editor'), async (req, res) => {
+  try {
+    const versionDoc = /^\d+$/.test(req.params.numero)
+      ? await versionesRef(req.params.negocioID).doc(req.params.numero).get()
+      : null;
+
+    if (!versionDoc?.exists) {
+      return res.status(404).json({ error: 'Versión no encontrada' });
+    }
+
+    const version = versionDoc.data();
+    res.json({ ...resumenVersion(version), cambios: valorAuditable(version.cambios) });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo versión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/versiones/:numero/restaurar', validarSesion, requerirRol('owner'), auditar('publicacion'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const objetivo = Number(req.params.numero);
+    const versionPublicada = req.negocio?.versionPublicada || 0;
+
+    if (!Number.isInteger(objetivo) || objetivo < 0 || objetivo > versionPublicada) {
+      return res.status(404).json({ error: 'Versión no encontrada' });
+    }
+
+    const { numero, cambios } = await revertirAVersion(negocioID, objetivo, req.sesion.usuarioID);
+
+    res.json({ success: true, version: numero, revierteA: objetivo, cambios: cambios.length });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error revirtiendo versión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// PAGINACIÓN, ORDEN Y FILTROS DE LISTADOS
+// ============================================
+const LIMITE_PAGINA_DEFECTO = 50;
+const LIMITE_PAGINA_MAXIMO = 100;
+
+// Lee una página de la colección según ?limit, ?cursor, ?ordenarPor,
+// ?direccion y los filtros declarados. opciones:
+//   orden: { campos: [...permitidos], defecto, direccion }
+//   filtros: { param: { campo, tipo: 'texto'|'booleano'|'fecha', operador, valores } }
+//   excluir: { campo, valor } oculta esos documentos (p. ej. inactivos en
+//     listados públicos); la página puede traer menos de `limit` elementos
+// El cursor es el ID del último documento de la página anterior.
+// Cada filtro (y `excluir`) combinado con un orden distinto del ID necesita su
+// índice compuesto en firestore.indexes.json: al sumar un filtro o un campo
+// de orden a una ruta hay que declarar también sus índices
+async function listarPaginado(coleccionRef, params, opciones) {
+  const errores = [];
+  const { orden, filtros = {}, excluir } = opciones;
+
+  const limit = params.limit === undefined ? LIMITE_PAGINA_DEFECTO : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_PAGINA_MAXIMO) {
+    errores.push({ campo: 'limit', mensaje: `Debe ser un entero entre 1 y ${LIMITE_PAGINA_MAXIMO}` });
+  }
+
+  let ordenarPor = params.ordenarPor || orden.defecto;
+  if (!orden.campos.includes(ordenarPor)) {
+    errores.push({ campo: 'ordenarPor', mensaje: `Valores permitidos: ${orden.campos.join(', ')}` });
+  }
+
+  const direccion = params.direccion || orden.direccion || 'asc';
+  if (!['asc', 'desc'].includes(direccion)) {
+    errores.push({ campo: 'direccion', mensaje: 'Valores permitidos: asc, desc' });
+  }
+
+  let query = coleccionRef;
+  let campoRango = null;
+
+  Object.entries(filtros).forEach(([param, filtro]) => {
+    const valor = params[param];
+    if (valor === undefined || valor === '') return;
+
+    if (filtro.tipo === 'booleano') {
+      if (valor !== 'true' && valor !== 'false') {
+        errores.push({ campo: param, mensaje: 'Debe ser true o false' });
+        return;
+      }
+      query = query.where(filtro.campo, '==', valor === 'true');
+    } else if (filtro.tipo === 'fecha') {
+      const fecha = new Date(valor);
+      if (Number.isNaN(fecha.getTime())) {
+        errores.push({ campo: param, mensaje: 'Debe ser una fecha ISO 8601' });
+        return;
+      }
+      query = query.where(filtro.campo, filtro.operador, admin.firestore.Timestamp.fromDate(fecha));
+      campoRango = filtro.campo;
+    } else {
+      if (filtro.valores && !filtro.valores.includes(valor)) {
+        errores.push({ campo: param, mensaje: `Valores permitidos: ${filtro.valores.join(', ')}` });
+        return;
+      }
+      query = query.where(filtro.campo, '==', valor);
+    }
+  });
+
+  // Firestore exige ordenar primero por el campo de un filtro de rango
+  if (campoRango && ordenarPor !== campoRango) {
+    if (params.ordenarPor) {
+      errores.push({ campo: 'ordenarPor', mensaje: `Con filtro de fechas solo se puede ordenar por ${campoRango}` });
+    }
+    ordenarPor = campoRango;
+  }
+
+  if (params.cursor !== undefined && (typeof params.cursor !== 'string' || params.cursor.includes('/'))) {
+    errores.push({ campo: 'cursor', mensaje: 'Cursor inválido' });
+  }
+
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Parámetros de listado inválidos', errores);
+  }
+
+  // orderBy descarta los documentos sin el campo de orden: el total se cuenta
+  // sobre la misma consulta ordenada para que coincida con lo que se pagina
+  const campoOrden = ordenarPor === 'id' ? admin.firestore.FieldPath.documentId() : ordenarPor;
+  const ordenada = query.orderBy(campoOrden, direccion);
+  const totalSnapshot = await ordenada.count().get();
+  let total = totalSnapshot.data().count;
+
+  // Se filtra en memoria porque `!=` en Firestore descarta los documentos
+  // que no tienen el campo
+  if (excluir) {
+    const excluidos = await ordenada.where(excluir.campo, '==', excluir.valor).count().get();
+    total -= excluidos.data().count;
+  }
+
+  let pagina = ordenada;
+  if (params.cursor) {
+    const cursorDoc = await coleccionRef.doc(params.cursor).get();
+    if (!cursorDoc.exists) {
+      throw errorHttp(400, 'Parámetros de listado inválidos', [{ campo: 'cursor', mensaje: 'Cursor inválido' }]);
+    }
+    pagina = pagina.startAfter(cursorDoc);
+  }
+
+  // Se pide un documento extra para saber si hay página siguiente
+  const snapshot = await pagina.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    items: docs
+      .filter(doc => !excluir || doc.data()[excluir.campo] !== excluir.valor)
+      .map(doc => ({ id: doc.id, ...doc.data() })),
+    nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+    total
+  };
+}
+
+const ORDEN_COLECCION_ORDENADA = { campos: ['orden', 'createdAt', 'id'], defecto: 'orden', direccion: 'asc' };
+
+// ============================================
+// ORDEN DE COLECCIONES
+// ============================================
+// Segmento de la ruta → colección ordenada por el campo `orden`
+const COLECCIONES_ORDENADAS = {
+  categorias: 'categorias',
+  servicios: 'servicios',
+  testimonios: 'testimonios',
+  'casos-exito': 'casosExito',
+  galeria: 'galeria'
+};
+
+// Máximo de documentos que se reordenan en una sola transacción
+const MAXIMO_REORDENAR = 500;
+
+// Crea el documento al final de la lista si no trae `orden` explícito
+async function crearConOrden(coleccionRef, datos) {
+  const docRef = coleccionRef.doc();
+
+  await db.runTransaction(async (transaction) => {
+    let orden = datos.orden;
+
+    if (orden === undefined) {
+      const ultimo = await transaction.get(coleccionRef.orderBy('orden', 'desc').limit(1));
+      orden = ultimo.empty ? 0 : (ultimo.docs[0].data().orden || 0) + 1;
+    }
+
+    transaction.set(docRef, { ...datos, orden });
+  });
+
+  return docRef;
+}
+
+// Los documentos creados antes de existir `orden` no lo tienen y orderBy los
+// deja fuera de los listados: se colocan al final, por fecha de creación
+async function completarOrden(coleccionRef) {
+  const snapshot = await coleccionRef.get();
+  const sinOrden = snapshot.docs
+    .filter(doc => !Number.isInteger(doc.data().orden))
+    .sort((a, b) => (a.data().createdAt?.toMillis() ?? 0) - (b.data().createdAt?.toMillis() ?? 0));
+
+  if (sinOrden.length === 0) return 0;
+
+  let siguiente = snapshot.docs.reduce((maximo, doc) => {
+    const { orden } = doc.data();
+    return Number.isInteger(orden) ? Math.max(maximo, orden + 1) : maximo;
+  }, 0);
+
+  for (let i = 0; i < sinOrden.length; i += TAMANO_LOTE_ESCRITURA) {
+    const batch = db.batch();
+    sinOrden.slice(i, i + TAMANO_LOTE_ESCRITURA).forEach(doc => batch.update(doc.ref, { orden: siguiente++ }));
+    await batch.commit();
+  }
+
+  return sinOrden.length;
+}
+
+// Migración de una sola vez (repetible) sobre todos los negocios
+app.post('/api/super-admin/orden/completar', validarSuperAdmin, auditar('orden'), async (req, res) => {
+  try {
+    const negocios = await db.collection('negocios').listDocuments();
+    const colecciones = Object.values(COLECCIONES_ORDENADAS);
+    let actualizados = 0;
+
+    await enParalelo(negocios, CONCURRENCIA_ESTADISTICAS, async (negocioRef) => {
+      for (const coleccion of colecciones) {
+        actualizados += await completarOrden(negocioRef.collection(coleccion));
+      }
+    });
+
+    res.json({ success: true, negocios: negocios.length, actualizados });
+  } catch (error) {
+    console.error('Error completando el orden:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Si el segmento no es una colección ordenada (por ejemplo PUT /productos/orden)
+// la petición sigue hacia las demás rutas
+function soloColeccionOrdenada(req, res, next) {
+  next(COLECCIONES_ORDENADAS[req.params.coleccion] ? undefined : 'route');
+}
+
+// Recibe la lista completa de IDs en el orden deseado y reescribe `orden`
+// de todos los documentos de forma atómica
+app.put('/api/:negocioID/:coleccion/orden', soloColeccionOrdenada, validarSesion, requerirRol('editor'), sinBorradorActivo, auditar((req) => COLECCIONES_ORDENADAS[req.params.coleccion]), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const coleccion = COLECCIONES_ORDENADAS[req.params.coleccion];
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'ids debe ser una lista de IDs' });
+    }
+
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'La lista de IDs tiene duplicados' });
+    }
+
+    if (ids.length > MAXIMO_REORDENAR) {
+      return res.status(400).json({ error: `No se pueden reordenar más de ${MAXIMO_REORDENAR} elementos a la vez` });
+    }
+
+    const coleccionRef = db.collection('negocios').doc(negocioID).collection(coleccion);
+
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(coleccionRef);
+      const existentes = new Set(snapshot.docs.map(doc => doc.id));
+
+      const desconocidos = ids.filter(id => !existentes.has(id));
+      const faltantes = [...existentes].filter(id => !ids.includes(id));
+
+      if (desconocidos.length > 0 || faltantes.length > 0) {
+        throw errorHttp(409, 'La lista debe incluir exactamente todos los elementos de la colección', {
+          desconocidos,
+          faltantes
+        });
+      }
+
+      ids.forEach((id, orden) => {
+        transaction.update(coleccionRef.doc(id), { orden });
+      });
+    });
+
+    res.json({ success: true, total: ids.length });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error reordenando colección:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// CATEGORÍAS DE PRODUCTOS
+// ============================================
+app.get('/api/:negocioID/categorias', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const categoriasRef = db.collection('negocios').doc(negocioID).collection('categorias');
+    const { items, nextCursor, total } = await listarPaginado(categoriasRef, req.query, {
+      orden: ORDEN_COLECCION_ORDENADA,
+      excluir: sesionOpcional(req) ? undefined : { campo: 'activo', valor: false }
+    });
+
+    const lectura = idiomaDeListado(req, res);
+    res.json({ categorias: items.map(item => localizar(item, lectura)), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo categorías:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/categorias', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('categorias', docEnColeccion('categorias', 'categoriaID')), validarCuerpo(ESQUEMA_CATEGORIA), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const categoria = req.datos;
+
+    const docRef = await crearConOrden(db.collection('negocios').doc(negocioID).collection('categorias'), {
+      ...categoria,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, id: docRef.id });
+  } catch (error) {
+    console.error('Error creando categoría:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/categorias/:categoriaID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('categorias', docEnColeccion('categorias', 'categoriaID')), validarCuerpo(ESQUEMA_CATEGORIA, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID, categoriaID } = req.params;
+    const datos = req.datos;
+
+    await db.collection('negocios').doc(negocioID).collection('categorias').doc(categoriaID).update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error actualizando categoría:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/categorias/:categoriaID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('categorias', docEnColeccion('categorias', 'categoriaID')), async (req, res) => {
+  try {
+    const { negocioID, categoriaID } = req.params;
+    const negocioRef = db.collection('negocios').doc(negocioID);
+
+    const enUso = await negocioRef.collection('productos').where('categoriaID', '==', categoriaID).count().get();
+    if (enUso.data().count > 0) {
+      return res.status(409).json({
+        error: 'La categoría tiene productos asignados; muévelos antes de eliminarla',
+        productos: enUso.data().count
+      });
+    }
+
+    const docRef = negocioRef.collection('categorias').doc(categoriaID);
+    const doc = await docRef.get();
+
+    await docRef.delete();
+
+    if (doc.exists) {
+      limpiarArchivosDeDocumento(negocioID, doc.data());
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error eliminando categoría:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// PRODUCTOS
+// ============================================
+function tieneVariantes(producto) {
+  return Array.isArray(producto.variantes) && producto.variantes.length > 0;
+}
+
+function hayStock(item) {
+  return typeof item.stock !== 'number' || item.stock > 0;
+}
+
+// Agrega `disponible`: activo, no marcado como agotado y con stock (propio o
+// en alguna variante activa)
+function conDisponibilidad(producto) {
+  let disponible = producto.activo !== false && producto.agotado !== true;
+
+  if (disponible) {
+    disponible = tieneVariantes(producto)
+      ? producto.variantes.some(variante => variante.activo !== false && hayStock(variante))
+      : hayStock(producto);
+  }
+
+  return { ...producto, disponible };
+}
+
+// Validaciones que el esquema no cubre: IDs de variante únicos y categoría
+// existente (o creada en el borrador, ver `categoriasEnBorrador`)
+async function validarProducto(negocioID, datos, categoriasEnBorrador = []) {
+  const errores = [];
+
+  if (datos.variantes) {
+    const ids = datos.variantes.map(variante => variante.id);
+    if (new Set(ids).size !== ids.length) {
+      errores.push({ campo: 'variantes', mensaje: 'Los IDs de variante deben ser únicos' });
+    }
+  }
+
+  if (datos.categoriaID && !categoriasEnBorrador.includes(datos.categoriaID)) {
+    const categoriaDoc = datos.categoriaID.includes('/')
+      ? null
+      : await db.collection('negocios').doc(negocioID).collection('categorias').doc(datos.categoriaID).get();
+    if (!categoriaDoc?.exists) {
+      errores.push({ campo: 'categoriaID', mensaje: 'Categoría no encontrada' });
+    }
+  }
+
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Datos inválidos', errores);
+  }
+}
+
+// ?agrupar=categoria devuelve el catálogo completo agrupado por categoría
+// (en el orden de las categorías), para menús y secciones de la tienda
+async function listarProductosPorCategoria(negocioID, incluirInactivos, lectura) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const [categoriasSnapshot, productosSnapshot] = await Promise.all([
+    negocioRef.collection('categorias').get(),
+    negocioRef.collection('productos').get()
+  ]);
+
+  const visible = (item) => incluirInactivos || item.activo !== false;
+  const porOrden = (a, b) => (a.orden ?? Infinity) - (b.orden ?? Infinity);
+
+  const productos = productosSnapshot.docs
+    .map(doc => conDisponibilidad({ id: doc.id, ...doc.data() }))
+    .filter(visible)
+    .sort(porOrden)
+    .map(producto => localizar(producto, lectura));
+
+  const categorias = categoriasSnapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(visible)
+    .sort(porOrden)
+    .map(categoria => ({
+      ...localizar(categoria, lectura),
+      productos: productos.filter(producto => producto.categoriaID === categoria.id)
+    }));
+
+  const agrupados = new Set(categorias.map(categoria => categoria.id));
+  const sinCategoria = productos.filter(producto => !agrupados.has(producto.categoriaID));
+
+  return { categorias, sinCategoria };
+}
+
+// Sin sesión solo se listan productos activos; el admin ve todo el catálogo
+app.get('/api/:negocioID/productos', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const esAdmin = Boolean(sesionOpcional(req));
+
+    if (req.query.agrupar === 'categoria') {
+      return res.json(await listarProductosPorCategoria(negocioID, esAdmin, idiomaDeListado(req, res)));
+    }
+
+    const productosRef = db.collection('negocios').doc(negocioID).collection('productos');
+    const { items, nextCursor, total } = await listarPaginado(productosRef, req.query, {
+      orden: { campos: ['id', 'nombre', 'precio', 'createdAt', 'orden'], defecto: 'id', direccion: 'asc' },
+      filtros: {
+        categoriaID: { campo: 'categoriaID', tipo: 'texto' },
+        categoria: { campo: 'categoria', tipo: 'texto' },
+        activo: { campo: 'activo', tipo: 'booleano' },
+        agotado: { campo: 'agotado', tipo: 'booleano' }
+      },
+      excluir: esAdmin ? undefined : { campo: 'activo', valor: false }
+    });
+
+    const lectura = idiomaDeListado(req, res);
+    res.json({ productos: items.map(producto => localizar(conDisponibilidad(producto), lectura)), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo productos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/productos', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('productos', docEnColeccion('productos', 'productoID')), validarCuerpo(ESQUEMA_PRODUCTO), verificarCuota('productos'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const producto = req.datos;
+
+    await validarProducto(negocioID, producto);
+
+    const docRef = await db.collection('negocios').doc(negocioID).collection('productos').add({
+      ...producto,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    emitirEvento(negocioID, 'producto.creado', { productoID: docRef.id, producto });
+
+    res.json({ success: true, id: docRef.id });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error creando producto:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/productos/:productoID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('productos', docEnColeccion('productos', 'productoID')), validarCuerpo(ESQUEMA_PRODUCTO, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID, productoID } = req.params;
+    const datos = req.datos;
+
+    await validarProducto(negocioID, datos);
+
+    const productoRef = db.collection('negocios').doc(negocioID).collection('productos').doc(productoID);
+    await productoRef.update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    emitirEvento(negocioID, 'producto.actualizado', async () => {
+      const { createdAt, updatedAt, ...producto } = (await productoRef.get()).data() || {};
+      return { productoID, cambios: Object.keys(datos), producto };
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error actualizando producto:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/productos/:productoID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('productos', docEnColeccion('productos', 'productoID')), async (req, res) => {
+  try {
+    const { negocioID, productoID } = req.params;
+    const docRef = db.collection('negocios').doc(negocioID).collection('productos').doc(productoID);
+    const doc = await docRef.get();
+
+    await docRef.delete();
+
+    if (doc.exists) {
+      limpiarArchivosDeDocumento(negocioID, doc.data());
+      emitirEvento(negocioID, 'producto.eliminado', { productoID });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error eliminando producto:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SERVICIOS
+// ============================================
+app.get('/api/:negocioID/servicios', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const serviciosRef = db.collection('negocios').doc(negocioID).collection('servicios');
+    const { items, nextCursor, total } = await listarPaginado(serviciosRef, req.query, {
+      orden: ORDEN_COLECCION_ORDENADA,
+      excluir: sesionOpcional(req) ? undefined : { campo: 'activo', valor: false }
+    });
+
+    const lectura = idiomaDeListado(req, res);
+    res.json({ servicios: items.map(item => localizar(item, lectura)), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo servicios:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/servicios', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('servicios', docEnColeccion('servicios', 'servicioID')), validarCuerpo(ESQUEMA_SERVICIO), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const servicio = req.datos;
+
+    const docRef = await crearConOrden(db.collection('negocios').doc(negocioID).collection('servicios'), {
+      ...servicio,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, id: docRef.id });
+  } catch (error) {
+    console.error('Error creando servicio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/servicios/:servicioID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('servicios', docEnColeccion('servicios', 'servicioID')), validarCuerpo(ESQUEMA_SERVICIO, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID, servicioID } = req.params;
+    const datos = req.datos;
+
+    await db.collection('negocios').doc(negocioID).collection('servicios').doc(servicioID).update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error actualizando servicio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/servicios/:servicioID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('servicios', docEnColeccion('servicios', 'servicioID')), async (req, res) => {
+  try {
+    const { negocioID, servicioID } = req.params;
+    const docRef = db.collection('negocios').doc(negocioID).collection('servicios').doc(servicioID);
+    const doc = await docRef.get();
+
+    await docRef.delete();
+
+    if (doc.exists) {
+      limpiarArchivosDeDocumento(negocioID, doc.data());
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error eliminando servicio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// TESTIMONIOS
+// ============================================
+app.get('/api/:negocioID/testimonios', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const testimoniosRef = db.collection('negocios').doc(negocioID).collection('testimonios');
+    const { items, nextCursor, total } = await listarPaginado(testimoniosRef, req.query, {
+      orden: ORDEN_COLECCION_ORDENADA,
+      excluir: sesionOpcional(req) ? undefined : { campo: 'activo', valor: false }
+    });
+
+    const lectura = idiomaDeListado(req, res);
+    res.json({ testimonios: items.map(item => localizar(item, lectura)), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo testimonios:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/testimonios', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('testimonios', docEnColeccion('testimonios', 'testimonioID')), validarCuerpo(ESQUEMA_TESTIMONIO), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const testimonio = req.datos;
+
+    const docRef = await crearConOrden(db.collection('negocios').doc(negocioID).collection('testimonios'), {
+      ...testimonio,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, id: docRef.id });
+  } catch (error) {
+    console.error('Error creando testimonio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/testimonios/:testimonioID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('testimonios', docEnColeccion('testimonios', 'testimonioID')), validarCuerpo(ESQUEMA_TESTIMONIO, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID, testimonioID } = req.params;
+    const datos = req.datos;
+
+    await db.collection('negocios').doc(negocioID).collection('testimonios').doc(testimonioID).update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error actualizando testimonio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/testimonios/:testimonioID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('testimonios', docEnColeccion('testimonios', 'testimonioID')), async (req, res) => {
+  try {
+    const { negocioID, testimonioID } = req.params;
+    const docRef = db.collection('negocios').doc(negocioID).collection('testimonios').doc(testimonioID);
+    const doc = await docRef.get();
+
+    await docRef.delete();
+
+    if (doc.exists) {
+      limpiarArchivosDeDocumento(negocioID, doc.data());
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error eliminando testimonio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// CASOS DE ÉXITO
+// ============================================
+app.get('/api/:negocioID/casos-exito', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const casosRef = db.collection('negocios').doc(negocioID).collection('casosExito');
+    const { items, nextCursor, total } = await listarPaginado(casosRef, req.query, {
+      orden: ORDEN_COLECCION_ORDENADA,
+      excluir: sesionOpcional(req) ? undefined : { campo: 'activo', valor: false }
+    });
+
+    const lectura = idiomaDeListado(req, res);
+    res.json({ casos: items.map(item => localizar(item, lectura)), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo casos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/casos-exito', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('casosExito', docEnColeccion('casosExito', 'casoID')), validarCuerpo(ESQUEMA_CASO_EXITO), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const caso = req.datos;
+
+    const docRef = await crearConOrden(db.collection('negocios').doc(negocioID).collection('casosExito'), {
+      ...caso,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, id: docRef.id });
+  } catch (error) {
+    console.error('Error creando caso:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/:negocioID/casos-exito/:casoID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('casosExito', docEnColeccion('casosExito', 'casoID')), validarCuerpo(ESQUEMA_CASO_EXITO, { parcial: true }), async (req, res) => {
+  try {
+    const { negocioID, casoID } = req.params;
+    const datos = req.datos;
+
+    await db.collection('negocios').doc(negocioID).collection('casosExito').doc(casoID).update({
+      ...rutasDeActualizacion(datos),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error actualizando caso:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/casos-exito/:casoID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('casosExito', docEnColeccion('casosExito', 'casoID')), async (req, res) => {
+  try {
+    const { negocioID, casoID } = req.params;
+    const docRef = db.collection('negocios').doc(negocioID).collection('casosExito').doc(casoID);
+    const doc = await docRef.get();
+
+    await docRef.delete();
+
+    if (doc.exists) {
+      limpiarArchivosDeDocumento(negocioID, doc.data());
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error eliminando caso:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// GALERÍA
+// ============================================
+app.get('/api/:negocioID/galeria', async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const galeriaRef = db.collection('negocios').doc(negocioID).collection('galeria');
+    const { items, nextCursor, total } = await listarPaginado(galeriaRef, req.query, {
+      orden: ORDEN_COLECCION_ORDENADA,
+      excluir: sesionOpcional(req) ? undefined : { campo: 'activo', valor: false }
+    });
+
+    const lectura = idiomaDeListado(req, res);
+    res.json({ imagenes: items.map(item => localizar(item, lectura)), nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo galería:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/:negocioID/galeria', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('galeria', docEnColeccion('galeria', 'imagenID')), validarCuerpo(ESQUEMA_GALERIA), verificarCuota('galeria'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const imagen = req.datos;
+
+    const docRef = await crearConOrden(db.collection('negocios').doc(negocioID).collection('galeria'), {
+      ...imagen,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, id: docRef.id });
+  } catch (error) {
+    console.error('Error agregando imagen:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/:negocioID/galeria/:imagenID', validarSesion, requerirRol('editor'), sinBorradorActivo, auditar('galeria', docEnColeccion('galeria', 'imagenID')), async (req, res) => {
+  try {
+    const { negocioID, imagenID } = req.params;
+    const docRef = db.collection('negocios').doc(negocioID).collection('galeria').doc(imagenID);
+    const doc = await docRef.get();
+
+    await docRef.delete();
+
+    if (doc.exists) {
+      limpiarArchivosDeDocumento(negocioID, doc.data());
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error eliminando imagen:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// PEDIDOS
+// ============================================
+app.get('/api/:negocioID/pedidos', validarSesion, requerirRol('order-manager', 'viewer'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const pedidosRef = db.collection('negocios').doc(negocioID).collection('pedidos');
+    const { items, nextCursor, total } = await listarPaginado(pedidosRef, req.query, {
+      orden: { campos: ['fechaCreacion', 'total'], defecto: 'fechaCreacion', direccion: 'desc' },
+      filtros: {
+        estado: { campo: 'estado', tipo: 'texto', valores: ESTADOS_PEDIDO },
+        desde: { campo: 'fechaCreacion', tipo: 'fecha', operador: '>=' },
+        hasta: { campo: 'fechaCreacion', tipo: 'fecha', operador: '<=' }
+      }
+    });
+
+    res.json({ pedidos: items, nextCursor, total });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo pedidos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+function redondearMoneda(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+// Aplica variaciones de stock (varianteID o null para el producto → delta) a un
+// producto leído dentro de la transacción. El stock de las variantes vive en
+// el arreglo `variantes`, así que se reescribe completo; la transacción evita
+// pisar cambios concurrentes
+function ajustarStock(transaction, productoDoc, deltas) {
+  const data = productoDoc.data();
+  const cambios = {};
+
+  if (deltas.has(null) && typeof data.stock === 'number') {
+    cambios.stock = admin.firestore.FieldValue.increment(deltas.get(null));
+  }
+
+  if (tieneVariantes(data)) {
+    let modificadas = false;
+    const variantes = data.variantes.map(variante => {
+      if (!deltas.has(variante.id) || typeof variante.stock !== 'number') return variante;
+      modificadas = true;
+      return { ...variante, stock: variante.stock + deltas.get(variante.id) };
+    });
+    if (modificadas) cambios.variantes = variantes;
+  }
+
+  if (Object.keys(cambios).length > 0) {
+    transaction.update(productoDoc.ref, cambios);
+  }
+}
+
+// Crea el pedido con precios vigentes y descuenta stock en una sola
+// transacción, de modo que dos pedidos simultáneos no puedan sobrevender
+async function crearPedido(negocioID, pedido) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const productosRef = negocioRef.collection('productos');
+  const pedidoRef = negocioRef.collection('pedidos').doc();
+
+  // Un mismo producto (o variante) puede venir en varias líneas: se suman las
+  // cantidades por producto y variante
+  const cantidades = new Map();
+  pedido.items.forEach(({ productoID, varianteID, cantidad }) => {
+    if (!cantidades.has(productoID)) cantidades.set(productoID, new Map());
+    const porVariante = cantidades.get(productoID);
+    const clave = varianteID || null;
+    porVariante.set(clave, (porVariante.get(clave) || 0) + cantidad);
+  });
+
+  const idsValidos = [...cantidades.keys()].filter(id => !id.includes('/'));
+
+  return db.runTransaction(async (transaction) => {
+    const productosDocs = idsValidos.length > 0
+      ? await transaction.getAll(...idsValidos.map(id => productosRef.doc(id)))
+      : [];
+    const productos = new Map(productosDocs.map(doc => [doc.id, doc]));
+
+    const buscarVariante = (producto, varianteID) =>
+      (producto.variantes || []).find(variante => variante.id === varianteID);
+
+    const errores = [];
+    pedido.items.forEach(({ productoID, varianteID }, i) => {
+      const doc = productos.get(productoID);
+      if (!doc || !doc.exists) {
+        errores.push({ campo: `items[${i}].productoID`, mensaje: 'Producto no encontrado' });
+        return;
+      }
+
+      const producto = doc.data();
+      if (producto.activo === false || producto.agotado === true) {
+        errores.push({ campo: `items[${i}].productoID`, mensaje: 'Producto no disponible' });
+        return;
+      }
+
+      if (!tieneVariantes(producto)) {
+        if (varianteID) {
+          errores.push({ campo: `items[${i}].varianteID`, mensaje: 'El producto no tiene variantes' });
+        } else if (typeof producto.precio !== 'number') {
+          errores.push({ campo: `items[${i}].productoID`, mensaje: 'Producto no disponible' });
+        }
+        return;
+      }
+
+      const variante = varianteID && buscarVariante(producto, varianteID);
+      if (!varianteID) {
+        errores.push({ campo: `items[${i}].varianteID`, mensaje: 'Debe elegir una variante' });
+      } else if (!variante) {
+        errores.push({ campo: `items[${i}].varianteID`, mensaje: 'Variante no encontrada' });
+      } else if (variante.activo === false || typeof (variante.precio ?? producto.precio) !== 'number') {
+        errores.push({ campo: `items[${i}].varianteID`, mensaje: 'Variante no disponible' });
+      }
+    });
+
+    if (errores.length > 0) {
+      throw errorHttp(400, 'Pedido inválido', errores);
+    }
+
+    const sinStock = [];
+    cantidades.forEach((porVariante, productoID) => {
+      const producto = productos.get(productoID).data();
+      porVariante.forEach((cantidad, varianteID) => {
+        const { stock } = varianteID ? buscarVariante(producto, varianteID) : producto;
+        if (typeof stock === 'number' && stock < cantidad) {
+          sinStock.push({
+            productoID,
+            ...(varianteID && { varianteID }),
+            nombre: producto.nombre,
+            solicitado: cantidad,
+            disponible: stock
+          });
+        }
+      });
+    });
+
+    if (sinStock.length > 0) {
+      throw errorHttp(409, 'Stock insuficiente', sinStock);
+    }
+
+    const items = pedido.items.map(({ productoID, varianteID, cantidad }) => {
+      const producto = productos.get(productoID).data();
+      const variante = varianteID ? buscarVariante(producto, varianteID) : null;
+      const precio = variante?.precio ?? producto.precio;
+      const sku = variante?.sku || producto.sku;
+      return {
+        productoID,
+        ...(variante && { varianteID }),
+        nombre: variante ? `${producto.nombre} (${variante.nombre})` : producto.nombre,
+        ...(sku && { sku }),
+        precioUnitario: precio,
+        cantidad,
+        subtotal: redondearMoneda(precio * cantidad)
+      };
+    });
+
+    const subtotal = redondearMoneda(items.reduce((suma, item) => suma + item.subtotal, 0));
+    const total = subtotal;
+
+    cantidades.forEach((porVariante, productoID) => {
+      const deltas = new Map([...porVariante].map(([varianteID, cantidad]) => [varianteID, -cantidad]));
+      ajustarStock(transaction, productos.get(productoID), deltas);
+    });
+
+    const codigoSeguimiento = generarCodigo(8);
+
+    transaction.set(pedidoRef, {
+      ...pedido,
+      items,
+      subtotal,
+      total,
+      estado: 'pendiente',
+      stockDescontado: true,
+      codigoSeguimiento,
+      historial: [{
+        estado: 'pendiente',
+        fecha: admin.firestore.Timestamp.now(),
+        nota: null,
+        actor: null
+      }],
+      fechaCreacion: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: pedidoRef.id, codigoSeguimiento, items, subtotal, total };
+  });
+}
+
+app.post('/api/:negocioID/pedidos', validarCuerpo(ESQUEMA_PEDIDO), verificarCuota('pedidosMensuales'), async (req, res) => {
+  try {
+    const { negocioID } = req.params;
+    const pedido = req.datos;
+
+    // Datos del negocio (ya leídos por app.param) para el mensaje de WhatsApp
+    // y el aviso por correo
+    const negocioData = req.negocio || {};
+
+    const resultado = await crearPedido(negocioID, pedido);
+    const pedidoCompleto = { ...pedido, ...resultado };
+
+    // El pedido ya está guardado: un fallo al armar los mensajes no debe
+    // responder como si no se hubiera creado, y cada uno va por separado para
+    // que el fallo de uno no deje sin el otro
+    let mensaje = null;
+    try {
+      mensaje = mensajeWhatsappPedido(negocioData, pedidoCompleto);
+    } catch (error) {
+      console.error(`Error preparando el mensaje de WhatsApp del pedido ${resultado.id}:`, error);
+    }
+    try {
+      notificarPedidoPorCorreo(negocioData, pedidoCompleto);
+    } catch (error) {
+      console.error(`Error preparando el aviso por correo del pedido ${resultado.id}:`, error);
+    }
+
+    emitirEvento(negocioID, 'pedido.creado', {
+      pedidoID: resultado.id,
+      cliente: pedido.cliente,
+      notas: pedido.notas || null,
+      items: resultado.items,
+      subtotal: resultado.subtotal,
+      total: resultado.total,
+      estado: 'pendiente'
+    });
+
+    res.json({ success: true, ...resultado, mensaje });
+  } catch (error) {
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error creando pedido:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Aplica una transición de estado validada, registra el historial y, si el
+// pedido se anula, devuelve el stock descontado al crearlo
+async function cambiarEstadoPedido(negocioID, pedidoID, { estado, nota }, actor) {
+  const negocioRef = db.collection('negocios').doc(negocioID);
+  const pedidoRef = negocioRef.collection('pedidos').doc(pedidoID);
+
+  return db.runTransaction(async (transaction) => {
+    const pedidoDoc = await transaction.get(pedidoRef);
+
+    if (!pedidoDoc.exists) {
+      throw errorHttp(404, 'Pedido no encontrado');
+    }
+
+    const pedidoData = pedidoDoc.data();
+    const anterior = pedidoData.estado;
+
+    // Los pedidos anteriores al ciclo de vida pueden tener estados libres
+    if (TRANSICIONES_PEDIDO[anterior] && !TRANSICIONES_PEDIDO[anterior].includes(estado)) {
+      throw errorHttp(409, `No se puede pasar de "${anterior}" a "${estado}"`, {
+        estadoActual: anterior,
+        permitidos: TRANSICIONES_PEDIDO[anterior]
+      });
+    }
 
-    if (!imagen) {
-      return res.status(400).json({ error: 'No se proporcionó imagen' });
+    // Solo se repone lo que el pedido descontó: los pedidos anteriores al
+    // control de stock no tienen la marca y no se tocan
+    let productosARestaurar = [];
+    const reponerStock = pedidoData.stockDescontado === true &&
+      ESTADOS_PEDIDO_ANULADO.includes(estado) && !ESTADOS_PEDIDO_ANULADO.includes(anterior);
+    if (reponerStock) {
+      const ids = [...new Set((pedidoData.items || [])
+        .map(item => item.productoID)
+        .filter(id => typeof id === 'string' && id && !id.includes('/')))];
+      const docs = ids.length > 0
+        ? await transaction.getAll(...ids.map(id => negocioRef.collection('productos').doc(id)))
+        : [];
+      productosARestaurar = docs.filter(doc => doc.exists);
     }
 
-    const base64Data = imagen.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
+    productosARestaurar.forEach(doc => {
+      const deltas = new Map();
+      pedidoData.items
+        .filter(item => item.productoID === doc.id)
+        .forEach(item => {
+          const clave = item.varianteID || null;
+          deltas.set(clave, (deltas.get(clave) || 0) + (item.cantidad || 0));
+        });
+      ajustarStock(transaction, doc, deltas);
+    });
 
-    const timestamp = Date.now();
-    const extension = imagen.match(/^data:image\/(\w+);base64,/)?.[1] || 'jpg';
-    const fileName = `${negocioID}/${timestamp}-${nombre || 'imagen'}.${extension}`;
+    const entrada = {
+      estado,
+      anterior: anterior || null,
+      fecha: admin.firestore.Timestamp.now(),
+      nota: nota || null,
+      actor
+    };
 
-    const file = bucket.file(fileName);
-    await file.save(buffer, {
-      metadata: {
-        contentType: `image/${extension}`,
-        metadata: {
-          negocioID: negocioID
-        }
-      },
-      public: true
+    transaction.update(pedidoRef, {
+      estado,
+      historial: [...(pedidoData.historial || []), entrada],
+      ...(reponerStock && { stockDescontado: false }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
+    return { anterior, estado };
+  });
+}
 
-    res.json({ 
-      success: true, 
-      url: publicUrl,
-      fileName: fileName 
+app.put('/api/:negocioID/pedidos/:pedidoID', validarSesion, requerirRol('order-manager'), auditar('pedidos', docEnColeccion('pedidos', 'pedidoID')), validarCuerpo(ESQUEMA_ESTADO_PEDIDO), async (req, res) => {
+  try {
+    const { negocioID, pedidoID } = req.params;
+
+    const resultado = await cambiarEstadoPedido(negocioID, pedidoID, req.datos, req.sesion.usuarioID);
+
+    emitirEvento(negocioID, 'pedido.estado_cambiado', {
+      pedidoID,
+      anterior: resultado.anterior || null,
+      estado: resultado.estado,
+      nota: req.datos.nota || null
     });
+
+    res.json({ success: true, ...resultado });
   } catch (error) {
-    console.error('Error subiendo imagen:', error);
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error actualizando pedido:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/:negocioID/delete-imagen', async (req, res) => {
+// Seguimiento público: el cliente consulta con el ID y el código que recibió
+app.get('/api/:negocioID/pedidos/:pedidoID/seguimiento', async (req, res) => {
   try {
-    const { fileName } = req.body;
+    const { negocioID, pedidoID } = req.params;
+    const { codigo } = req.query;
+    const noEncontrado = () => res.status(404).json({ error: 'Pedido no encontrado' });
 
-    if (!fileName) {
-      return res.status(400).json({ error: 'No se proporcionó nombre de archivo' });
+    if (!codigo || pedidoID.includes('/')) {
+      return noEncontrado();
     }
 
-    await bucket.file(fileName).delete();
+    const pedidoDoc = await db.collection('negocios').doc(negocioID).collection('pedidos').doc(pedidoID).get();
 
-    res.json({ success: true, message: 'Imagen eliminada' });
+    if (!pedidoDoc.exists || !pedidoDoc.data().codigoSeguimiento ||
+        !compararSeguro(pedidoDoc.data().codigoSeguimiento, String(codigo).toUpperCase())) {
+      return noEncontrado();
+    }
+
+    const pedido = pedidoDoc.data();
+
+    res.json({
+      id: pedidoDoc.id,
+      estado: pedido.estado,
+      fechaCreacion: pedido.fechaCreacion,
+      items: pedido.items,
+      total: pedido.total,
+      // Las notas del historial son internas del negocio
+      historial: (pedido.historial || []).map(({ estado, fecha }) => ({ estado, fecha }))
+    });
   } catch (error) {
-    console.error('Error eliminando imagen:', error);
+    console.error('Error consultando seguimiento:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ============================================
-// SUPER ADMIN - GESTIÓN DE NEGOCIOS (PROTEGIDO)
+// REPORTES DE VENTAS Y EXPORTACIÓN DE PEDIDOS
 // ============================================
-app.get('/api/super-admin/negocios', validarSuperAdmin, async (req, res) => {
-  try {
-    const negociosRef = db.collection('negocios');
-    const snapshot = await negociosRef.get();
+// Los reportes recorren los pedidos del rango en lotes y acumulan sobre la
+// marcha, sin cargarlos todos. Las fechas (?desde, ?hasta como AAAA-MM-DD,
+// ambos incluidos) y los cortes por día, semana o mes se toman en la zona
+// horaria del negocio
+const ZONA_HORARIA_POR_DEFECTO = esZonaHorariaValida(process.env.ZONA_HORARIA_POR_DEFECTO)
+  ? process.env.ZONA_HORARIA_POR_DEFECTO
+  : 'UTC';
+const AGRUPACIONES_REPORTE = ['dia', 'semana', 'mes'];
+const DIAS_REPORTE_DEFECTO = 30;
+const MAXIMO_DIAS_REPORTE = 731;
+const LOTE_PEDIDOS = 500;
+const FORMATO_FECHA_REPORTE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DIA_MS = 24 * 60 * 60 * 1000;
 
-    const negocios = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      negocios.push({
-        id: doc.id,
-        negocioID: doc.id,
-        nombreNegocio: data.nombre || 'Sin nombre',
-        email: data.admin?.email || 'N/A',
-        user: data.admin?.user || 'N/A',
-        pin: data.admin?.pin || 'N/A',
-        activo: data.activo !== false,
-        briefCompletado: data.briefCompletado || false,
-        fechaCreacion: data.createdAt,
-        colores: data.colores,
-        updatedAt: data.updatedAt
-      });
-    });
+function zonaDelNegocio(negocioData) {
+  return negocioData?.zonaHoraria || ZONA_HORARIA_POR_DEFECTO;
+}
 
-    res.json({ negocios });
-  } catch (error) {
-    console.error('Error obteniendo negocios:', error);
-    res.status(500).json({ error: error.message });
+// Un Intl.DateTimeFormat por zona: crearlos es caro y se usan por pedido
+const formatosZona = new Map();
+
+// Fecha y hora locales de un instante en la zona dada
+function partesEnZona(fecha, zona) {
+  if (!formatosZona.has(zona)) {
+    formatosZona.set(zona, new Intl.DateTimeFormat('en-US', {
+      timeZone: zona,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
   }
-});
 
-app.post('/api/super-admin/negocios', validarSuperAdmin, async (req, res) => {
-  try {
-    const { nombreNegocio, email } = req.body;
+  const partes = {};
+  formatosZona.get(zona).formatToParts(fecha).forEach(({ type, value }) => {
+    if (type !== 'literal') partes[type] = Number(value);
+  });
+  return partes;
+}
 
-    if (!nombreNegocio || !email) {
-      return res.status(400).json({ error: 'Faltan datos requeridos: nombreNegocio y email' });
+function fechaISO(anio, mes, dia) {
+  return `${anio}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+}
+
+// Aritmética de calendario sobre AAAA-MM-DD (sin zona)
+function sumarDias(fecha, dias) {
+  return new Date(Date.parse(`${fecha}T00:00:00Z`) + dias * DIA_MS).toISOString().slice(0, 10);
+}
+
+// Instante en que empieza el día `fecha` en la zona. Se corrige dos veces
+// porque el desfase puede cambiar en ese mismo día (horario de verano)
+function inicioDelDia(fecha, zona) {
+  const comoUTC = Date.parse(`${fecha}T00:00:00Z`);
+  const desfase = (instante) => {
+    const p = partesEnZona(new Date(instante), zona);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instante;
+  };
+
+  let instante = comoUTC - desfase(comoUTC);
+  instante = comoUTC - desfase(instante);
+  return new Date(instante);
+}
+
+// Periodo al que pertenece un día: el mismo día, el lunes de su semana o el mes
+function clavePeriodo(fecha, agrupar) {
+  if (agrupar === 'mes') {
+    return fecha.slice(0, 7);
+  }
+  if (agrupar === 'semana') {
+    const diaSemana = (new Date(`${fecha}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return sumarDias(fecha, -diaSemana);
+  }
+  return fecha;
+}
+
+// Valida ?desde, ?hasta y ?agrupar; sin fechas son los últimos 30 días
+function rangoDeReporte(query, zona) {
+  const errores = [];
+  const hoy = partesEnZona(new Date(), zona);
+  const hasta = query.hasta || fechaISO(hoy.year, hoy.month, hoy.day);
+  const desde = query.desde || sumarDias(hasta, -(DIAS_REPORTE_DEFECTO - 1));
+  const agrupar = query.agrupar || 'dia';
+
+  [['desde', desde], ['hasta', hasta]].forEach(([campo, valor]) => {
+    const partes = FORMATO_FECHA_REPORTE.exec(valor);
+    const fecha = partes && new Date(`${valor}T00:00:00Z`);
+    if (!fecha || Number.isNaN(fecha.getTime()) || fecha.getUTCDate() !== Number(partes[3])) {
+      errores.push({ campo, mensaje: 'Debe ser una fecha AAAA-MM-DD' });
     }
+  });
 
-    // Generar credenciales automáticamente
-    const negocioID = 'neg_' + Math.random().toString(36).substring(2, 15);
-    const user = nombreNegocio.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 10) || 'user' + Date.now();
-    const pin = Math.floor(1000 + Math.random() * 9000).toString();
+  if (!AGRUPACIONES_REPORTE.includes(agrupar)) {
+    errores.push({ campo: 'agrupar', mensaje: `Valores permitidos: ${AGRUPACIONES_REPORTE.join(', ')}` });
+  }
 
-    // Crear documento del negocio con estructura completa
-    await db.collection('negocios').doc(negocioID).set({
-      nombre: nombreNegocio,
-      slogan: 'Los mejores productos al mejor precio',
-      admin: {
-        user: user,
-        pin: pin,
-        email: email
-      },
-      colores: {
-        primario: '#667eea',
-        secundario: '#10B981'
-      },
-      contacto: {
-        telefono: '',
-        whatsapp: '',
-        email: email,
-        direccion: '',
-        redesSociales: {
-          facebook: '',
-          instagram: ''
-        }
-      },
-      contenido: {
-        sobreNosotros: 'Somos una empresa dedicada a ofrecer los mejores productos.',
-        mision: '',
-        vision: ''
-      },
-      seccionesActivas: {
-        hero: true,
-        servicios: true,
-        nosotros: true,
-        casosExito: true,
-        testimonios: true,
-        galeria: true,
-        contacto: true
-      },
-      activo: true,
-      briefCompletado: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+  if (query.estado !== undefined && !ESTADOS_PEDIDO.includes(query.estado)) {
+    errores.push({ campo: 'estado', mensaje: `Valores permitidos: ${ESTADOS_PEDIDO.join(', ')}` });
+  }
 
-    res.json({ 
-      success: true, 
-      negocioID,
-      negocio: {
-        negocioID,
-        user,
-        pin,
-        nombreNegocio,
-        email
+  if (errores.length === 0) {
+    const dias = (Date.parse(hasta) - Date.parse(desde)) / DIA_MS + 1;
+    if (dias < 1) {
+      errores.push({ campo: 'hasta', mensaje: 'Debe ser igual o posterior a desde' });
+    } else if (dias > MAXIMO_DIAS_REPORTE) {
+      errores.push({ campo: 'hasta', mensaje: `El rango admite hasta ${MAXIMO_DIAS_REPORTE} días` });
+    }
+  }
+
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Parámetros de reporte inválidos', errores);
+  }
+
+  return {
+    desde,
+    hasta,
+    agrupar,
+    estado: query.estado || null,
+    inicio: inicioDelDia(desde, zona),
+    // Exclusivo: inicio del día siguiente a `hasta`
+    fin: inicioDelDia(sumarDias(hasta, 1), zona)
+  };
+}
+
+// Pasa los pedidos del rango a `alLote` de a LOTE_PEDIDOS, en orden de
+// creación. `alLote` puede devolver false para cortar el recorrido
+async function recorrerPedidos(negocioID, rango, alLote) {
+  let query = db.collection('negocios').doc(negocioID).collection('pedidos')
+    .where('fechaCreacion', '>=', admin.firestore.Timestamp.fromDate(rango.inicio))
+    .where('fechaCreacion', '<', admin.firestore.Timestamp.fromDate(rango.fin));
+
+  if (rango.estado) {
+    query = query.where('estado', '==', rango.estado);
+  }
+
+  query = query.orderBy('fechaCreacion', 'asc').limit(LOTE_PEDIDOS);
+  let ultimo = null;
+
+  do {
+    const snapshot = await (ultimo ? query.startAfter(ultimo) : query).get();
+    if (snapshot.empty) break;
+
+    const seguir = await alLote(snapshot.docs);
+    if (seguir === false) break;
+
+    ultimo = snapshot.docs.length === LOTE_PEDIDOS ? snapshot.docs[snapshot.docs.length - 1] : null;
+  } while (ultimo);
+}
+
+// Totales del rango por periodo, por estado y por producto (o variante).
+// Los ingresos y unidades no cuentan pedidos cancelados ni rechazados
+async function reporteDeVentas(negocioID, rango, zona) {
+  const periodos = new Map();
+  for (let dia = rango.desde; dia <= rango.hasta; dia = sumarDias(dia, 1)) {
+    const clave = clavePeriodo(dia, rango.agrupar);
+    if (!periodos.has(clave)) {
+      periodos.set(clave, { periodo: clave, pedidos: 0, ingresos: 0, unidades: 0 });
+    }
+  }
+
+  const porEstado = Object.fromEntries(ESTADOS_PEDIDO.map(estado => [estado, { pedidos: 0, total: 0 }]));
+  const productos = new Map();
+  const resumen = { pedidos: 0, anulados: 0, ingresos: 0, unidades: 0 };
+
+  await recorrerPedidos(negocioID, rango, (docs) => {
+    docs.forEach(doc => {
+      const pedido = doc.data();
+      const total = pedido.total || 0;
+
+      resumen.pedidos++;
+      if (porEstado[pedido.estado]) {
+        porEstado[pedido.estado].pedidos++;
+        porEstado[pedido.estado].total += total;
       }
+
+      if (ESTADOS_PEDIDO_ANULADO.includes(pedido.estado)) {
+        resumen.anulados++;
+        return;
+      }
+
+      const local = partesEnZona(pedido.fechaCreacion.toDate(), zona);
+      const periodo = periodos.get(clavePeriodo(fechaISO(local.year, local.month, local.day), rango.agrupar));
+      const unidades = (pedido.items || []).reduce((suma, item) => suma + (item.cantidad || 0), 0);
+
+      periodo.pedidos++;
+      periodo.ingresos += total;
+      periodo.unidades += unidades;
+      resumen.ingresos += total;
+      resumen.unidades += unidades;
+
+      (pedido.items || []).forEach(item => {
+        const clave = `${item.productoID}:${item.varianteID || ''}`;
+        if (!productos.has(clave)) {
+          productos.set(clave, {
+            productoID: item.productoID,
+            varianteID: item.varianteID || null,
+            nombre: item.nombre,
+            sku: item.sku || null,
+            unidades: 0,
+            ingresos: 0,
+            pedidos: 0
+          });
+        }
+        const producto = productos.get(clave);
+        producto.unidades += item.cantidad || 0;
+        producto.ingresos += item.subtotal || 0;
+        producto.pedidos++;
+      });
     });
-  } catch (error) {
-    console.error('Error creando negocio:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+  });
+
+  const validos = resumen.pedidos - resumen.anulados;
+
+  return {
+    resumen: {
+      ...resumen,
+      ingresos: redondearMoneda(resumen.ingresos),
+      ticketPromedio: validos > 0 ? redondearMoneda(resumen.ingresos / validos) : 0
+    },
+    porPeriodo: [...periodos.values()].map(periodo => ({ ...periodo, ingresos: redondearMoneda(periodo.ingresos) })),
+    porEstado: Object.fromEntries(Object.entries(porEstado).map(([estado, datos]) => [
+      estado,
+      { ...datos, total: redondearMoneda(datos.total) }
+    ])),
+    porProducto: [...productos.values()]
+      .map(producto => ({ ...producto, ingresos: redondearMoneda(producto.ingresos) }))
+      .sort((a, b) => b.ingresos - a.ingresos || b.unidades - a.unidades)
+  };
+}
 
-app.put('/api/super-admin/negocios/:negocioID', validarSuperAdmin, async (req, res) => {
+app.get('/api/:negocioID/reportes/ventas', validarSesion, requerirRol('order-manager', 'viewer'), async (req, res) => {
   try {
     const { negocioID } = req.params;
-    const datos = req.body;
+    const zona = zonaDelNegocio(req.negocio);
+    const rango = rangoDeReporte(req.query, zona);
 
-    await db.collection('negocios').doc(negocioID).update({
-      ...datos,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    const reporte = await reporteDeVentas(negocioID, rango, zona);
 
-    res.json({ success: true });
+    res.json({
+      zonaHoraria: zona,
+      desde: rango.desde,
+      hasta: rango.hasta,
+      agrupar: rango.agrupar,
+      ...reporte
+    });
   } catch (error) {
-    console.error('Error actualizando negocio:', error);
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error generando reporte de ventas:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/super-admin/negocios/:negocioID', validarSuperAdmin, async (req, res) => {
+// Una fila por línea de pedido, con los datos del pedido repetidos
+const COLUMNAS_EXPORTACION_PEDIDOS = [
+  { clave: 'pedidoID', titulo: 'Pedido', ancho: 24 },
+  { clave: 'fecha', titulo: 'Fecha', ancho: 18 },
+  { clave: 'estado', titulo: 'Estado', ancho: 14 },
+  { clave: 'cliente', titulo: 'Cliente', ancho: 28 },
+  { clave: 'telefono', titulo: 'Teléfono', ancho: 16 },
+  { clave: 'email', titulo: 'Email', ancho: 28 },
+  { clave: 'direccion', titulo: 'Dirección', ancho: 36 },
+  { clave: 'notas', titulo: 'Notas', ancho: 36 },
+  { clave: 'totalPedido', titulo: 'Total del pedido', ancho: 16 },
+  { clave: 'productoID', titulo: 'Producto ID', ancho: 24 },
+  { clave: 'varianteID', titulo: 'Variante ID', ancho: 14 },
+  { clave: 'sku', titulo: 'SKU', ancho: 14 },
+  { clave: 'producto', titulo: 'Producto', ancho: 36 },
+  { clave: 'cantidad', titulo: 'Cantidad', ancho: 10 },
+  { clave: 'precioUnitario', titulo: 'Precio unitario', ancho: 14 },
+  { clave: 'subtotal', titulo: 'Subtotal', ancho: 14 }
+];
+
+const FORMATOS_EXPORTACION = ['csv', 'xlsx'];
+
+function filasDePedido(pedidoID, pedido, zona) {
+  const local = partesEnZona(pedido.fechaCreacion.toDate(), zona);
+  const base = {
+    pedidoID,
+    fecha: new Date(Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second)),
+    estado: pedido.estado,
+    cliente: pedido.cliente?.nombre || '',
+    telefono: pedido.cliente?.telefono || '',
+    email: pedido.cliente?.email || '',
+    direccion: pedido.cliente?.direccion || '',
+    notas: pedido.notas || '',
+    totalPedido: pedido.total ?? ''
+  };
+
+  return (pedido.items || []).map(item => ({
+    ...base,
+    productoID: item.productoID,
+    varianteID: item.varianteID || '',
+    sku: item.sku || '',
+    producto: item.nombre || '',
+    cantidad: item.cantidad,
+    precioUnitario: item.precioUnitario,
+    subtotal: item.subtotal
+  }));
+}
+
+// Las celdas que empiezan con = + - @ se abren como fórmulas en las planillas
+function celdaCsv(valor) {
+  if (valor instanceof Date) {
+    return valor.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  if (typeof valor === 'number') {
+    return String(valor);
+  }
+
+  let texto = String(valor ?? '');
+  if (/^[=+\-@\t\r]/.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function lineaCsv(valores) {
+  return `${valores.map(celdaCsv).join(',')}\r\n`;
+}
+
+// Respeta la contrapresión: no se lee el lote siguiente hasta que el
+// cliente haya consumido lo escrito
+async function esperarDrenado(res) {
+  if (res.writableNeedDrain) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+}
+
+async function exportarPedidosCsv(res, negocioID, rango, zona) {
+  // BOM para que Excel reconozca UTF-8
+  res.write(`\uFEFF${lineaCsv(COLUMNAS_EXPORTACION_PEDIDOS.map(columna => columna.titulo))}`);
+
+  await recorrerPedidos(negocioID, rango, async (docs) => {
+    if (res.destroyed) return false;
+
+    const bloque = docs
+      .flatMap(doc => filasDePedido(doc.id, doc.data(), zona))
+      .map(fila => lineaCsv(COLUMNAS_EXPORTACION_PEDIDOS.map(columna => fila[columna.clave])))
+      .join('');
+
+    res.write(bloque);
+    await esperarDrenado(res);
+  });
+
+  res.end();
+}
+
+async function exportarPedidosXlsx(res, negocioID, rango, zona) {
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  const hoja = libro.addWorksheet('Pedidos');
+
+  hoja.columns = COLUMNAS_EXPORTACION_PEDIDOS.map(({ clave, titulo, ancho }) => ({
+    key: clave,
+    header: titulo,
+    width: ancho,
+    ...(clave === 'fecha' && { style: { numFmt: 'yyyy-mm-dd hh:mm' } })
+  }));
+
+  await recorrerPedidos(negocioID, rango, async (docs) => {
+    if (res.destroyed) return false;
+
+    docs.forEach(doc => {
+      filasDePedido(doc.id, doc.data(), zona).forEach(fila => hoja.addRow(fila).commit());
+    });
+    await esperarDrenado(res);
+  });
+
+  hoja.commit();
+  await libro.commit();
+}
+
+// ?formato=csv|xlsx con el mismo rango que los reportes y ?estado= opcional
+app.get('/api/:negocioID/pedidos/exportar', validarSesion, requerirRol('order-manager', 'viewer'), async (req, res) => {
   try {
     const { negocioID } = req.params;
-    
-    const collections = ['productos', 'servicios', 'testimonios', 'casosExito', 'galeria', 'pedidos'];
-    
-    for (const collectionName of collections) {
-      const snapshot = await db.collection('negocios').doc(negocioID).collection(collectionName).get();
-      const batch = db.batch();
-      snapshot.docs.forEach(doc => batch.delete(doc.ref));
-      await batch.commit();
+    const formato = req.query.formato || 'csv';
+
+    if (!FORMATOS_EXPORTACION.includes(formato)) {
+      return res.status(400).json({
+        error: 'Parámetros de reporte inválidos',
+        detalles: [{ campo: 'formato', mensaje: `Valores permitidos: ${FORMATOS_EXPORTACION.join(', ')}` }]
+      });
     }
 
-    await db.collection('negocios').doc(negocioID).delete();
+    const zona = zonaDelNegocio(req.negocio);
+    const rango = rangoDeReporte(req.query, zona);
+    const archivo = `pedidos-${negocioID}-${rango.desde}-a-${rango.hasta}.${formato}`;
 
-    res.json({ success: true });
+    res.set({
+      'Content-Type': formato === 'csv'
+        ? 'text/csv; charset=utf-8'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${archivo}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    if (formato === 'csv') {
+      await exportarPedidosCsv(res, negocioID, rango, zona);
+    } else {
+      await exportarPedidosXlsx(res, negocioID, rango, zona);
+    }
   } catch (error) {
-    console.error('Error eliminando negocio:', error);
+    // Con el archivo a medio enviar solo queda cortar la conexión
+    if (res.headersSent) {
+      console.error('Error exportando pedidos:', error);
+      return res.destroy(error);
+    }
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error exportando pedidos:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ============================================
-// AUTENTICACIÓN
+// MENSAJES DE PEDIDOS (WHATSAPP Y CORREO)
 // ============================================
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { user, pin, negocioID } = req.body;
+// Plantillas por negocio en el campo `mensajes` del documento; los valores
+// no configurados usan MENSAJES_POR_DEFECTO. Placeholders: {{nombre}}
+const PLACEHOLDERS_MENSAJE = ['negocio', 'cliente', 'telefono', 'items', 'total', 'pedidoID', 'codigoSeguimiento', 'notas'];
 
-    if (!user || !pin || !negocioID) {
-      return res.status(400).json({ error: 'Faltan datos' });
-    }
+const MENSAJES_POR_DEFECTO = {
+  whatsapp: 'Hola {{negocio}}, soy {{cliente}}. Acabo de hacer el pedido {{pedidoID}}:\n{{items}}\nTotal: {{total}}',
+  correoAsunto: 'Nuevo pedido {{pedidoID}} de {{cliente}}',
+  correo: 'Pedido {{pedidoID}} de {{cliente}} ({{telefono}})\n\n{{items}}\n\nTotal: {{total}}\nNotas: {{notas}}\nCódigo de seguimiento: {{codigoSeguimiento}}',
+  notificarPorCorreo: true,
+  copiaCliente: false
+};
 
-    const negocioRef = db.collection('negocios').doc(negocioID);
-    const negocioDoc = await negocioRef.get();
+const FORMATO_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
 
-    if (!negocioDoc.exists) {
-      return res.status(404).json({ error: 'Negocio no encontrado' });
-    }
+function formatearMonto(valor) {
+  return `$${valor.toFixed(2)}`;
+}
 
-    const negocioData = negocioDoc.data();
+function plantillasMensajes(negocioData) {
+  return { ...MENSAJES_POR_DEFECTO, ...(negocioData.mensajes || {}) };
+}
 
-    if (negocioData.admin?.user === user && negocioData.admin?.pin === pin) {
-      return res.json({
-        success: true,
-        negocioID: negocioID,
-        nombre: negocioData.nombre
+// Los placeholders desconocidos se dejan tal cual
+function renderizarPlantilla(plantilla, valores) {
+  return plantilla.replace(FORMATO_PLACEHOLDER, (coincidencia, nombre) =>
+    (Object.prototype.hasOwnProperty.call(valores, nombre) ? String(valores[nombre]) : coincidencia));
+}
+
+function valoresMensajePedido(negocioData, pedido) {
+  return {
+    negocio: negocioData.nombre || '',
+    cliente: pedido.cliente.nombre,
+    telefono: pedido.cliente.telefono || '',
+    items: pedido.items
+      .map(item => `- ${item.cantidad} x ${item.nombre}: ${formatearMonto(item.subtotal)}`)
+      .join('\n'),
+    total: formatearMonto(pedido.total),
+    pedidoID: pedido.id,
+    codigoSeguimiento: pedido.codigoSeguimiento || '',
+    notas: pedido.notas || '-'
+  };
+}
+
+// wa.me solo acepta el número internacional sin "+", espacios ni guiones
+function enlaceWhatsapp(numero, texto) {
+  const digitos = String(numero || '').replace(/\D/g, '');
+  if (digitos.length < 8) return null;
+  return `https://wa.me/${digitos}?text=${encodeURIComponent(texto)}`;
+}
+
+function mensajeWhatsappPedido(negocioData, pedido) {
+  const texto = renderizarPlantilla(plantillasMensajes(negocioData).whatsapp, valoresMensajePedido(negocioData, pedido));
+  return {
+    texto,
+    whatsappUrl: enlaceWhatsapp(negocioData.contacto?.whatsapp, texto)
+  };
+}
+
+// Transportes de correo intercambiables: objetos con `enviar({ para, asunto, texto })`.
+// Se elige con CORREO_TRANSPORTE; sin configurar no se envía nada (se avisa
+// una vez al arrancar). Un proveedor nuevo es una entrada más en este objeto
+const transportesCorreo = {
+  ninguno: {
+    async enviar() {}
+  },
+  // Escribe destinatario y asunto en el log: solo para desarrollo, porque
+  // deja datos de clientes en los logs
+  consola: {
+    async enviar({ para, asunto }) {
+      console.log(`📧 Correo a ${para}: ${asunto}`);
+    }
+  },
+  // POST JSON a un servicio propio o puente hacia el proveedor de correo
+  http: {
+    async enviar(correo) {
+      const respuesta = await fetch(process.env.CORREO_HTTP_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.CORREO_HTTP_TOKEN && { Authorization: `Bearer ${process.env.CORREO_HTTP_TOKEN}` })
+        },
+        body: JSON.stringify({ remitente: process.env.CORREO_REMITENTE || null, ...correo }),
+        signal: AbortSignal.timeout(10 * 1000)
       });
+      if (!respuesta.ok) {
+        throw new Error(`El transporte de correo respondió ${respuesta.status}`);
+      }
     }
+  }
+};
 
-    res.status(401).json({ error: 'Credenciales inválidas para este negocio' });
-  } catch (error) {
-    console.error('Error en login:', error);
-    res.status(500).json({ error: error.message });
+if (!process.env.CORREO_TRANSPORTE) {
+  console.warn('CORREO_TRANSPORTE no configurado: los avisos de pedidos por correo no se enviarán');
+}
+
+async function enviarCorreo(correo) {
+  const nombre = process.env.CORREO_TRANSPORTE || 'ninguno';
+  const transporte = transportesCorreo[nombre];
+  if (!transporte) {
+    throw new Error(`Transporte de correo desconocido: ${nombre}`);
   }
-});
+  await transporte.enviar(correo);
+}
 
-// ============================================
-// CONFIGURACIÓN
-// ============================================
-app.get('/api/:negocioID/config', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
+// Avisa del pedido al negocio (y al cliente si está activado) en segundo plano
+function notificarPedidoPorCorreo(negocioData, pedido) {
+  const plantillas = plantillasMensajes(negocioData);
+  if (!plantillas.notificarPorCorreo) return;
 
-    if (!negocioDoc.exists) {
-      return res.status(404).json({ error: 'Negocio no encontrado' });
-    }
+  const valores = valoresMensajePedido(negocioData, pedido);
+  const asunto = renderizarPlantilla(plantillas.correoAsunto, valores);
+  const texto = renderizarPlantilla(plantillas.correo, valores);
 
-    res.json(negocioDoc.data());
-  } catch (error) {
-    console.error('Error obteniendo config:', error);
-    res.status(500).json({ error: error.message });
+  const destinatarios = [negocioData.contacto?.email || negocioData.admin?.email];
+  if (plantillas.copiaCliente) {
+    destinatarios.push(pedido.cliente.email);
   }
-});
 
-app.put('/api/:negocioID/config', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const datos = req.body;
+  destinatarios.filter(Boolean).forEach(para => {
+    enviarCorreo({ para, asunto, texto })
+      .catch(error => console.error('Error enviando correo del pedido:', error));
+  });
+}
 
-    await db.collection('negocios').doc(negocioID).update({
-      ...datos,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+// Los placeholders desconocidos suelen ser errores de tipeo: se rechazan
+function validarPlaceholders(datos) {
+  const errores = [];
+  ['whatsapp', 'correoAsunto', 'correo'].forEach(campo => {
+    if (typeof datos[campo] !== 'string') return;
+    const desconocidos = [...datos[campo].matchAll(FORMATO_PLACEHOLDER)]
+      .map(([, nombre]) => nombre)
+      .filter(nombre => !PLACEHOLDERS_MENSAJE.includes(nombre));
+    if (desconocidos.length > 0) {
+      errores.push({ campo, mensaje: `Placeholders desconocidos: ${[...new Set(desconocidos)].join(', ')}` });
+    }
+  });
 
-    res.json({ success: true, message: 'Configuración actualizada' });
-  } catch (error) {
-    console.error('Error actualizando config:', error);
-    res.status(500).json({ error: error.message });
+  if (errores.length > 0) {
+    throw errorHttp(400, 'Datos inválidos', errores);
   }
-});
+}
 
-// ============================================
-// SECCIONES ACTIVAS
-// ============================================
-app.get('/api/:negocioID/secciones', async (req, res) => {
+app.get('/api/:negocioID/mensajes', validarSesion, requerirRol('editor'), async (req, res) => {
   try {
     const { negocioID } = req.params;
     const negocioDoc = await db.collection('negocios').doc(negocioID).get();
@@ -352,406 +7030,515 @@ app.get('/api/:negocioID/secciones', async (req, res) => {
       return res.status(404).json({ error: 'Negocio no encontrado' });
     }
 
-    const data = negocioDoc.data();
     res.json({
-      secciones: data.seccionesActivas || {
-        hero: true,
-        servicios: true,
-        nosotros: true,
-        casosExito: true,
-        testimonios: true,
-        galeria: true,
-        contacto: true
-      }
+      mensajes: plantillasMensajes(negocioDoc.data()),
+      porDefecto: MENSAJES_POR_DEFECTO,
+      placeholders: PLACEHOLDERS_MENSAJE
     });
   } catch (error) {
-    console.error('Error obteniendo secciones:', error);
+    console.error('Error obteniendo mensajes:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/:negocioID/secciones', async (req, res) => {
+// Campos omitidos se conservan; una cadena vacía vuelve al texto por defecto
+app.put('/api/:negocioID/mensajes', validarSesion, requerirRol('editor'), auditar('mensajes', docDelNegocio), validarCuerpo(ESQUEMA_MENSAJES, { parcial: true }), async (req, res) => {
   try {
     const { negocioID } = req.params;
-    const { secciones } = req.body;
+    const datos = req.datos;
+
+    validarPlaceholders(datos);
+
+    const cambios = Object.fromEntries(Object.entries(datos).map(([campo, valor]) => [
+      `mensajes.${campo}`,
+      valor === '' ? admin.firestore.FieldValue.delete() : valor
+    ]));
 
     await db.collection('negocios').doc(negocioID).update({
-      seccionesActivas: secciones,
+      ...cambios,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    res.json({ success: true, message: 'Secciones actualizadas' });
+    res.json({ success: true, message: 'Mensajes actualizados' });
   } catch (error) {
-    console.error('Error actualizando secciones:', error);
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error actualizando mensajes:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================
-// PRODUCTOS
-// ============================================
-app.get('/api/:negocioID/productos', async (req, res) => {
+// Muestra las plantillas (guardadas o las enviadas en el cuerpo) con un pedido de ejemplo
+app.post('/api/:negocioID/mensajes/vista-previa', validarSesion, requerirRol('editor'), validarCuerpo(ESQUEMA_MENSAJES, { parcial: true }), async (req, res) => {
   try {
     const { negocioID } = req.params;
-    const productosRef = db.collection('negocios').doc(negocioID).collection('productos');
-    const snapshot = await productosRef.get();
+    const negocioDoc = await db.collection('negocios').doc(negocioID).get();
 
-    const productos = [];
-    snapshot.forEach(doc => {
-      productos.push({ id: doc.id, ...doc.data() });
-    });
+    if (!negocioDoc.exists) {
+      return res.status(404).json({ error: 'Negocio no encontrado' });
+    }
 
-    res.json({ productos });
-  } catch (error) {
-    console.error('Error obteniendo productos:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+    const negocioData = { ...negocioDoc.data() };
+    const enviados = Object.entries(req.datos).filter(([, valor]) => valor !== '');
+    negocioData.mensajes = { ...(negocioData.mensajes || {}), ...Object.fromEntries(enviados) };
 
-app.post('/api/:negocioID/productos', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const producto = req.body;
+    const ejemplo = {
+      id: 'EJEMPLO123',
+      codigoSeguimiento: 'ABCD2345',
+      cliente: { nombre: 'Ana Pérez', telefono: '+52 55 1234 5678' },
+      items: [
+        { cantidad: 2, nombre: 'Producto de ejemplo', subtotal: 300 },
+        { cantidad: 1, nombre: 'Otro producto (Talla M)', subtotal: 150 }
+      ],
+      total: 450,
+      notas: 'Entregar por la tarde'
+    };
+    const plantillas = plantillasMensajes(negocioData);
+    const valores = valoresMensajePedido(negocioData, ejemplo);
 
-    const docRef = await db.collection('negocios').doc(negocioID).collection('productos').add({
-      ...producto,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    res.json({
+      whatsapp: mensajeWhatsappPedido(negocioData, ejemplo),
+      correo: {
+        asunto: renderizarPlantilla(plantillas.correoAsunto, valores),
+        texto: renderizarPlantilla(plantillas.correo, valores)
+      }
     });
-
-    res.json({ success: true, id: docRef.id });
   } catch (error) {
-    console.error('Error creando producto:', error);
+    console.error('Error generando vista previa de mensajes:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/:negocioID/productos/:productoID', async (req, res) => {
-  try {
-    const { negocioID, productoID } = req.params;
-    const datos = req.body;
+// ============================================
+// WEBHOOKS SALIENTES
+// ============================================
+// negocios/{id}/webhooks/{webhookID} con sus entregas en la subcolección
+// entregas/{entregaID}. El cuerpo de cada entrega se fija al crearla para
+// que los reintentos envíen exactamente lo mismo; la firma es
+// HMAC-SHA256(secreto, "<timestamp>.<cuerpo>") en X-Webhook-Firma
+const MAX_INTENTOS_WEBHOOK = 6;
+const RETRASO_BASE_WEBHOOK_MS = 30 * 1000;       // 30 s, 1 min, 2 min, 4 min...
+const RETRASO_MAXIMO_WEBHOOK_MS = 60 * 60 * 1000; // 1 hora
+const TIMEOUT_WEBHOOK_MS = 10 * 1000;
+// Mientras un envío está en curso la entrega queda reservada este tiempo,
+// para que el reintento en memoria y el cron no la envíen dos veces
+const RESERVA_ENTREGA_MS = 60 * 1000;
 
-    await db.collection('negocios').doc(negocioID).collection('productos').doc(productoID).update({
-      ...datos,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+function webhooksRef(negocioID) {
+  return db.collection('negocios').doc(negocioID).collection('webhooks');
+}
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error actualizando producto:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+function generarSecretoWebhook() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function retrasoReintento(intentos) {
+  return Math.min(RETRASO_BASE_WEBHOOK_MS * 2 ** (intentos - 1), RETRASO_MAXIMO_WEBHOOK_MS);
+}
+
+// Rangos a los que nunca se entrega un webhook: red interna del servidor,
+// loopback, CGNAT, enlace local, multicast y reservados. BlockList también
+// aplica las reglas IPv4 a las IPv6 mapeadas (::ffff:127.0.0.1)
+const REDES_BLOQUEADAS_WEBHOOK = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([red, prefijo]) => REDES_BLOQUEADAS_WEBHOOK.addSubnet(red, prefijo, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([red, prefijo]) => REDES_BLOQUEADAS_WEBHOOK.addSubnet(red, prefijo, 'ipv6'));
+
+function ipPermitidaWebhook(ip) {
+  const version = net.isIP(ip);
+  return version !== 0 && !REDES_BLOQUEADAS_WEBHOOK.check(ip, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostDeUrl(valor) {
+  return new URL(valor).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+// Evita que los negocios apunten webhooks a la red interna del servidor:
+// nombres locales e IPs bloqueadas escritas literalmente en la URL. Los
+// nombres de dominio se comprueban al entregar (destinoWebhookPermitido)
+function urlWebhookPermitida(valor) {
+  const host = hostDeUrl(valor);
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return false;
+  return net.isIP(host) === 0 || ipPermitidaWebhook(host);
+}
+
+// Antes de cada entrega: todas las direcciones a las que resuelve el nombre
+// tienen que estar permitidas
+async function destinoWebhookPermitido(valor) {
+  if (!urlWebhookPermitida(valor)) return false;
+
+  const host = hostDeUrl(valor);
+  if (net.isIP(host) !== 0) return true;
 
-app.delete('/api/:negocioID/productos/:productoID', async (req, res) => {
   try {
-    const { negocioID, productoID } = req.params;
-    await db.collection('negocios').doc(negocioID).collection('productos').doc(productoID).delete();
-    res.json({ success: true });
+    const direcciones = await dns.promises.lookup(host, { all: true, verbatim: true });
+    return direcciones.length > 0 && direcciones.every(({ address }) => ipPermitidaWebhook(address));
   } catch (error) {
-    console.error('Error eliminando producto:', error);
-    res.status(500).json({ error: error.message });
+    return false;
   }
-});
+}
 
-// ============================================
-// SERVICIOS
-// ============================================
-app.get('/api/:negocioID/servicios', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const serviciosRef = db.collection('negocios').doc(negocioID).collection('servicios');
-    const snapshot = await serviciosRef.orderBy('orden', 'asc').get();
+function serializarWebhook(doc) {
+  const { secreto, ...data } = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    // Solo se muestra completo al crearlo o rotarlo
+    secreto: secreto ? `…${secreto.slice(-4)}` : null
+  };
+}
 
-    const servicios = [];
-    snapshot.forEach(doc => {
-      servicios.push({ id: doc.id, ...doc.data() });
-    });
+function serializarEntrega(entrega) {
+  const fecha = (valor) => (valor ? valor.toDate().toISOString() : null);
+  return {
+    ...entrega,
+    proximoIntento: fecha(entrega.proximoIntento),
+    createdAt: fecha(entrega.createdAt),
+    historial: (entrega.historial || []).map(registro => ({ ...registro, fecha: fecha(registro.fecha) }))
+  };
+}
 
-    res.json({ servicios });
-  } catch (error) {
-    console.error('Error obteniendo servicios:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+async function crearEntrega(webhookRef, evento, datos) {
+  const entregaRef = webhookRef.collection('entregas').doc();
+  const negocioID = webhookRef.parent.parent.id;
 
-app.post('/api/:negocioID/servicios', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const servicio = req.body;
+  await entregaRef.set({
+    evento,
+    cuerpo: JSON.stringify({
+      id: entregaRef.id,
+      evento,
+      negocioID,
+      fecha: new Date().toISOString(),
+      datos
+    }),
+    estado: 'pendiente',
+    intentos: 0,
+    proximoIntento: admin.firestore.Timestamp.now(),
+    historial: [],
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
 
-    const docRef = await db.collection('negocios').doc(negocioID).collection('servicios').add({
-      ...servicio,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+  return entregaRef;
+}
 
-    res.json({ success: true, id: docRef.id });
-  } catch (error) {
-    console.error('Error creando servicio:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Reserva la entrega si está pendiente y vencida (o siempre, con forzar).
+// Devuelve sus datos o null si otro proceso ya la tiene
+async function reservarEntrega(entregaRef, forzar) {
+  return db.runTransaction(async (transaction) => {
+    const entregaDoc = await transaction.get(entregaRef);
+    if (!entregaDoc.exists) return null;
 
-app.put('/api/:negocioID/servicios/:servicioID', async (req, res) => {
-  try {
-    const { negocioID, servicioID } = req.params;
-    const datos = req.body;
+    const entrega = entregaDoc.data();
+    const vencida = entrega.proximoIntento && entrega.proximoIntento.toMillis() <= Date.now();
+    if (!forzar && (entrega.estado !== 'pendiente' || !vencida)) return null;
 
-    await db.collection('negocios').doc(negocioID).collection('servicios').doc(servicioID).update({
-      ...datos,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    transaction.update(entregaRef, {
+      proximoIntento: admin.firestore.Timestamp.fromMillis(Date.now() + RESERVA_ENTREGA_MS)
     });
+    return entrega;
+  });
+}
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error actualizando servicio:', error);
-    res.status(500).json({ error: error.message });
+async function enviarWebhook(url, secreto, evento, entregaID, cuerpo) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const firma = crypto.createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+  const inicio = Date.now();
+
+  if (!(await destinoWebhookPermitido(url))) {
+    return {
+      codigo: null,
+      error: 'Destino no permitido: la URL no resuelve o apunta a una red interna',
+      respuesta: null,
+      duracionMs: Date.now() - inicio
+    };
   }
-});
 
-app.delete('/api/:negocioID/servicios/:servicioID', async (req, res) => {
   try {
-    const { negocioID, servicioID } = req.params;
-    await db.collection('negocios').doc(negocioID).collection('servicios').doc(servicioID).delete();
-    res.json({ success: true });
+    const respuesta = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'negocios-webhooks/1.0',
+        'X-Webhook-Evento': evento,
+        'X-Webhook-ID': entregaID,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Firma': `sha256=${firma}`
+      },
+      body: cuerpo,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_WEBHOOK_MS)
+    });
+    const texto = await respuesta.text().catch(() => '');
+
+    return {
+      codigo: respuesta.status,
+      error: respuesta.ok ? null : `HTTP ${respuesta.status}`,
+      respuesta: texto.slice(0, 500),
+      duracionMs: Date.now() - inicio
+    };
   } catch (error) {
-    console.error('Error eliminando servicio:', error);
-    res.status(500).json({ error: error.message });
+    return {
+      codigo: null,
+      error: error.name === 'TimeoutError' ? 'Tiempo de espera agotado' : error.message,
+      respuesta: null,
+      duracionMs: Date.now() - inicio
+    };
   }
-});
+}
 
-// ============================================
-// TESTIMONIOS
-// ============================================
-app.get('/api/:negocioID/testimonios', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const testimoniosRef = db.collection('negocios').doc(negocioID).collection('testimonios');
-    const snapshot = await testimoniosRef.orderBy('orden', 'asc').get();
+// Hace un intento de entrega y programa el siguiente con backoff exponencial
+// si falla. Devuelve el estado resultante o null si no correspondía enviar
+async function intentarEntrega(entregaRef, { forzar = false } = {}) {
+  const entrega = await reservarEntrega(entregaRef, forzar);
+  if (!entrega) return null;
 
-    const testimonios = [];
-    snapshot.forEach(doc => {
-      testimonios.push({ id: doc.id, ...doc.data() });
-    });
+  const webhookDoc = await entregaRef.parent.parent.get();
+  const intentos = (entrega.intentos || 0) + 1;
 
-    res.json({ testimonios });
-  } catch (error) {
-    console.error('Error obteniendo testimonios:', error);
-    res.status(500).json({ error: error.message });
+  let resultado;
+  if (!webhookDoc.exists) {
+    resultado = { codigo: null, error: 'Webhook eliminado', respuesta: null, duracionMs: 0 };
+  } else {
+    const { url, secreto } = webhookDoc.data();
+    resultado = await enviarWebhook(url, secreto, entrega.evento, entregaRef.id, entrega.cuerpo);
   }
-});
 
-app.post('/api/:negocioID/testimonios', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const testimonio = req.body;
+  const exito = resultado.codigo !== null && resultado.codigo >= 200 && resultado.codigo < 300;
+  const reintentar = !exito && webhookDoc.exists && intentos < MAX_INTENTOS_WEBHOOK;
+  const retraso = retrasoReintento(intentos);
+  const estado = exito ? 'entregado' : (reintentar ? 'pendiente' : 'fallido');
 
-    const docRef = await db.collection('negocios').doc(negocioID).collection('testimonios').add({
-      ...testimonio,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+  await entregaRef.update({
+    estado,
+    intentos,
+    proximoIntento: reintentar ? admin.firestore.Timestamp.fromMillis(Date.now() + retraso) : null,
+    ultimoCodigo: resultado.codigo,
+    ultimoError: resultado.error,
+    historial: admin.firestore.FieldValue.arrayUnion({
+      fecha: admin.firestore.Timestamp.now(),
+      ...resultado
+    })
+  });
 
-    res.json({ success: true, id: docRef.id });
-  } catch (error) {
-    console.error('Error creando testimonio:', error);
-    res.status(500).json({ error: error.message });
+  // Reintento en memoria; si el proceso se reinicia lo retoma
+  // POST /api/super-admin/webhooks/reintentar
+  if (reintentar) {
+    setTimeout(() => {
+      intentarEntrega(entregaRef).catch(error => console.error('Error reintentando webhook:', error));
+    }, retraso).unref();
   }
-});
 
-app.put('/api/:negocioID/testimonios/:testimonioID', async (req, res) => {
-  try {
-    const { negocioID, testimonioID } = req.params;
-    const datos = req.body;
+  return { estado, intentos, ...resultado };
+}
 
-    await db.collection('negocios').doc(negocioID).collection('testimonios').doc(testimonioID).update({
-      ...datos,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+// Crea una entrega por cada webhook activo suscrito al evento y las envía en
+// segundo plano. `datos` puede ser una función (async) para no leer nada
+// cuando no hay suscriptores
+function emitirEvento(negocioID, evento, datos) {
+  (async () => {
+    const snapshot = await webhooksRef(negocioID)
+      .where('eventos', 'array-contains', evento)
+      .get();
+    const suscritos = snapshot.docs.filter(doc => doc.data().activo !== false);
+    if (suscritos.length === 0) return;
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error actualizando testimonio:', error);
-    res.status(500).json({ error: error.message });
+    const contenido = typeof datos === 'function' ? await datos() : datos;
+    const entregas = await Promise.all(suscritos.map(doc => crearEntrega(doc.ref, evento, contenido)));
+    await Promise.all(entregas.map(entregaRef => intentarEntrega(entregaRef)));
+  })().catch(error => console.error(`Error emitiendo evento ${evento}:`, error));
+}
+
+function validarUrlWebhook(datos) {
+  if (datos.url && !urlWebhookPermitida(datos.url)) {
+    throw errorHttp(400, 'Datos inválidos', [{ campo: 'url', mensaje: 'La URL no puede apuntar a una red interna' }]);
   }
-});
+}
 
-app.delete('/api/:negocioID/testimonios/:testimonioID', async (req, res) => {
+// Entregas vencidas de todos los negocios (p. ej. tras un reinicio); pensado para un cron
+app.post('/api/super-admin/webhooks/reintentar', validarSuperAdmin, async (req, res) => {
   try {
-    const { negocioID, testimonioID } = req.params;
-    await db.collection('negocios').doc(negocioID).collection('testimonios').doc(testimonioID).delete();
-    res.json({ success: true });
+    const snapshot = await db.collectionGroup('entregas')
+      .where('estado', '==', 'pendiente')
+      .where('proximoIntento', '<=', admin.firestore.Timestamp.now())
+      .limit(100)
+      .get();
+
+    const resultados = await Promise.all(snapshot.docs.map(doc => intentarEntrega(doc.ref)));
+
+    res.json({
+      success: true,
+      procesadas: resultados.filter(Boolean).length,
+      entregadas: resultados.filter(resultado => resultado?.estado === 'entregado').length
+    });
   } catch (error) {
-    console.error('Error eliminando testimonio:', error);
+    console.error('Error reintentando webhooks:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================
-// CASOS DE ÉXITO
-// ============================================
-app.get('/api/:negocioID/casos-exito', async (req, res) => {
+app.get('/api/:negocioID/webhooks', validarSesion, requerirRol('owner'), async (req, res) => {
   try {
-    const { negocioID } = req.params;
-    const casosRef = db.collection('negocios').doc(negocioID).collection('casosExito');
-    const snapshot = await casosRef.orderBy('orden', 'asc').get();
-
-    const casos = [];
-    snapshot.forEach(doc => {
-      casos.push({ id: doc.id, ...doc.data() });
-    });
+    const snapshot = await webhooksRef(req.params.negocioID).get();
 
-    res.json({ casos });
+    res.json({ webhooks: snapshot.docs.map(serializarWebhook), eventos: EVENTOS_WEBHOOK });
   } catch (error) {
-    console.error('Error obteniendo casos:', error);
+    console.error('Error obteniendo webhooks:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/:negocioID/casos-exito', async (req, res) => {
+app.post('/api/:negocioID/webhooks', validarSesion, requerirRol('owner'), auditar('webhooks', docEnColeccion('webhooks', 'webhookID')), validarCuerpo(ESQUEMA_WEBHOOK), async (req, res) => {
   try {
     const { negocioID } = req.params;
-    const caso = req.body;
+    const webhook = req.datos;
 
-    const docRef = await db.collection('negocios').doc(negocioID).collection('casosExito').add({
-      ...caso,
+    validarUrlWebhook(webhook);
+
+    const secreto = generarSecretoWebhook();
+    const docRef = await webhooksRef(negocioID).add({
+      activo: true,
+      ...webhook,
+      secreto,
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    res.json({ success: true, id: docRef.id });
+    res.json({ success: true, id: docRef.id, secreto });
   } catch (error) {
-    console.error('Error creando caso:', error);
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error creando webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/:negocioID/casos-exito/:casoID', async (req, res) => {
+app.put('/api/:negocioID/webhooks/:webhookID', validarSesion, requerirRol('owner'), auditar('webhooks', docEnColeccion('webhooks', 'webhookID')), validarCuerpo(ESQUEMA_WEBHOOK, { parcial: true }), async (req, res) => {
   try {
-    const { negocioID, casoID } = req.params;
-    const datos = req.body;
+    const { negocioID, webhookID } = req.params;
+    const datos = req.datos;
 
-    await db.collection('negocios').doc(negocioID).collection('casosExito').doc(casoID).update({
+    validarUrlWebhook(datos);
+
+    await webhooksRef(negocioID).doc(webhookID).update({
       ...datos,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
     res.json({ success: true });
   } catch (error) {
-    console.error('Error actualizando caso:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.delete('/api/:negocioID/casos-exito/:casoID', async (req, res) => {
-  try {
-    const { negocioID, casoID } = req.params;
-    await db.collection('negocios').doc(negocioID).collection('casosExito').doc(casoID).delete();
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error eliminando caso:', error);
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error actualizando webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================
-// GALERÍA
-// ============================================
-app.get('/api/:negocioID/galeria', async (req, res) => {
+app.delete('/api/:negocioID/webhooks/:webhookID', validarSesion, requerirRol('owner'), auditar('webhooks', docEnColeccion('webhooks', 'webhookID')), async (req, res) => {
   try {
-    const { negocioID } = req.params;
-    const galeriaRef = db.collection('negocios').doc(negocioID).collection('galeria');
-    const snapshot = await galeriaRef.orderBy('orden', 'asc').get();
+    const { negocioID, webhookID } = req.params;
 
-    const imagenes = [];
-    snapshot.forEach(doc => {
-      imagenes.push({ id: doc.id, ...doc.data() });
-    });
+    // Incluye el registro de entregas
+    await db.recursiveDelete(webhooksRef(negocioID).doc(webhookID));
 
-    res.json({ imagenes });
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error obteniendo galería:', error);
+    console.error('Error eliminando webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/:negocioID/galeria', async (req, res) => {
+// El secreto anterior deja de valer de inmediato
+app.post('/api/:negocioID/webhooks/:webhookID/secreto', validarSesion, requerirRol('owner'), auditar('webhooks', docEnColeccion('webhooks', 'webhookID')), async (req, res) => {
   try {
-    const { negocioID } = req.params;
-    const imagen = req.body;
+    const { negocioID, webhookID } = req.params;
+    const webhookRef = webhooksRef(negocioID).doc(webhookID);
+    const webhookDoc = await webhookRef.get();
 
-    const docRef = await db.collection('negocios').doc(negocioID).collection('galeria').add({
-      ...imagen,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    if (!webhookDoc.exists) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    const secreto = generarSecretoWebhook();
+    await webhookRef.update({
+      secreto,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    res.json({ success: true, id: docRef.id });
+    res.json({ success: true, secreto });
   } catch (error) {
-    console.error('Error agregando imagen:', error);
+    console.error('Error rotando secreto del webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/:negocioID/galeria/:imagenID', async (req, res) => {
+// Envía un evento "ping" y responde con el resultado del primer intento
+app.post('/api/:negocioID/webhooks/:webhookID/ping', validarSesion, requerirRol('owner'), async (req, res) => {
   try {
-    const { negocioID, imagenID } = req.params;
-    await db.collection('negocios').doc(negocioID).collection('galeria').doc(imagenID).delete();
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error eliminando imagen:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+    const { negocioID, webhookID } = req.params;
+    const webhookRef = webhooksRef(negocioID).doc(webhookID);
+    const webhookDoc = await webhookRef.get();
 
-// ============================================
-// PEDIDOS
-// ============================================
-app.get('/api/:negocioID/pedidos', async (req, res) => {
-  try {
-    const { negocioID } = req.params;
-    const pedidosRef = db.collection('negocios').doc(negocioID).collection('pedidos');
-    const snapshot = await pedidosRef.orderBy('fechaCreacion', 'desc').get();
+    if (!webhookDoc.exists) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
 
-    const pedidos = [];
-    snapshot.forEach(doc => {
-      pedidos.push({ id: doc.id, ...doc.data() });
-    });
+    const entregaRef = await crearEntrega(webhookRef, 'ping', { mensaje: 'Prueba de webhook' });
+    const resultado = await intentarEntrega(entregaRef);
 
-    res.json({ pedidos });
+    res.json({ success: resultado?.estado === 'entregado', entregaID: entregaRef.id, ...resultado });
   } catch (error) {
-    console.error('Error obteniendo pedidos:', error);
+    console.error('Error enviando ping de webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/:negocioID/pedidos', async (req, res) => {
+app.get('/api/:negocioID/webhooks/:webhookID/entregas', validarSesion, requerirRol('owner'), async (req, res) => {
   try {
-    const { negocioID } = req.params;
-    const pedido = req.body;
-
-    const docRef = await db.collection('negocios').doc(negocioID).collection('pedidos').add({
-      ...pedido,
-      estado: 'pendiente',
-      fechaCreacion: admin.firestore.FieldValue.serverTimestamp()
+    const { negocioID, webhookID } = req.params;
+    const entregasRef = webhooksRef(negocioID).doc(webhookID).collection('entregas');
+    const { items, nextCursor, total } = await listarPaginado(entregasRef, req.query, {
+      orden: { campos: ['createdAt'], defecto: 'createdAt', direccion: 'desc' },
+      filtros: {
+        estado: { campo: 'estado', tipo: 'texto', valores: ['pendiente', 'entregado', 'fallido'] },
+        evento: { campo: 'evento', tipo: 'texto' }
+      }
     });
 
-    res.json({ success: true, id: docRef.id });
+    res.json({ entregas: items.map(serializarEntrega), nextCursor, total });
   } catch (error) {
-    console.error('Error creando pedido:', error);
+    if (error.status) {
+      return responderError(res, error);
+    }
+    console.error('Error obteniendo entregas del webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/:negocioID/pedidos/:pedidoID', async (req, res) => {
+// Reenvío manual inmediato, aunque la entrega ya se haya entregado o fallado
+app.post('/api/:negocioID/webhooks/:webhookID/entregas/:entregaID/reenviar', validarSesion, requerirRol('owner'), async (req, res) => {
   try {
-    const { negocioID, pedidoID } = req.params;
-    const { estado } = req.body;
+    const { negocioID, webhookID, entregaID } = req.params;
+    const entregaRef = webhooksRef(negocioID).doc(webhookID).collection('entregas').doc(entregaID);
+    const entregaDoc = await entregaRef.get();
 
-    await db.collection('negocios').doc(negocioID).collection('pedidos').doc(pedidoID).update({
-      estado,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    if (!entregaDoc.exists) {
+      return res.status(404).json({ error: 'Entrega no encontrada' });
+    }
 
-    res.json({ success: true });
+    // Un reenvío manual arranca un nuevo ciclo de reintentos
+    await entregaRef.update({ intentos: 0 });
+    const resultado = await intentarEntrega(entregaRef, { forzar: true });
+
+    res.json({ success: resultado?.estado === 'entregado', entregaID, ...resultado });
   } catch (error) {
-    console.error('Error actualizando pedido:', error);
+    console.error('Error reenviando webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -769,23 +7556,97 @@ app.get('/', (req, res) => {
     version: '2.1.0',
     endpoints: [
       'CRUD /api/super-admin/negocios - Gestión de negocios (requiere superAdminKey)',
+      'GET /api/super-admin/negocios/:negocioID/exportar',
+      'POST /api/super-admin/negocios/importar',
+      'GET|DELETE /api/super-admin/archivos-huerfanos',
+      'GET /api/super-admin/papelera',
+      'POST /api/super-admin/papelera/:negocioID/restaurar',
+      'DELETE /api/super-admin/papelera/:negocioID',
+      'POST /api/super-admin/papelera/purgar',
+      'GET /api/super-admin/purgas/:purgaID',
+      'GET /api/super-admin/auditoria - Cambios de todos los negocios',
+      'GET /api/super-admin/estadisticas - Métricas por negocio y totales de la plataforma (?actualizar=true ignora la caché)',
+      'GET /api/super-admin/negocios/:negocioID/uso - Consumo frente a las cuotas del plan',
+      'GET /api/resolver?slug=|dominio=',
+      'GET /api/host/* - Rutas del negocio resuelto por dominio propio (cabecera Host)',
+      'PUT /api/super-admin/negocios/:negocioID/slug',
+      'PUT /api/super-admin/negocios/:negocioID/dominios',
       'POST /api/auth/login',
-      'GET /api/:negocioID/config',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'POST /api/auth/cambiar-pin',
+      'POST /api/auth/reset-pin',
+      'POST /api/super-admin/negocios/:negocioID/reset-pin',
+      'POST /api/super-admin/negocios/:negocioID/brief - Generar enlace del brief',
+      'GET /api/super-admin/briefs?estado=',
+      'GET|PUT /api/:negocioID/brief?token= - Cuestionario de alta (borrador)',
+      'POST /api/:negocioID/brief/logo?token= (multipart, campo "imagen")',
+      'POST /api/:negocioID/brief/enviar?token=',
+      'GET /api/:negocioID/usuarios',
+      'POST /api/:negocioID/usuarios',
+      'PUT /api/:negocioID/usuarios/:usuarioID',
+      'POST /api/:negocioID/usuarios/:usuarioID/codigo',
+      'GET /api/:negocioID/auditoria',
+      'GET /api/:negocioID/uso - Consumo frente a las cuotas del plan',
+      'GET|DELETE /api/:negocioID/borrador - Cambios pendientes de publicar',
+      'PUT /api/:negocioID/borrador/config',
+      'PUT /api/:negocioID/borrador/secciones',
+      'POST|PUT|DELETE /api/:negocioID/borrador/:coleccion[/:documentoID]',
+      'POST /api/:negocioID/borrador/vista-previa - Enlace de vista previa',
+      'GET /api/:negocioID/vista-previa?token=',
+      'POST /api/:negocioID/borrador/publicar',
+      'GET /api/:negocioID/versiones',
+      'GET /api/:negocioID/versiones/diff?desde=&hasta=',
+      'GET /api/:negocioID/versiones/:numero',
+      'POST /api/:negocioID/versiones/:numero/restaurar',
+      'GET /api/:negocioID/config (?lang= o Accept-Language en las lecturas públicas)',
+      'GET /api/:negocioID/admin/config',
       'PUT /api/:negocioID/config',
+      'GET /api/:negocioID/traducciones/faltantes?idioma= - Traducciones pendientes por idioma',
+      'DELETE /api/:negocioID/traducciones/:idioma - Quitar un idioma de todo el contenido',
+      'GET /api/:negocioID/sitio - Config pública y secciones activas en una sola llamada',
       'GET /api/:negocioID/secciones',
       'PUT /api/:negocioID/secciones',
+      'POST /api/:negocioID/imagenes (multipart, campo "imagen")',
       'POST /api/:negocioID/upload-imagen',
       'DELETE /api/:negocioID/delete-imagen',
-      'CRUD /api/:negocioID/productos',
+      'PUT /api/:negocioID/:coleccion/orden - Reordenar categorias, servicios, testimonios, casos-exito o galeria',
+      'POST /api/super-admin/orden/completar - Asignar orden a los documentos antiguos que no lo tienen',
+      'CRUD /api/:negocioID/categorias',
+      'CRUD /api/:negocioID/productos (GET ?agrupar=categoria)',
       'CRUD /api/:negocioID/servicios',
       'CRUD /api/:negocioID/testimonios',
       'CRUD /api/:negocioID/casos-exito',
       'CRUD /api/:negocioID/galeria',
-      'CRUD /api/:negocioID/pedidos'
+      'CRUD /api/:negocioID/pedidos',
+      'GET /api/:negocioID/pedidos/:pedidoID/seguimiento?codigo=',
+      'GET /api/:negocioID/reportes/ventas?desde=&hasta=&agrupar=dia|semana|mes - Ventas por periodo, estado y producto',
+      'GET /api/:negocioID/pedidos/exportar?formato=csv|xlsx&desde=&hasta=&estado=',
+      'GET|PUT /api/:negocioID/mensajes - Plantillas de WhatsApp y correo de pedidos',
+      'POST /api/:negocioID/mensajes/vista-previa',
+      'CRUD /api/:negocioID/webhooks - Suscripciones a eventos (pedido.creado, pedido.estado_cambiado, producto.*)',
+      'POST /api/:negocioID/webhooks/:webhookID/ping',
+      'POST /api/:negocioID/webhooks/:webhookID/secreto - Rotar secreto de firma',
+      'GET /api/:negocioID/webhooks/:webhookID/entregas',
+      'POST /api/:negocioID/webhooks/:webhookID/entregas/:entregaID/reenviar',
+      'POST /api/super-admin/webhooks/reintentar'
     ]
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 API modular corriendo en puerto ${PORT}`);
-});
\ No newline at end of file
+// Las pruebas importan la app sin abrir el puerto
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 API modular corriendo en puerto ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  validarEsquema,
+  rutasDeActualizacion,
+  listarPaginado,
+  ipPermitidaWebhook,
+  urlWebhookPermitida,
+  destinoWebhookPermitido
+};
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { db, servidor, iniciar, crearNegocioConOwner } = require('./apoyo/servidor');
+
+const { rutasDeActualizacion, validarEsquema } = servidor;
+
+let pedir;
+let cerrar;
+let owner;
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir);
+});
+
+after(() => cerrar());
+
+test('los objetos se aplanan en rutas con puntos y las listas se reemplazan', () => {
+  const rutas = rutasDeActualizacion({
+    nombre: 'Panadería',
+    contacto: { telefono: '555-0101', redes: { instagram: 'https://instagram.com/pan' } },
+    seccionesOrden: ['hero', 'contacto']
+  });
+
+  assert.deepEqual(rutas, {
+    nombre: 'Panadería',
+    'contacto.telefono': '555-0101',
+    'contacto.redes.instagram': 'https://instagram.com/pan',
+    seccionesOrden: ['hero', 'contacto']
+  });
+});
+
+test('un texto vacío en traducciones borra solo esa traducción', () => {
+  const rutas = rutasDeActualizacion({ descripcion: '', traducciones: { en: { titulo: 'Bread', descripcion: '' } } });
+
+  assert.equal(rutas.descripcion, '');
+  assert.equal(rutas['traducciones.en.titulo'], 'Bread');
+  assert.ok(admin.firestore.FieldValue.delete().isEqual(rutas['traducciones.en.descripcion']));
+});
+
+test('la validación parcial admite omitir requeridos y rechaza campos desconocidos', () => {
+  const esquema = { titulo: { tipo: 'texto', requerido: true, max: 10 }, precio: { tipo: 'numero', min: 0 } };
+
+  assert.deepEqual(validarEsquema(esquema, { precio: 5 }, { parcial: true }), { valores: { precio: 5 }, errores: [] });
+
+  const { errores } = validarEsquema(esquema, { precio: -1, color: 'rojo' }, { parcial: true });
+  assert.deepEqual(errores.map(error => error.campo).sort(), ['color', 'precio']);
+
+  const completo = validarEsquema(esquema, { precio: 5 });
+  assert.deepEqual(completo.errores.map(error => error.campo), ['titulo']);
+});
+
+test('PUT /config conserva las claves hermanas de los objetos', async () => {
+  const url = `/api/${owner.negocioID}/config`;
+
+  const inicial = await pedir('PUT', url, {
+    token: owner.token,
+    cuerpo: { contacto: { telefono: '555-0101', email: 'hola@panaderia.com' } }
+  });
+  assert.equal(inicial.status, 200);
+
+  const parcial = await pedir('PUT', url, { token: owner.token, cuerpo: { contacto: { telefono: '555-0202' } } });
+  assert.equal(parcial.status, 200);
+
+  const negocio = db.leer(`negocios/${owner.negocioID}`);
+  assert.equal(negocio.contacto.telefono, '555-0202');
+  assert.equal(negocio.contacto.email, 'hola@panaderia.com');
+  assert.equal(negocio.nombre, 'Panadería Central');
+});
+
+test('PUT /config rechaza campos protegidos y desconocidos', async () => {
+  const url = `/api/${owner.negocioID}/config`;
+
+  const protegido = await pedir('PUT', url, { token: owner.token, cuerpo: { plan: 'premium' } });
+  assert.equal(protegido.status, 400);
+
+  const desconocido = await pedir('PUT', url, { token: owner.token, cuerpo: { pinHash: 'x' } });
+  assert.equal(desconocido.status, 400);
+
+  const negocio = db.leer(`negocios/${owner.negocioID}`);
+  assert.notEqual(negocio.plan, 'premium');
+  assert.equal(negocio.pinHash, undefined);
+});
+
+test('PUT de un servicio actualiza solo los campos enviados', async () => {
+  const url = `/api/${owner.negocioID}/servicios`;
+
+  const creado = await pedir('POST', url, {
+    token: owner.token,
+    cuerpo: {
+      titulo: 'Catering',
+      descripcion: 'Eventos de hasta 100 personas',
+      precio: 1500,
+      traducciones: { en: { titulo: 'Catering', descripcion: 'Events up to 100 guests' } }
+    }
+  });
+  assert.equal(creado.status, 200);
+
+  const actualizado = await pedir('PUT', `${url}/${creado.body.id}`, {
+    token: owner.token,
+    cuerpo: { precio: 1800, traducciones: { en: { descripcion: '' } } }
+  });
+  assert.equal(actualizado.status, 200);
+
+  const servicio = db.leer(`negocios/${owner.negocioID}/servicios/${creado.body.id}`);
+  assert.equal(servicio.titulo, 'Catering');
+  assert.equal(servicio.descripcion, 'Eventos de hasta 100 personas');
+  assert.equal(servicio.precio, 1800);
+  assert.deepEqual(servicio.traducciones, { en: { titulo: 'Catering' } });
+
+  const invalido = await pedir('PUT', `${url}/${creado.body.id}`, { token: owner.token, cuerpo: { precio: 'gratis' } });
+  assert.equal(invalido.status, 400);
+});
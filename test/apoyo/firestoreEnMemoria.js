@@ -0,0 +1,575 @@
+// Firestore en memoria para las pruebas: cubre la parte de la API que usa
+// server.js (documentos, consultas con cursores, conteos y sumas, lotes y
+// transacciones, y los FieldValue). No simula índices ni contención
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const { FieldValue, FieldPath, Timestamp } = admin.firestore;
+const BORRAR = Symbol('borrar');
+
+function errorFirestore(code, mensaje) {
+  const error = new Error(`${code} ${mensaje}`);
+  error.code = code;
+  return error;
+}
+
+function idAutomatico() {
+  const alfabeto = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from({ length: 20 }, () => alfabeto[crypto.randomInt(alfabeto.length)]).join('');
+}
+
+function esObjetoPlano(valor) {
+  return valor !== null && typeof valor === 'object' &&
+    (Object.getPrototypeOf(valor) === Object.prototype || Object.getPrototypeOf(valor) === null);
+}
+
+function clonar(valor) {
+  if (Array.isArray(valor)) return valor.map(clonar);
+  if (esObjetoPlano(valor)) {
+    return Object.fromEntries(Object.entries(valor).map(([clave, item]) => [clave, clonar(item)]));
+  }
+  return valor;
+}
+
+function segmentosDeCampo(campo) {
+  return campo instanceof FieldPath ? campo.segments : String(campo).split('.');
+}
+
+function esIdDocumento(campo) {
+  return campo instanceof FieldPath && campo.segments.length === 1 && campo.segments[0] === '__name__';
+}
+
+function leerEnRuta(datos, segmentos) {
+  return segmentos.reduce((actual, segmento) => (esObjetoPlano(actual) ? actual[segmento] : undefined), datos);
+}
+
+// Aplica un sentinel sobre el valor actual; BORRAR quita el campo
+function transformar(sentinel, actual) {
+  switch (sentinel.methodName) {
+    case 'FieldValue.serverTimestamp':
+      return Timestamp.now();
+    case 'FieldValue.delete':
+      return BORRAR;
+    case 'FieldValue.increment':
+      return (typeof actual === 'number' ? actual : 0) + sentinel.operand;
+    case 'FieldValue.arrayUnion': {
+      const lista = Array.isArray(actual) ? clonar(actual) : [];
+      sentinel.elements.forEach(elemento => {
+        if (!lista.some(item => compararValores(item, elemento) === 0)) lista.push(clonar(elemento));
+      });
+      return lista;
+    }
+    case 'FieldValue.arrayRemove':
+      return (Array.isArray(actual) ? actual : [])
+        .filter(item => !sentinel.elements.some(elemento => compararValores(item, elemento) === 0));
+    default:
+      throw new Error(`FieldValue no soportado: ${sentinel.methodName}`);
+  }
+}
+
+// Valor nuevo con los sentinels anidados ya resueltos
+function resolver(valor, actual) {
+  if (valor instanceof FieldValue) return transformar(valor, actual);
+  if (Array.isArray(valor)) return valor.map(item => resolver(item, undefined));
+  if (esObjetoPlano(valor)) {
+    const resultado = {};
+    Object.entries(valor).forEach(([clave, item]) => {
+      const resuelto = resolver(item, esObjetoPlano(actual) ? actual[clave] : undefined);
+      if (resuelto !== BORRAR && resuelto !== undefined) resultado[clave] = resuelto;
+    });
+    return resultado;
+  }
+  return valor;
+}
+
+function asignarEnRuta(datos, segmentos, valor) {
+  let actual = datos;
+  segmentos.slice(0, -1).forEach(segmento => {
+    if (!esObjetoPlano(actual[segmento])) actual[segmento] = {};
+    actual = actual[segmento];
+  });
+
+  const ultimo = segmentos[segmentos.length - 1];
+  const resuelto = resolver(valor, actual[ultimo]);
+  if (resuelto === BORRAR) {
+    delete actual[ultimo];
+  } else {
+    actual[ultimo] = resuelto;
+  }
+}
+
+// set con merge: los mapas se combinan en profundidad
+function combinar(base, cambios) {
+  Object.entries(cambios).forEach(([clave, valor]) => {
+    if (esObjetoPlano(valor)) {
+      if (!esObjetoPlano(base[clave])) base[clave] = {};
+      combinar(base[clave], valor);
+    } else {
+      asignarEnRuta(base, [clave], valor);
+    }
+  });
+}
+
+// Orden de tipos de Firestore: null < booleano < número < fecha < texto < lista < mapa
+function rangoDeTipo(valor) {
+  if (valor === null) return 0;
+  if (typeof valor === 'boolean') return 1;
+  if (typeof valor === 'number') return 2;
+  if (valor instanceof Timestamp) return 3;
+  if (typeof valor === 'string') return 4;
+  if (Array.isArray(valor)) return 6;
+  return 7;
+}
+
+function compararValores(a, b) {
+  const rangoA = rangoDeTipo(a);
+  const rangoB = rangoDeTipo(b);
+  if (rangoA !== rangoB) return rangoA - rangoB;
+
+  switch (rangoA) {
+    case 0:
+      return 0;
+    case 1:
+    case 2:
+      return Number(a) - Number(b);
+    case 3:
+      return a.toMillis() - b.toMillis() || a.nanoseconds - b.nanoseconds;
+    case 4:
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 6: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const resultado = compararValores(a[i], b[i]);
+        if (resultado !== 0) return resultado;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const textoA = JSON.stringify(a);
+      const textoB = JSON.stringify(b);
+      return textoA < textoB ? -1 : textoA > textoB ? 1 : 0;
+    }
+  }
+}
+
+const OPERADORES = {
+  '==': (valor, esperado) => compararValores(valor, esperado) === 0,
+  '!=': (valor, esperado) => valor !== null && compararValores(valor, esperado) !== 0,
+  '<': (valor, esperado) => rangoDeTipo(valor) === rangoDeTipo(esperado) && compararValores(valor, esperado) < 0,
+  '<=': (valor, esperado) => rangoDeTipo(valor) === rangoDeTipo(esperado) && compararValores(valor, esperado) <= 0,
+  '>': (valor, esperado) => rangoDeTipo(valor) === rangoDeTipo(esperado) && compararValores(valor, esperado) > 0,
+  '>=': (valor, esperado) => rangoDeTipo(valor) === rangoDeTipo(esperado) && compararValores(valor, esperado) >= 0,
+  'array-contains': (valor, esperado) => Array.isArray(valor) && valor.some(item => compararValores(item, esperado) === 0),
+  in: (valor, esperados) => esperados.some(esperado => compararValores(valor, esperado) === 0),
+  'not-in': (valor, esperados) => valor !== null && !esperados.some(esperado => compararValores(valor, esperado) === 0)
+};
+
+class InstantaneaDocumento {
+  constructor(ref, datos) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = datos !== undefined;
+    this._datos = datos;
+  }
+
+  data() {
+    return this.exists ? clonar(this._datos) : undefined;
+  }
+
+  get(campo) {
+    return this.exists ? clonar(leerEnRuta(this._datos, segmentosDeCampo(campo))) : undefined;
+  }
+}
+
+class InstantaneaConsulta {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Consulta {
+  constructor(firestore, origen, { filtros = [], ordenes = [], limite = null, despuesDe = null } = {}) {
+    this.firestore = firestore;
+    this._origen = origen;
+    this._filtros = filtros;
+    this._ordenes = ordenes;
+    this._limite = limite;
+    this._despuesDe = despuesDe;
+  }
+
+  _derivar(cambios) {
+    return new Consulta(this.firestore, this._origen, {
+      filtros: this._filtros,
+      ordenes: this._ordenes,
+      limite: this._limite,
+      despuesDe: this._despuesDe,
+      ...cambios
+    });
+  }
+
+  where(campo, operador, valor) {
+    if (!OPERADORES[operador]) throw new Error(`Operador no soportado: ${operador}`);
+    return this._derivar({ filtros: [...this._filtros, { campo, operador, valor }] });
+  }
+
+  orderBy(campo, direccion = 'asc') {
+    return this._derivar({ ordenes: [...this._ordenes, { campo, direccion }] });
+  }
+
+  limit(limite) {
+    return this._derivar({ limite });
+  }
+
+  startAfter(cursor) {
+    if (!(cursor instanceof InstantaneaDocumento)) {
+      throw new Error('startAfter solo admite instantáneas de documento');
+    }
+    return this._derivar({ despuesDe: cursor });
+  }
+
+  _valor(instantanea, campo) {
+    return esIdDocumento(campo)
+      ? instantanea.ref.path
+      : leerEnRuta(instantanea._datos, segmentosDeCampo(campo));
+  }
+
+  // Valores de orden del documento; la ruta desempata en la dirección del último orden
+  _claves(instantanea) {
+    return [...this._ordenes.map(({ campo }) => this._valor(instantanea, campo)), instantanea.ref.path];
+  }
+
+  _comparar(clavesA, clavesB) {
+    const direcciones = [...this._ordenes.map(orden => orden.direccion), this._ordenes.at(-1)?.direccion || 'asc'];
+    for (let i = 0; i < clavesA.length; i++) {
+      const resultado = compararValores(clavesA[i], clavesB[i]);
+      if (resultado !== 0) return direcciones[i] === 'desc' ? -resultado : resultado;
+    }
+    return 0;
+  }
+
+  _ejecutar({ conLimite = true } = {}) {
+    let docs = this.firestore._documentosDe(this._origen)
+      .filter(doc => this._filtros.every(({ campo, operador, valor }) => {
+        const actual = this._valor(doc, campo);
+        return actual !== undefined && OPERADORES[operador](actual, valor);
+      }))
+      .filter(doc => this._ordenes.every(({ campo }) => this._valor(doc, campo) !== undefined));
+
+    docs.sort((a, b) => this._comparar(this._claves(a), this._claves(b)));
+
+    if (this._despuesDe) {
+      const cursor = this._claves(this._despuesDe);
+      docs = docs.filter(doc => this._comparar(this._claves(doc), cursor) > 0);
+    }
+
+    return conLimite && this._limite !== null ? docs.slice(0, this._limite) : docs;
+  }
+
+  async get() {
+    return new InstantaneaConsulta(this._ejecutar());
+  }
+
+  count() {
+    return this.aggregate({ count: admin.firestore.AggregateField.count() });
+  }
+
+  aggregate(campos) {
+    return {
+      get: async () => {
+        const docs = this._ejecutar();
+        const resultado = Object.fromEntries(Object.entries(campos).map(([clave, agregado]) => {
+          if (agregado.aggregateType === 'count') return [clave, docs.length];
+
+          const numeros = docs
+            .map(doc => leerEnRuta(doc._datos, segmentosDeCampo(agregado._field)))
+            .filter(valor => typeof valor === 'number');
+          const suma = numeros.reduce((total, valor) => total + valor, 0);
+          return [clave, agregado.aggregateType === 'sum' ? suma : (numeros.length ? suma / numeros.length : null)];
+        }));
+        return { data: () => resultado };
+      }
+    };
+  }
+}
+
+class ReferenciaColeccion extends Consulta {
+  constructor(firestore, ruta) {
+    super(firestore, { coleccion: ruta });
+    this.path = ruta;
+    this.id = ruta.split('/').at(-1);
+  }
+
+  get parent() {
+    const segmentos = this.path.split('/');
+    return segmentos.length > 1 ? new ReferenciaDocumento(this.firestore, segmentos.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id = idAutomatico()) {
+    return this.firestore.doc(`${this.path}/${id}`);
+  }
+
+  async add(datos) {
+    const ref = this.doc();
+    await ref.set(datos);
+    return ref;
+  }
+
+  // Como en Firestore, incluye los documentos que solo existen por sus subcolecciones
+  async listDocuments() {
+    const profundidad = this.path.split('/').length;
+    const ids = new Set();
+    this.firestore._rutas().forEach(ruta => {
+      if (ruta.startsWith(`${this.path}/`)) ids.add(ruta.split('/')[profundidad]);
+    });
+    return [...ids].map(id => this.doc(id));
+  }
+}
+
+class ReferenciaDocumento {
+  constructor(firestore, ruta) {
+    this.firestore = firestore;
+    this.path = ruta;
+    this.id = ruta.split('/').at(-1);
+  }
+
+  get parent() {
+    return new ReferenciaColeccion(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(id) {
+    return this.firestore.collection(`${this.path}/${id}`);
+  }
+
+  isEqual(otra) {
+    return otra instanceof ReferenciaDocumento && otra.path === this.path;
+  }
+
+  async get() {
+    return this.firestore._instantanea(this);
+  }
+
+  async set(datos, opciones) {
+    return this.firestore._escribir([{ tipo: 'set', ref: this, datos, opciones }]);
+  }
+
+  async update(datos) {
+    return this.firestore._escribir([{ tipo: 'update', ref: this, datos }]);
+  }
+
+  async create(datos) {
+    return this.firestore._escribir([{ tipo: 'create', ref: this, datos }]);
+  }
+
+  async delete() {
+    return this.firestore._escribir([{ tipo: 'delete', ref: this }]);
+  }
+
+  async listCollections() {
+    const profundidad = this.path.split('/').length;
+    const ids = new Set();
+    this.firestore._rutas().forEach(ruta => {
+      if (ruta.startsWith(`${this.path}/`)) ids.add(ruta.split('/')[profundidad]);
+    });
+    return [...ids].map(id => this.collection(id));
+  }
+}
+
+// Las escrituras se acumulan y se aplican juntas al confirmar
+class Escrituras {
+  constructor() {
+    this._operaciones = [];
+  }
+
+  set(ref, datos, opciones) {
+    this._operaciones.push({ tipo: 'set', ref, datos, opciones });
+    return this;
+  }
+
+  update(ref, datos) {
+    this._operaciones.push({ tipo: 'update', ref, datos });
+    return this;
+  }
+
+  create(ref, datos) {
+    this._operaciones.push({ tipo: 'create', ref, datos });
+    return this;
+  }
+
+  delete(ref) {
+    this._operaciones.push({ tipo: 'delete', ref });
+    return this;
+  }
+}
+
+class Lote extends Escrituras {
+  constructor(firestore) {
+    super();
+    this._firestore = firestore;
+  }
+
+  async commit() {
+    return this._firestore._escribir(this._operaciones);
+  }
+}
+
+// Como en Firestore, no se puede leer después de escribir en la transacción
+class Transaccion extends Escrituras {
+  constructor(firestore) {
+    super();
+    this._firestore = firestore;
+  }
+
+  _verificarLectura() {
+    if (this._operaciones.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+  }
+
+  async get(refOConsulta) {
+    this._verificarLectura();
+    return refOConsulta instanceof ReferenciaDocumento
+      ? this._firestore._instantanea(refOConsulta)
+      : refOConsulta.get();
+  }
+
+  async getAll(...refs) {
+    this._verificarLectura();
+    return refs.map(ref => this._firestore._instantanea(ref));
+  }
+}
+
+class FirestoreEnMemoria {
+  constructor() {
+    this._documentos = new Map();
+  }
+
+  _rutas() {
+    return [...this._documentos.keys()];
+  }
+
+  _instantanea(ref) {
+    return new InstantaneaDocumento(ref, this._documentos.get(ref.path));
+  }
+
+  _documentosDe({ coleccion, grupo }) {
+    return this._rutas()
+      .filter(ruta => {
+        const segmentos = ruta.split('/');
+        return grupo
+          ? segmentos.at(-2) === grupo
+          : segmentos.slice(0, -1).join('/') === coleccion;
+      })
+      .map(ruta => this._instantanea(this.doc(ruta)));
+  }
+
+  // Valida todas las operaciones antes de aplicar ninguna (atomicidad)
+  async _escribir(operaciones) {
+    const pendientes = new Map();
+    const existe = (ruta) => (pendientes.has(ruta) ? pendientes.get(ruta) !== undefined : this._documentos.has(ruta));
+
+    operaciones.forEach(({ tipo, ref, datos, opciones }) => {
+      const ruta = ref.path;
+      const actual = pendientes.has(ruta) ? pendientes.get(ruta) : this._documentos.get(ruta);
+
+      if (tipo === 'create' && existe(ruta)) {
+        throw errorFirestore(6, `ALREADY_EXISTS: Document already exists: ${ruta}`);
+      }
+      if (tipo === 'update' && !existe(ruta)) {
+        throw errorFirestore(5, `NOT_FOUND: No document to update: ${ruta}`);
+      }
+
+      if (tipo === 'delete') {
+        pendientes.set(ruta, undefined);
+      } else if (tipo === 'update') {
+        const nuevo = clonar(actual);
+        Object.entries(datos).forEach(([campo, valor]) => asignarEnRuta(nuevo, segmentosDeCampo(campo), valor));
+        pendientes.set(ruta, nuevo);
+      } else if (opciones?.merge) {
+        const nuevo = clonar(actual) || {};
+        combinar(nuevo, datos);
+        pendientes.set(ruta, nuevo);
+      } else {
+        pendientes.set(ruta, resolver(datos, undefined));
+      }
+    });
+
+    pendientes.forEach((datos, ruta) => {
+      if (datos === undefined) {
+        this._documentos.delete(ruta);
+      } else {
+        this._documentos.set(ruta, datos);
+      }
+    });
+
+    return { writeTime: Timestamp.now() };
+  }
+
+  collection(ruta) {
+    if (ruta.split('/').length % 2 !== 1) throw new Error(`Ruta de colección inválida: ${ruta}`);
+    return new ReferenciaColeccion(this, ruta);
+  }
+
+  doc(ruta) {
+    const segmentos = ruta.split('/');
+    if (segmentos.length % 2 !== 0 || segmentos.some(segmento => segmento === '')) {
+      throw new Error(`Ruta de documento inválida: ${ruta}`);
+    }
+    return new ReferenciaDocumento(this, ruta);
+  }
+
+  collectionGroup(id) {
+    return new Consulta(this, { grupo: id });
+  }
+
+  batch() {
+    return new Lote(this);
+  }
+
+  async runTransaction(funcion) {
+    const transaccion = new Transaccion(this);
+    const resultado = await funcion(transaccion);
+    await this._escribir(transaccion._operaciones);
+    return resultado;
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._instantanea(ref));
+  }
+
+  async recursiveDelete(ref) {
+    this._rutas()
+      .filter(ruta => ruta === ref.path || ruta.startsWith(`${ref.path}/`))
+      .forEach(ruta => this._documentos.delete(ruta));
+  }
+
+  async listCollections() {
+    return [...new Set(this._rutas().map(ruta => ruta.split('/')[0]))].map(id => this.collection(id));
+  }
+
+  // Para las pruebas: datos guardados tal cual, sin pasar por la API
+  leer(ruta) {
+    return clonar(this._documentos.get(ruta));
+  }
+}
+
+// Sustituye admin.firestore() por la base en memoria conservando
+// FieldValue, Timestamp y demás propiedades del namespace
+function instalarFirestoreEnMemoria() {
+  const original = admin.firestore;
+  const firestore = new FirestoreEnMemoria();
+  const reemplazo = () => firestore;
+
+  Object.getOwnPropertyNames(original)
+    .filter(nombre => !['length', 'name', 'prototype'].includes(nombre))
+    .forEach(nombre => { reemplazo[nombre] = original[nombre]; });
+
+  Object.defineProperty(admin, 'firestore', { configurable: true, get: () => reemplazo });
+  return firestore;
+}
+
+module.exports = { instalarFirestoreEnMemoria };
@@ -0,0 +1,94 @@
+// Arranca server.js contra el Firestore en memoria, con credenciales y
+// claves de prueba. Cada archivo de pruebas corre en su propio proceso,
+// así que cada uno tiene su propia base y sus propias cachés
+const crypto = require('crypto');
+const { instalarFirestoreEnMemoria } = require('./firestoreEnMemoria');
+
+const SUPER_ADMIN_KEY = 'clave-super-admin-de-prueba';
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+process.env.FIREBASE_SERVICE_ACCOUNT = JSON.stringify({
+  type: 'service_account',
+  project_id: 'proyecto-de-prueba',
+  client_email: 'pruebas@proyecto-de-prueba.iam.gserviceaccount.com',
+  private_key: privateKey
+});
+process.env.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.SUPER_ADMIN_KEY = SUPER_ADMIN_KEY;
+process.env.CORREO_TRANSPORTE = 'ninguno';
+
+const db = instalarFirestoreEnMemoria();
+const servidor = require('../../server');
+
+// Levanta la app en un puerto libre; pedir() devuelve { status, body }
+async function iniciar() {
+  const http = servidor.app.listen(0);
+  await new Promise(resolve => http.once('listening', resolve));
+  const base = `http://127.0.0.1:${http.address().port}`;
+
+  async function pedir(metodo, ruta, { cuerpo, token, superAdmin = false } = {}) {
+    const headers = {};
+    if (cuerpo !== undefined) headers['content-type'] = 'application/json';
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (superAdmin) headers['x-super-admin-key'] = SUPER_ADMIN_KEY;
+
+    const respuesta = await fetch(base + ruta, {
+      method: metodo,
+      headers,
+      body: cuerpo === undefined ? undefined : JSON.stringify(cuerpo)
+    });
+    const texto = await respuesta.text();
+    let body = texto;
+    try {
+      body = JSON.parse(texto);
+    } catch (error) {
+      // Respuestas que no son JSON (CSV, HTML) se devuelven como texto
+    }
+    return { status: respuesta.status, body };
+  }
+
+  return {
+    pedir,
+    cerrar: () => new Promise(resolve => http.close(resolve))
+  };
+}
+
+// Crea un negocio como lo hace el super admin e inicia sesión con su owner
+async function crearNegocioConOwner(pedir, nombreNegocio = 'Panadería Central') {
+  const alta = await pedir('POST', '/api/super-admin/negocios', {
+    superAdmin: true,
+    cuerpo: { nombreNegocio, email: 'owner@ejemplo.com' }
+  });
+  if (alta.status !== 200) {
+    throw new Error(`No se pudo crear el negocio: ${JSON.stringify(alta.body)}`);
+  }
+
+  const { negocioID, user, pin } = alta.body.negocio;
+  const login = await pedir('POST', '/api/auth/login', { cuerpo: { negocioID, user, pin } });
+  return { negocioID, user, pin, token: login.body.token, refreshToken: login.body.refreshToken };
+}
+
+// El owner invita al usuario, este activa su PIN con el código e inicia sesión
+async function crearUsuarioConRol(pedir, owner, user, rol) {
+  const invitacion = await pedir('POST', `/api/${owner.negocioID}/usuarios`, {
+    token: owner.token,
+    cuerpo: { user, rol }
+  });
+  if (invitacion.status !== 200) {
+    throw new Error(`No se pudo invitar al usuario: ${JSON.stringify(invitacion.body)}`);
+  }
+
+  const pin = '4821';
+  await pedir('POST', '/api/auth/reset-pin', {
+    cuerpo: { negocioID: owner.negocioID, user, codigo: invitacion.body.codigoInvitacion, pinNuevo: pin }
+  });
+  const login = await pedir('POST', '/api/auth/login', { cuerpo: { negocioID: owner.negocioID, user, pin } });
+  return { negocioID: owner.negocioID, user, pin, token: login.body.token, refreshToken: login.body.refreshToken };
+}
+
+module.exports = { db, servidor, iniciar, crearNegocioConOwner, crearUsuarioConRol, SUPER_ADMIN_KEY };
@@ -0,0 +1,172 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, iniciar, crearNegocioConOwner, crearUsuarioConRol } = require('./apoyo/servidor');
+
+let pedir;
+let cerrar;
+let owner;
+let editor;
+let servicioID;
+let servicioNuevoID;
+
+function leer(ruta = '') {
+  return db.leer(`negocios/${owner.negocioID}${ruta}`);
+}
+
+function url(ruta) {
+  return `/api/${owner.negocioID}${ruta}`;
+}
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir);
+  editor = await crearUsuarioConRol(pedir, owner, 'editor', 'editor');
+
+  // Contenido publicado antes de empezar a usar el borrador
+  await pedir('PUT', url('/config'), {
+    token: owner.token,
+    cuerpo: { slogan: 'Pan de siempre', contacto: { telefono: '555-0101', email: 'hola@panaderia.com' } }
+  });
+  const servicio = await pedir('POST', url('/servicios'), { token: owner.token, cuerpo: { titulo: 'Catering', precio: 1500 } });
+  servicioID = servicio.body.id;
+});
+
+after(() => cerrar());
+
+test('los cambios del borrador no llegan al sitio hasta publicar', async () => {
+  const config = await pedir('PUT', url('/borrador/config'), {
+    token: editor.token,
+    cuerpo: { slogan: 'Pan de masa madre', contacto: { telefono: '555-0202' } }
+  });
+  assert.equal(config.status, 200);
+
+  const alta = await pedir('POST', url('/borrador/servicios'), { token: editor.token, cuerpo: { titulo: 'Talleres' } });
+  assert.equal(alta.status, 200);
+  servicioNuevoID = alta.body.id;
+
+  const edicion = await pedir('PUT', url(`/borrador/servicios/${servicioID}`), { token: editor.token, cuerpo: { precio: 1800 } });
+  assert.equal(edicion.status, 200);
+
+  assert.equal(leer().slogan, 'Pan de siempre');
+  assert.equal(leer(`/servicios/${servicioID}`).precio, 1500);
+  assert.equal(leer(`/servicios/${servicioNuevoID}`), undefined);
+  assert.equal(leer().usaBorrador, true);
+
+  const borrador = await pedir('GET', url('/borrador'), { token: editor.token });
+  assert.equal(borrador.body.total, 3);
+});
+
+test('con borrador en uso las rutas de edición directa responden 409', async () => {
+  const intentos = [
+    ['PUT', '/config', { slogan: 'Directo' }],
+    ['PUT', '/secciones', { secciones: { hero: true } }],
+    ['POST', '/servicios', { titulo: 'Directo' }],
+    ['PUT', `/servicios/${servicioID}`, { precio: 1 }],
+    ['DELETE', `/servicios/${servicioID}`],
+    ['PUT', '/servicios/orden', { ids: [servicioID] }],
+    ['POST', '/productos', { nombre: 'Directo', precio: 1 }]
+  ];
+
+  for (const [metodo, ruta, cuerpo] of intentos) {
+    const respuesta = await pedir(metodo, url(ruta), { token: owner.token, cuerpo });
+    assert.equal(respuesta.status, 409, `${metodo} ${ruta}`);
+    assert.equal(respuesta.body.codigo, 'USA_BORRADOR');
+  }
+
+  assert.equal(leer(`/servicios/${servicioID}`).precio, 1500);
+});
+
+test('las rutas del borrador quedan auditadas', async () => {
+  // La auditoría se escribe al terminar la respuesta
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const registros = (await db.collection('auditoria').where('negocioID', '==', owner.negocioID).where('entidad', '==', 'borrador').get())
+    .docs.map(doc => doc.data());
+
+  assert.deepEqual(registros.map(registro => [registro.metodo, registro.entidadID]).sort(), [
+    ['POST', `servicios__${servicioNuevoID}`],
+    ['PUT', 'negocio'],
+    ['PUT', `servicios__${servicioID}`]
+  ].sort());
+  assert.ok(registros.every(registro => registro.actor.usuarioID === 'editor'));
+});
+
+test('publicar aplica todo el borrador y guarda la versión', async () => {
+  const publicar = await pedir('POST', url('/borrador/publicar'), { token: editor.token });
+  assert.equal(publicar.status, 200);
+  assert.equal(publicar.body.version, 1);
+  assert.equal(publicar.body.cambios, 3);
+
+  const negocio = leer();
+  assert.equal(negocio.slogan, 'Pan de masa madre');
+  assert.equal(negocio.contacto.telefono, '555-0202');
+  assert.equal(negocio.contacto.email, 'hola@panaderia.com');
+  assert.equal(negocio.versionPublicada, 1);
+
+  assert.equal(leer(`/servicios/${servicioID}`).precio, 1800);
+  assert.equal(leer(`/servicios/${servicioID}`).titulo, 'Catering');
+  assert.equal(leer(`/servicios/${servicioNuevoID}`).titulo, 'Talleres');
+  assert.equal(leer(`/servicios/${servicioNuevoID}`).orden, 1);
+
+  const borrador = await pedir('GET', url('/borrador'), { token: editor.token });
+  assert.equal(borrador.body.total, 0);
+
+  const vacio = await pedir('POST', url('/borrador/publicar'), { token: editor.token });
+  assert.equal(vacio.status, 400);
+});
+
+test('revertir deshace las versiones posteriores y queda como versión nueva', async () => {
+  await pedir('PUT', url('/borrador/config'), { token: editor.token, cuerpo: { slogan: 'Solo por hoy' } });
+  await pedir('DELETE', url(`/borrador/servicios/${servicioID}`), { token: editor.token });
+  const segunda = await pedir('POST', url('/borrador/publicar'), { token: editor.token });
+  assert.equal(segunda.body.version, 2);
+  assert.equal(leer(`/servicios/${servicioID}`), undefined);
+
+  const soloOwner = await pedir('POST', url('/versiones/1/restaurar'), { token: editor.token });
+  assert.equal(soloOwner.status, 403);
+
+  const restaurar = await pedir('POST', url('/versiones/1/restaurar'), { token: owner.token });
+  assert.equal(restaurar.status, 200);
+  assert.equal(restaurar.body.version, 3);
+
+  assert.equal(leer().slogan, 'Pan de masa madre');
+  assert.equal(leer(`/servicios/${servicioID}`).titulo, 'Catering');
+  assert.equal(leer(`/servicios/${servicioID}`).precio, 1800);
+
+  const versiones = await pedir('GET', url('/versiones'), { token: editor.token });
+  assert.deepEqual(versiones.body.versiones.map(version => [version.numero, version.tipo, version.revierteA]), [
+    [3, 'reversion', 1],
+    [2, 'publicacion', null],
+    [1, 'publicacion', null]
+  ]);
+});
+
+test('revertir a la versión 0 vuelve al contenido previo al borrador', async () => {
+  const restaurar = await pedir('POST', url('/versiones/0/restaurar'), { token: owner.token });
+  assert.equal(restaurar.status, 200);
+
+  const negocio = leer();
+  assert.equal(negocio.slogan, 'Pan de siempre');
+  assert.equal(negocio.contacto.telefono, '555-0101');
+  assert.equal(negocio.contacto.email, 'hola@panaderia.com');
+  assert.equal(leer(`/servicios/${servicioID}`).precio, 1500);
+  assert.equal(leer(`/servicios/${servicioNuevoID}`), undefined);
+});
+
+test('revertir se niega si algo cambió fuera de las publicaciones', async () => {
+  await pedir('PUT', url(`/borrador/servicios/${servicioID}`), { token: editor.token, cuerpo: { precio: 2000 } });
+  const publicar = await pedir('POST', url('/borrador/publicar'), { token: editor.token });
+  assert.equal(publicar.status, 200);
+
+  // Edición por fuera del borrador (p. ej. una importación o un script)
+  await db.doc(`negocios/${owner.negocioID}/servicios/${servicioID}`).update({ precio: 2500 });
+
+  const restaurar = await pedir('POST', url(`/versiones/${publicar.body.version - 1}/restaurar`), { token: owner.token });
+  assert.equal(restaurar.status, 409);
+  assert.equal(restaurar.body.codigo, 'CAMBIOS_FUERA_DE_VERSION');
+  assert.deepEqual(restaurar.body.detalles, [
+    { coleccion: 'servicios', documentoID: servicioID, campo: 'precio', motivo: 'modificado fuera de las versiones' }
+  ]);
+  assert.equal(leer(`/servicios/${servicioID}`).precio, 2500);
+  assert.equal(leer().versionPublicada, publicar.body.version);
+});
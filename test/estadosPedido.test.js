@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, iniciar, crearNegocioConOwner } = require('./apoyo/servidor');
+
+let pedir;
+let cerrar;
+let owner;
+let gorraID;
+let camisetaID;
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir);
+
+  const gorra = await pedir('POST', `/api/${owner.negocioID}/productos`, {
+    token: owner.token,
+    cuerpo: { nombre: 'Gorra', precio: 15, stock: 10 }
+  });
+  gorraID = gorra.body.id;
+
+  const camiseta = await pedir('POST', `/api/${owner.negocioID}/productos`, {
+    token: owner.token,
+    cuerpo: { nombre: 'Camiseta', precio: 20, variantes: [{ id: 'm', nombre: 'M', stock: 4 }] }
+  });
+  camisetaID = camiseta.body.id;
+});
+
+after(() => cerrar());
+
+async function crearPedido(items) {
+  const respuesta = await pedir('POST', `/api/${owner.negocioID}/pedidos`, {
+    cuerpo: { cliente: { nombre: 'Tomás Ruiz' }, items }
+  });
+  assert.equal(respuesta.status, 200, JSON.stringify(respuesta.body));
+  return respuesta.body.id;
+}
+
+function cambiarEstado(pedidoID, estado, nota) {
+  return pedir('PUT', `/api/${owner.negocioID}/pedidos/${pedidoID}`, {
+    token: owner.token,
+    cuerpo: { estado, ...(nota && { nota }) }
+  });
+}
+
+function leer(ruta) {
+  return db.leer(`negocios/${owner.negocioID}/${ruta}`);
+}
+
+test('el pedido recorre el ciclo completo y guarda el historial', async () => {
+  const pedidoID = await crearPedido([{ productoID: camisetaID, varianteID: 'm', cantidad: 1 }]);
+
+  for (const estado of ['confirmado', 'en_preparacion', 'enviado', 'entregado']) {
+    const respuesta = await cambiarEstado(pedidoID, estado, `pasa a ${estado}`);
+    assert.equal(respuesta.status, 200, estado);
+    assert.equal(respuesta.body.estado, estado);
+  }
+
+  const pedido = leer(`pedidos/${pedidoID}`);
+  assert.equal(pedido.estado, 'entregado');
+  assert.deepEqual(
+    pedido.historial.map(entrada => [entrada.anterior ?? null, entrada.estado, entrada.actor]),
+    [
+      [null, 'pendiente', null],
+      ['pendiente', 'confirmado', owner.user],
+      ['confirmado', 'en_preparacion', owner.user],
+      ['en_preparacion', 'enviado', owner.user],
+      ['enviado', 'entregado', owner.user]
+    ]
+  );
+  assert.equal(pedido.historial[4].nota, 'pasa a entregado');
+});
+
+test('las transiciones no permitidas responden 409 con los estados posibles', async () => {
+  const pedidoID = await crearPedido([{ productoID: gorraID, cantidad: 1 }]);
+
+  const salto = await cambiarEstado(pedidoID, 'enviado');
+  assert.equal(salto.status, 409);
+  assert.deepEqual(salto.body.detalles, {
+    estadoActual: 'pendiente',
+    permitidos: ['confirmado', 'cancelado', 'rechazado']
+  });
+
+  const desconocido = await cambiarEstado(pedidoID, 'perdido');
+  assert.equal(desconocido.status, 400);
+
+  assert.equal(leer(`pedidos/${pedidoID}`).historial.length, 1);
+
+  const inexistente = await cambiarEstado('no-existe', 'confirmado');
+  assert.equal(inexistente.status, 404);
+});
+
+test('cancelar repone el stock una sola vez y deja el pedido cerrado', async () => {
+  const pedidoID = await crearPedido([
+    { productoID: gorraID, cantidad: 3 },
+    { productoID: camisetaID, varianteID: 'm', cantidad: 2 }
+  ]);
+  assert.equal(leer(`productos/${gorraID}`).stock, 6);
+  assert.equal(leer(`productos/${camisetaID}`).variantes[0].stock, 1);
+
+  assert.equal((await cambiarEstado(pedidoID, 'confirmado')).status, 200);
+
+  const cancelar = await cambiarEstado(pedidoID, 'cancelado', 'El cliente se arrepintió');
+  assert.equal(cancelar.status, 200);
+
+  assert.equal(leer(`productos/${gorraID}`).stock, 9);
+  assert.equal(leer(`productos/${camisetaID}`).variantes[0].stock, 3);
+  assert.equal(leer(`pedidos/${pedidoID}`).stockDescontado, false);
+
+  const reabrir = await cambiarEstado(pedidoID, 'confirmado');
+  assert.equal(reabrir.status, 409);
+  assert.deepEqual(reabrir.body.detalles.permitidos, []);
+  assert.equal(leer(`productos/${gorraID}`).stock, 9);
+});
+
+test('un pedido entregado ya no se puede cancelar', async () => {
+  const pedidoID = await crearPedido([{ productoID: gorraID, cantidad: 1 }]);
+  for (const estado of ['confirmado', 'en_preparacion', 'enviado', 'entregado']) {
+    await cambiarEstado(pedidoID, estado);
+  }
+
+  const stockAntes = leer(`productos/${gorraID}`).stock;
+  const cancelar = await cambiarEstado(pedidoID, 'cancelado');
+  assert.equal(cancelar.status, 409);
+  assert.equal(leer(`productos/${gorraID}`).stock, stockAntes);
+});
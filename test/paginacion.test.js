@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { db, servidor, iniciar, crearNegocioConOwner } = require('./apoyo/servidor');
+
+const { listarPaginado } = servidor;
+
+const ORDEN = { campos: ['id', 'precio', 'fecha'], defecto: 'id', direccion: 'asc' };
+const FILTROS = {
+  activo: { campo: 'activo', tipo: 'booleano' },
+  tipo: { campo: 'tipo', tipo: 'texto', valores: ['pan', 'torta'] },
+  desde: { campo: 'fecha', tipo: 'fecha', operador: '>=' }
+};
+
+const coleccion = db.collection('pruebas/paginacion/items');
+
+let pedir;
+let cerrar;
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+
+  const items = [
+    { id: 'a', precio: 30, tipo: 'pan', activo: true, dia: 1 },
+    { id: 'b', precio: 10, tipo: 'torta', activo: false, dia: 2 },
+    { id: 'c', precio: 50, tipo: 'pan', activo: true, dia: 3 },
+    { id: 'd', precio: 20, tipo: 'pan', dia: 4 },
+    { id: 'e', precio: 40, tipo: 'torta', activo: true, dia: 5 },
+    { id: 'f', precio: 10, tipo: 'pan', activo: false, dia: 6 },
+    { id: 'g', tipo: 'pan', activo: true, dia: 7 }
+  ];
+
+  for (const { id, dia, ...datos } of items) {
+    await coleccion.doc(id).set({ ...datos, fecha: admin.firestore.Timestamp.fromDate(new Date(Date.UTC(2026, 0, dia))) });
+  }
+});
+
+after(() => cerrar());
+
+// Recorre todas las páginas siguiendo nextCursor
+async function recorrer(params, opciones) {
+  const paginas = [];
+  let cursor;
+  do {
+    const pagina = await listarPaginado(coleccion, { ...params, ...(cursor && { cursor }) }, opciones);
+    paginas.push(pagina);
+    cursor = pagina.nextCursor;
+  } while (cursor);
+  return paginas;
+}
+
+test('los cursores recorren todos los documentos sin repetir ni saltar', async () => {
+  const paginas = await recorrer({ limit: '3' }, { orden: ORDEN });
+
+  assert.deepEqual(paginas.map(pagina => pagina.items.map(item => item.id)), [['a', 'b', 'c'], ['d', 'e', 'f'], ['g']]);
+  assert.deepEqual(paginas.map(pagina => pagina.total), [7, 7, 7]);
+  assert.equal(paginas.at(-1).nextCursor, null);
+});
+
+test('el orden por campo desempata por ID y el total omite los documentos sin el campo', async () => {
+  const paginas = await recorrer({ limit: '2', ordenarPor: 'precio', direccion: 'desc' }, { orden: ORDEN });
+
+  assert.deepEqual(paginas.flatMap(pagina => pagina.items.map(item => item.id)), ['c', 'e', 'a', 'd', 'f', 'b']);
+  assert.deepEqual(paginas.map(pagina => pagina.total), [6, 6, 6]);
+});
+
+test('los filtros se combinan con el orden y el cursor', async () => {
+  const paginas = await recorrer({ limit: '2', tipo: 'pan', activo: 'true', ordenarPor: 'precio' }, { orden: ORDEN, filtros: FILTROS });
+
+  assert.deepEqual(paginas.flatMap(pagina => pagina.items.map(item => item.id)), ['a', 'c']);
+  assert.equal(paginas[0].total, 2);
+});
+
+test('excluir descuenta del total y de cada página', async () => {
+  const paginas = await recorrer({ limit: '3' }, { orden: ORDEN, excluir: { campo: 'activo', valor: false } });
+
+  // Los documentos sin `activo` siguen visibles: `!=` los descartaría
+  assert.deepEqual(paginas.flatMap(pagina => pagina.items.map(item => item.id)), ['a', 'c', 'd', 'e', 'g']);
+  assert.deepEqual(paginas.map(pagina => pagina.total), [5, 5, 5]);
+});
+
+test('un filtro de fechas obliga a ordenar por su campo', async () => {
+  const desde = '2026-01-04T00:00:00Z';
+
+  const [pagina] = await recorrer({ desde }, { orden: ORDEN, filtros: FILTROS });
+  assert.deepEqual(pagina.items.map(item => item.id), ['d', 'e', 'f', 'g']);
+  assert.equal(pagina.total, 4);
+
+  await assert.rejects(
+    listarPaginado(coleccion, { desde, ordenarPor: 'precio' }, { orden: ORDEN, filtros: FILTROS }),
+    (error) => error.status === 400 && error.detalles[0].campo === 'ordenarPor'
+  );
+});
+
+test('los parámetros inválidos se reportan juntos con 400', async () => {
+  await assert.rejects(
+    listarPaginado(coleccion, { limit: '0', ordenarPor: 'nombre', direccion: 'arriba', tipo: 'galleta', activo: 'si', cursor: 'a/b' }, { orden: ORDEN, filtros: FILTROS }),
+    (error) => {
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.detalles.map(detalle => detalle.campo).sort(), ['activo', 'cursor', 'direccion', 'limit', 'ordenarPor', 'tipo']);
+      return true;
+    }
+  );
+
+  await assert.rejects(
+    listarPaginado(coleccion, { cursor: 'no-existe' }, { orden: ORDEN }),
+    (error) => error.status === 400 && error.detalles[0].campo === 'cursor'
+  );
+});
+
+test('el listado público de productos oculta los inactivos y su total coincide', async () => {
+  const owner = await crearNegocioConOwner(pedir);
+  const url = `/api/${owner.negocioID}/productos`;
+
+  for (const [nombre, activo] of [['Baguette', true], ['Brioche', false], ['Ciabatta', true], ['Focaccia', undefined]]) {
+    await pedir('POST', url, { token: owner.token, cuerpo: { nombre, precio: 5, ...(activo !== undefined && { activo }) } });
+  }
+
+  const primera = await pedir('GET', `${url}?ordenarPor=nombre&limit=2`);
+  assert.equal(primera.status, 200);
+  assert.equal(primera.body.total, 3);
+  // Brioche ocupa un lugar de la página y se filtra después: la página llega corta
+  assert.deepEqual(primera.body.productos.map(producto => producto.nombre), ['Baguette']);
+
+  const segunda = await pedir('GET', `${url}?ordenarPor=nombre&limit=2&cursor=${primera.body.nextCursor}`);
+  assert.deepEqual(segunda.body.productos.map(producto => producto.nombre), ['Ciabatta', 'Focaccia']);
+  assert.equal(segunda.body.nextCursor, null);
+
+  const comoAdmin = await pedir('GET', `${url}?ordenarPor=nombre`, { token: owner.token });
+  assert.equal(comoAdmin.body.total, 4);
+  assert.equal(comoAdmin.body.productos.length, 4);
+
+  const invalido = await pedir('GET', `${url}?ordenarPor=stock`);
+  assert.equal(invalido.status, 400);
+});
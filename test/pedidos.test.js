@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, iniciar, crearNegocioConOwner } = require('./apoyo/servidor');
+
+let pedir;
+let cerrar;
+let owner;
+let pan;
+let torta;
+
+const CLIENTE = { nombre: 'Lucía Pérez', telefono: '555-0303' };
+
+async function crearProducto(producto) {
+  const respuesta = await pedir('POST', `/api/${owner.negocioID}/productos`, { token: owner.token, cuerpo: producto });
+  assert.equal(respuesta.status, 200, JSON.stringify(respuesta.body));
+  return respuesta.body.id;
+}
+
+function leerProducto(productoID) {
+  return db.leer(`negocios/${owner.negocioID}/productos/${productoID}`);
+}
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir);
+  pan = await crearProducto({ nombre: 'Pan de campo', precio: 100, stock: 5 });
+  torta = await crearProducto({
+    nombre: 'Torta',
+    precio: 40,
+    variantes: [
+      { id: 'chica', nombre: 'Chica', precio: 30, stock: 2 },
+      { id: 'grande', nombre: 'Grande', precio: 50 }
+    ]
+  });
+});
+
+after(() => cerrar());
+
+test('el servidor calcula precios y totales con los precios vigentes', async () => {
+  const respuesta = await pedir('POST', `/api/${owner.negocioID}/pedidos`, {
+    cuerpo: {
+      cliente: CLIENTE,
+      items: [
+        { productoID: pan, cantidad: 2 },
+        { productoID: torta, varianteID: 'chica', cantidad: 1 },
+        { productoID: torta, varianteID: 'grande', cantidad: 3 }
+      ]
+    }
+  });
+
+  assert.equal(respuesta.status, 200);
+  assert.deepEqual(respuesta.body.items.map(item => [item.nombre, item.precioUnitario, item.subtotal]), [
+    ['Pan de campo', 100, 200],
+    ['Torta (Chica)', 30, 30],
+    ['Torta (Grande)', 50, 150]
+  ]);
+  assert.equal(respuesta.body.total, 380);
+
+  const pedido = db.leer(`negocios/${owner.negocioID}/pedidos/${respuesta.body.id}`);
+  assert.equal(pedido.total, 380);
+  assert.equal(pedido.estado, 'pendiente');
+  assert.equal(pedido.stockDescontado, true);
+});
+
+test('el pedido descuenta el stock del producto y de la variante', () => {
+  assert.equal(leerProducto(pan).stock, 3);
+
+  const variantes = leerProducto(torta).variantes;
+  assert.equal(variantes.find(variante => variante.id === 'chica').stock, 1);
+  assert.equal(variantes.find(variante => variante.id === 'grande').stock, undefined);
+});
+
+test('los precios, totales y estados que envía el cliente se rechazan', async () => {
+  const url = `/api/${owner.negocioID}/pedidos`;
+
+  const conPrecio = await pedir('POST', url, {
+    cuerpo: { cliente: CLIENTE, items: [{ productoID: pan, cantidad: 1, precio: 1 }], total: 1 }
+  });
+  assert.equal(conPrecio.status, 400);
+
+  const conEstado = await pedir('POST', url, {
+    cuerpo: { cliente: CLIENTE, items: [{ productoID: pan, cantidad: 1 }], estado: 'entregado' }
+  });
+  assert.equal(conEstado.status, 400);
+
+  assert.equal(leerProducto(pan).stock, 3);
+});
+
+test('sin stock suficiente el pedido no se crea ni descuenta nada', async () => {
+  const pedidosAntes = (await db.collection(`negocios/${owner.negocioID}/pedidos`).get()).size;
+
+  // Las líneas del mismo producto se suman: 2 + 2 supera las 3 unidades
+  const respuesta = await pedir('POST', `/api/${owner.negocioID}/pedidos`, {
+    cuerpo: {
+      cliente: CLIENTE,
+      items: [
+        { productoID: pan, cantidad: 2 },
+        { productoID: torta, varianteID: 'chica', cantidad: 1 },
+        { productoID: pan, cantidad: 2 }
+      ]
+    }
+  });
+
+  assert.equal(respuesta.status, 409);
+  assert.deepEqual(respuesta.body.detalles, [
+    { productoID: pan, nombre: 'Pan de campo', solicitado: 4, disponible: 3 }
+  ]);
+  assert.equal(leerProducto(pan).stock, 3);
+  assert.equal(leerProducto(torta).variantes.find(variante => variante.id === 'chica').stock, 1);
+  assert.equal((await db.collection(`negocios/${owner.negocioID}/pedidos`).get()).size, pedidosAntes);
+});
+
+test('los productos inexistentes, inactivos o sin la variante pedida se rechazan', async () => {
+  const inactivo = await crearProducto({ nombre: 'Pan dulce', precio: 80, activo: false });
+
+  const respuesta = await pedir('POST', `/api/${owner.negocioID}/pedidos`, {
+    cuerpo: {
+      cliente: CLIENTE,
+      items: [
+        { productoID: 'no-existe', cantidad: 1 },
+        { productoID: inactivo, cantidad: 1 },
+        { productoID: torta, cantidad: 1 },
+        { productoID: pan, varianteID: 'chica', cantidad: 1 }
+      ]
+    }
+  });
+
+  assert.equal(respuesta.status, 400);
+  assert.deepEqual(respuesta.body.detalles.map(detalle => detalle.mensaje), [
+    'Producto no encontrado',
+    'Producto no disponible',
+    'Debe elegir una variante',
+    'El producto no tiene variantes'
+  ]);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, crearNegocioConOwner, crearUsuarioConRol } = require('./apoyo/servidor');
+
+let pedir;
+let cerrar;
+let owner;
+const sesiones = {};
+
+// Rutas representativas y los roles que pueden usarlas; el resto recibe 403
+const MATRIZ = [
+  { metodo: 'GET', ruta: '/usuarios', roles: ['owner'] },
+  { metodo: 'GET', ruta: '/auditoria', roles: ['owner'] },
+  { metodo: 'GET', ruta: '/webhooks', roles: ['owner'] },
+  { metodo: 'PUT', ruta: '/secciones', cuerpo: { seccionesActivas: ['servicios'] }, roles: ['owner'] },
+  { metodo: 'PUT', ruta: '/config', cuerpo: { slogan: 'Siempre fresco' }, roles: ['owner', 'editor'] },
+  { metodo: 'POST', ruta: '/servicios', cuerpo: { titulo: 'Catering' }, roles: ['owner', 'editor'] },
+  { metodo: 'GET', ruta: '/mensajes', roles: ['owner', 'editor'] },
+  { metodo: 'GET', ruta: '/pedidos', roles: ['owner', 'order-manager', 'viewer'] },
+  { metodo: 'GET', ruta: '/reportes/ventas', roles: ['owner', 'order-manager', 'viewer'] },
+  { metodo: 'PUT', ruta: '/pedidos/inexistente', cuerpo: { estado: 'confirmado' }, roles: ['owner', 'order-manager'] }
+];
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir);
+  sesiones.owner = owner;
+  sesiones.editor = await crearUsuarioConRol(pedir, owner, 'editor', 'editor');
+  sesiones['order-manager'] = await crearUsuarioConRol(pedir, owner, 'pedidos', 'order-manager');
+  sesiones.viewer = await crearUsuarioConRol(pedir, owner, 'lectura', 'viewer');
+});
+
+after(() => cerrar());
+
+test('cada rol solo accede a las rutas de su matriz', async () => {
+  for (const { metodo, ruta, cuerpo, roles } of MATRIZ) {
+    for (const [rol, sesion] of Object.entries(sesiones)) {
+      const respuesta = await pedir(metodo, `/api/${owner.negocioID}${ruta}`, { token: sesion.token, cuerpo });
+      const mensaje = `${rol} ${metodo} ${ruta} → ${respuesta.status}`;
+
+      if (roles.includes(rol)) {
+        assert.ok(respuesta.status < 500 && ![401, 403].includes(respuesta.status), mensaje);
+      } else {
+        assert.equal(respuesta.status, 403, mensaje);
+      }
+    }
+  }
+});
+
+test('la invitación valida el usuario con su esquema', async () => {
+  const url = `/api/${owner.negocioID}/usuarios`;
+
+  const rolInvalido = await pedir('POST', url, { token: owner.token, cuerpo: { user: 'ana', rol: 'superusuario' } });
+  assert.equal(rolInvalido.status, 400);
+
+  const sinRol = await pedir('POST', url, { token: owner.token, cuerpo: { user: 'ana' } });
+  assert.equal(sinRol.status, 400);
+
+  const duplicado = await pedir('POST', url, { token: owner.token, cuerpo: { user: 'editor', rol: 'viewer' } });
+  assert.equal(duplicado.status, 409);
+
+  const renombrar = await pedir('PUT', `${url}/editor`, { token: owner.token, cuerpo: { user: 'otro' } });
+  assert.equal(renombrar.status, 400);
+});
+
+test('el negocio conserva al menos un owner activo', async () => {
+  const degradar = await pedir('PUT', `/api/${owner.negocioID}/usuarios/${owner.user}`, {
+    token: owner.token,
+    cuerpo: { rol: 'editor' }
+  });
+  assert.equal(degradar.status, 409);
+
+  const deshabilitar = await pedir('PUT', `/api/${owner.negocioID}/usuarios/${owner.user}`, {
+    token: owner.token,
+    cuerpo: { activo: false }
+  });
+  assert.equal(deshabilitar.status, 409);
+});
+
+test('cambiar el rol obliga a iniciar sesión de nuevo con el rol nuevo', async () => {
+  const visor = sesiones.viewer;
+
+  const cambio = await pedir('PUT', `/api/${owner.negocioID}/usuarios/lectura`, {
+    token: owner.token,
+    cuerpo: { rol: 'editor' }
+  });
+  assert.equal(cambio.status, 200);
+
+  const tokenAnterior = await pedir('GET', `/api/${owner.negocioID}/pedidos`, { token: visor.token });
+  assert.equal(tokenAnterior.status, 401);
+
+  const login = await pedir('POST', '/api/auth/login', {
+    cuerpo: { negocioID: owner.negocioID, user: 'lectura', pin: visor.pin }
+  });
+  assert.equal(login.status, 200);
+
+  const comoEditor = await pedir('PUT', `/api/${owner.negocioID}/config`, {
+    token: login.body.token,
+    cuerpo: { slogan: 'Recién horneado' }
+  });
+  assert.equal(comoEditor.status, 200);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, crearNegocioConOwner, crearUsuarioConRol } = require('./apoyo/servidor');
+
+let pedir;
+let cerrar;
+let owner;
+let otroNegocio;
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir, 'Panadería Central');
+  otroNegocio = await crearNegocioConOwner(pedir, 'Ferretería Norte');
+});
+
+after(() => cerrar());
+
+test('el login emite un token que abre las rutas del negocio', async () => {
+  assert.ok(owner.token);
+  assert.ok(owner.refreshToken);
+
+  const respuesta = await pedir('GET', `/api/${owner.negocioID}/usuarios`, { token: owner.token });
+  assert.equal(respuesta.status, 200);
+  assert.deepEqual(respuesta.body.usuarios.map(usuario => usuario.rol), ['owner']);
+});
+
+test('las rutas de escritura exigen sesión', async () => {
+  const sinToken = await pedir('PUT', `/api/${owner.negocioID}/config`, { cuerpo: { nombre: 'Otro' } });
+  assert.equal(sinToken.status, 401);
+
+  const [payload, firma] = owner.token.split('.');
+  const alterado = Buffer.from(JSON.stringify({
+    ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+    rol: 'owner',
+    negocioID: otroNegocio.negocioID
+  })).toString('base64url');
+
+  const tokenAlterado = await pedir('PUT', `/api/${otroNegocio.negocioID}/config`, {
+    token: `${alterado}.${firma}`,
+    cuerpo: { nombre: 'Otro' }
+  });
+  assert.equal(tokenAlterado.status, 401);
+});
+
+test('el token de un negocio no sirve en otro', async () => {
+  const respuesta = await pedir('GET', `/api/${otroNegocio.negocioID}/usuarios`, { token: owner.token });
+  assert.equal(respuesta.status, 403);
+});
+
+test('un PIN incorrecto no inicia sesión', async () => {
+  const respuesta = await pedir('POST', '/api/auth/login', {
+    cuerpo: { negocioID: owner.negocioID, user: owner.user, pin: owner.pin === '9999' ? '1111' : '9999' }
+  });
+  assert.equal(respuesta.status, 401);
+  assert.equal(respuesta.body.token, undefined);
+});
+
+test('un negocioID que no es ID de documento responde 400', async () => {
+  for (const ruta of ['/api/auth/login', '/api/auth/reset-pin']) {
+    const respuesta = await pedir('POST', ruta, {
+      cuerpo: { negocioID: `${owner.negocioID}/usuarios/${owner.user}`, user: owner.user, pin: owner.pin, codigo: 'X', pinNuevo: '123456' }
+    });
+    assert.equal(respuesta.status, 400, ruta);
+  }
+
+  const refresh = await pedir('POST', '/api/auth/refresh', { cuerpo: { refreshToken: 'a/b.c.d' } });
+  assert.equal(refresh.status, 400);
+});
+
+test('el logout revoca el token de acceso y el refresh token', async () => {
+  const sesion = await crearNegocioConOwner(pedir, 'Librería Sur');
+
+  const logout = await pedir('POST', '/api/auth/logout', { token: sesion.token });
+  assert.equal(logout.status, 200);
+
+  const despues = await pedir('GET', `/api/${sesion.negocioID}/usuarios`, { token: sesion.token });
+  assert.equal(despues.status, 401);
+
+  const refresh = await pedir('POST', '/api/auth/refresh', { cuerpo: { refreshToken: sesion.refreshToken } });
+  assert.equal(refresh.status, 401);
+});
+
+test('el refresh rota el secreto y un refresh reutilizado cierra la sesión', async () => {
+  const sesion = await crearNegocioConOwner(pedir, 'Vivero Este');
+
+  const primero = await pedir('POST', '/api/auth/refresh', { cuerpo: { refreshToken: sesion.refreshToken } });
+  assert.equal(primero.status, 200);
+  assert.notEqual(primero.body.refreshToken, sesion.refreshToken);
+
+  const reutilizado = await pedir('POST', '/api/auth/refresh', { cuerpo: { refreshToken: sesion.refreshToken } });
+  assert.equal(reutilizado.status, 401);
+
+  const rotado = await pedir('POST', '/api/auth/refresh', { cuerpo: { refreshToken: primero.body.refreshToken } });
+  assert.equal(rotado.status, 401);
+});
+
+test('deshabilitar a un usuario revoca sus sesiones abiertas', async () => {
+  const editor = await crearUsuarioConRol(pedir, owner, 'maria', 'editor');
+
+  const antes = await pedir('PUT', `/api/${owner.negocioID}/config`, { token: editor.token, cuerpo: { slogan: 'Pan de masa madre' } });
+  assert.equal(antes.status, 200);
+
+  const deshabilitar = await pedir('PUT', `/api/${owner.negocioID}/usuarios/maria`, { token: owner.token, cuerpo: { activo: false } });
+  assert.equal(deshabilitar.status, 200);
+
+  const despues = await pedir('PUT', `/api/${owner.negocioID}/config`, { token: editor.token, cuerpo: { slogan: 'Otro' } });
+  assert.equal(despues.status, 401);
+
+  const login = await pedir('POST', '/api/auth/login', { cuerpo: { negocioID: owner.negocioID, user: 'maria', pin: editor.pin } });
+  assert.equal(login.status, 401);
+});
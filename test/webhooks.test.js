@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { db, servidor, iniciar, crearNegocioConOwner } = require('./apoyo/servidor');
+
+const { ipPermitidaWebhook, urlWebhookPermitida, destinoWebhookPermitido } = servidor;
+
+let pedir;
+let cerrar;
+let owner;
+
+before(async () => {
+  ({ pedir, cerrar } = await iniciar());
+  owner = await crearNegocioConOwner(pedir);
+});
+
+after(() => cerrar());
+
+test('las direcciones internas, reservadas y sus variantes IPv6 se bloquean', () => {
+  const bloqueadas = [
+    '0.0.0.0', '10.1.2.3', '100.64.0.1', '100.127.255.254', '127.0.0.1', '127.8.8.8', '169.254.169.254',
+    '172.16.0.1', '172.31.255.255', '192.0.0.170', '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+    '::', '::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::a00:1', 'fc00::1', 'fd12:3456::1',
+    'fe80::1', 'ff02::1'
+  ];
+  bloqueadas.forEach(ip => assert.equal(ipPermitidaWebhook(ip), false, ip));
+
+  const permitidas = ['8.8.8.8', '100.63.255.255', '100.128.0.1', '172.32.0.1', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8'];
+  permitidas.forEach(ip => assert.equal(ipPermitidaWebhook(ip), true, ip));
+
+  assert.equal(ipPermitidaWebhook('no-es-ip'), false);
+});
+
+test('la URL se rechaza si nombra la red interna literalmente', () => {
+  const rechazadas = [
+    'http://localhost:8080/hook',
+    'https://api.localhost/hook',
+    'http://metadata.google.internal/computeMetadata',
+    'http://127.0.0.1/hook',
+    'http://[::]/hook',
+    'http://[::1]:3000/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://100.64.1.1/hook',
+    'http://10.0.0.8/hook',
+    'http://0x7f000001/hook',
+    'http://2130706433/hook'
+  ];
+  rechazadas.forEach(url => assert.equal(urlWebhookPermitida(url), false, url));
+
+  assert.equal(urlWebhookPermitida('https://hooks.ejemplo.com/pedidos'), true);
+  assert.equal(urlWebhookPermitida('https://8.8.8.8/hook'), true);
+});
+
+test('al entregar, todas las direcciones del nombre tienen que estar permitidas', async (t) => {
+  const resoluciones = {
+    'publico.ejemplo.com': [{ address: '93.184.216.34', family: 4 }],
+    'mixto.ejemplo.com': [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }],
+    'rebind.ejemplo.com': [{ address: '::ffff:169.254.169.254', family: 6 }]
+  };
+  t.mock.method(dns.promises, 'lookup', async (host) => {
+    if (!resoluciones[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    return resoluciones[host];
+  });
+
+  assert.equal(await destinoWebhookPermitido('https://publico.ejemplo.com/hook'), true);
+  assert.equal(await destinoWebhookPermitido('https://mixto.ejemplo.com/hook'), false);
+  assert.equal(await destinoWebhookPermitido('https://rebind.ejemplo.com/hook'), false);
+  assert.equal(await destinoWebhookPermitido('https://no-existe.ejemplo.com/hook'), false);
+});
+
+test('no se puede registrar un webhook hacia la red interna', async () => {
+  const url = `/api/${owner.negocioID}/webhooks`;
+
+  for (const destino of ['http://127.0.0.1:9000/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://localhost/hook']) {
+    const respuesta = await pedir('POST', url, { token: owner.token, cuerpo: { url: destino, eventos: ['pedido.creado'] } });
+    assert.equal(respuesta.status, 400, destino);
+    assert.equal(respuesta.body.detalles[0].campo, 'url');
+  }
+
+  const creado = await pedir('POST', url, {
+    token: owner.token,
+    cuerpo: { url: 'https://hooks.ejemplo.com/pedidos', eventos: ['pedido.creado'] }
+  });
+  assert.equal(creado.status, 200);
+
+  const cambio = await pedir('PUT', `${url}/${creado.body.id}`, { token: owner.token, cuerpo: { url: 'http://10.0.0.1/hook' } });
+  assert.equal(cambio.status, 400);
+});
+
+test('una entrega hacia la red interna no sale aunque el webhook ya esté guardado', async () => {
+  let recibidas = 0;
+  const interno = http.createServer((req, res) => {
+    recibidas++;
+    res.end('ok');
+  });
+  await new Promise(resolve => interno.listen(0, '127.0.0.1', resolve));
+
+  try {
+    // Guardado directamente, como un webhook anterior al filtro
+    const webhookRef = db.collection(`negocios/${owner.negocioID}/webhooks`).doc('heredado');
+    await webhookRef.set({
+      url: `http://127.0.0.1:${interno.address().port}/hook`,
+      eventos: ['pedido.creado'],
+      activo: true,
+      secreto: 'secreto-de-prueba'
+    });
+
+    const ping = await pedir('POST', `/api/${owner.negocioID}/webhooks/heredado/ping`, { token: owner.token });
+    assert.equal(ping.status, 200);
+    assert.equal(ping.body.success, false);
+    assert.match(ping.body.error, /Destino no permitido/);
+    assert.equal(recibidas, 0);
+  } finally {
+    await new Promise(resolve => interno.close(resolve));
+  }
+});